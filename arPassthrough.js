@@ -0,0 +1,265 @@
+import * as THREE from 'three';
+import { coverScale } from 'handTracker';
+import { HAND_CONNECTIONS } from 'handSkeleton';
+import { DEFAULT_CAMERA_POSITION } from 'sceneManager';
+
+// AR mode, as a plugin (game.use(new ARPassthrough(container))): the webcam
+// picture behind the scene, or in a small window in the corner. Behind the
+// scene it is mirrored and cropped to cover the screen exactly the way
+// HandTracker maps hands onto the screen, so the hand indicators and the 2D
+// landmark overlay sit on the real hands. The virtual camera then takes the
+// webcam's field of view and, as the 'ar' camera rig, a placement: its height
+// above the virtual ground and how far it tilts down, which the player
+// adjusts until the ground lies on their desk. The placement is remembered in
+// this browser.
+
+const VIEWS = ['off', 'background', 'pip'];
+const PLACEMENT_KEY = 'grabThrow.arPlacement';
+const DEFAULT_PLACEMENT = { height: DEFAULT_CAMERA_POSITION.y, tilt: 0.36 }; // About the default camera's
+const MIN_HEIGHT = 0.2; // Metres above the ground
+const MAX_HEIGHT = 5;
+const MIN_TILT = -0.2; // Radians below horizontal
+const MAX_TILT = 1.4;
+const WEBCAM_FOV = 48; // Vertical degrees; about right for a 4:3 laptop webcam
+const LANDMARK_COLOR = '#44ff66';
+const LANDMARK_RADIUS = 3; // Pixels
+
+const _point = new THREE.Vector2();
+const _euler = new THREE.Euler();
+
+export class ARPassthrough {
+    // options.view: 'off', 'background' or 'pip' to start with; needs the webcam
+    // options.shadowGround: behind the scene, keep the ground as a shadow
+    //   catcher rather than hiding it (default true)
+    // options.landmarks: draw the tracked hands' landmarks over the picture (default true)
+    // options.fov: the webcam's vertical field of view in degrees
+    // options.storage: where the placement is remembered (default localStorage)
+    constructor(container, options = {}) {
+        this.container = container;
+        this.startView = options.view || 'off';
+        this.shadowGround = options.shadowGround ?? true;
+        this.showLandmarks = options.landmarks ?? true;
+        this.fov = options.fov ?? WEBCAM_FOV;
+        this.storage = options.storage ?? globalThis.localStorage;
+        this.placement = this._loadPlacement();
+
+        this.game = null;
+        this.view = 'off';
+        this.texture = null; // The webcam as a VideoTexture while it is the background
+        this.savedFov = null; // The camera's own while the background view has it
+        this.previousRig = null; // Camera rig to go back to after the background view
+        // Straight to the placement: a blend would leave the scene off the picture
+        this.rig = { snap: true, update: (deltaTime, pose) => this._placeCamera(pose) };
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'ar-landmarks';
+        this.canvas.hidden = true;
+        this.context = this.canvas.getContext('2d');
+
+        this.pip = document.createElement('div');
+        this.pip.className = 'ar-pip';
+        this.pip.hidden = true;
+        this.pipVideo = document.createElement('video');
+        this.pipVideo.muted = true;
+        this.pipVideo.autoplay = true;
+        this.pipVideo.playsInline = true;
+        this.pip.appendChild(this.pipVideo);
+
+        this.onViewChanged = () => { };
+        this._onResize = () => this._layout();
+    }
+
+    install(game) {
+        this.game = game;
+        this.container.appendChild(this.pip);
+        this.container.appendChild(this.canvas);
+        window.addEventListener('resize', this._onResize);
+        if (this.startView !== 'off') this.setView(this.startView);
+    }
+
+    uninstall(game) {
+        this.setView('off');
+        window.removeEventListener('resize', this._onResize);
+        this.pip.remove();
+        this.canvas.remove();
+        this.game = null;
+    }
+
+    // Returns the view actually shown: without a webcam it stays 'off'
+    setView(view) {
+        if (!VIEWS.includes(view)) {
+            throw new Error(`Unknown AR view "${view}"`);
+        }
+        const video = this.game.handTracker.videoElement;
+        if (view !== 'off' && !video) {
+            console.warn('AR passthrough needs the webcam');
+            view = 'off';
+        }
+        if (view === this.view) return view;
+
+        this._leaveView();
+        this.view = view;
+        if (view === 'background') {
+            this.texture = new THREE.VideoTexture(video);
+            this.texture.colorSpace = THREE.SRGBColorSpace;
+            this.game.sceneManager.setPassthrough(this.texture, { shadowGround: this.shadowGround });
+            this.savedFov = this.game.sceneManager.camera.fov;
+            const rigs = this.game.cameraRigs;
+            this.previousRig = rigs.activeName;
+            rigs.addRig('ar', this.rig);
+            rigs.setRig('ar');
+        } else if (view === 'pip') {
+            this.pipVideo.srcObject = video.srcObject;
+            this.pipVideo.play().catch(error => console.warn('Could not play the webcam picture:', error));
+            this.pip.hidden = false;
+            this.pip.appendChild(this.canvas);
+        }
+        this.canvas.hidden = view === 'off' || !this.showLandmarks;
+        this._layout();
+        this.onViewChanged(view);
+        return view;
+    }
+
+    // off -> background -> picture-in-picture -> off
+    nextView() {
+        return this.setView(VIEWS[(VIEWS.indexOf(this.view) + 1) % VIEWS.length]);
+    }
+
+    setShadowGround(shadowGround) {
+        this.shadowGround = shadowGround;
+        if (this.view === 'background') {
+            this.game.sceneManager.setPassthrough(this.texture, { shadowGround });
+        }
+    }
+
+    setLandmarksVisible(visible) {
+        this.showLandmarks = visible;
+        this.canvas.hidden = this.view === 'off' || !visible;
+    }
+
+    // Raise the camera above the ground (moving the ground down in the
+    // picture) and tilt it further down, by these amounts in metres and radians
+    adjustPlacement(heightChange, tiltChange = 0) {
+        this.placement.height = THREE.MathUtils.clamp(this.placement.height + heightChange, MIN_HEIGHT, MAX_HEIGHT);
+        this.placement.tilt = THREE.MathUtils.clamp(this.placement.tilt + tiltChange, MIN_TILT, MAX_TILT);
+        this._storePlacement();
+    }
+
+    resetPlacement() {
+        this.placement = { ...DEFAULT_PLACEMENT };
+        this._storePlacement();
+    }
+
+    update() {
+        if (this.canvas.hidden) return;
+
+        const context = this.context;
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        context.strokeStyle = LANDMARK_COLOR;
+        context.fillStyle = LANDMARK_COLOR;
+        context.lineWidth = 2;
+
+        const tracker = this.game.handTracker;
+        for (const handData of tracker.getHands()) {
+            if (!handData.landmarks) continue;
+            const points = handData.landmarks.map(landmark => this._toCanvas(landmark));
+
+            context.beginPath();
+            for (const [a, b] of HAND_CONNECTIONS) {
+                context.moveTo(points[a].x, points[a].y);
+                context.lineTo(points[b].x, points[b].y);
+            }
+            context.stroke();
+            for (const point of points) {
+                context.beginPath();
+                context.arc(point.x, point.y, LANDMARK_RADIUS, 0, Math.PI * 2);
+                context.fill();
+            }
+        }
+    }
+
+    // Through the same mapping as the hand indicators; the window shows the
+    // whole frame, which is what the tracker maps without a screen aspect
+    _toCanvas(landmark) {
+        this.game.handTracker.videoToScreen(landmark.x, landmark.y, _point);
+        return { x: _point.x * this.canvas.width, y: _point.y * this.canvas.height };
+    }
+
+    _leaveView() {
+        const sceneManager = this.game.sceneManager;
+        if (this.view === 'background') {
+            sceneManager.setPassthrough(null);
+            this.texture.dispose();
+            this.texture = null;
+            this.game.handTracker.setScreenAspect(null);
+
+            const rigs = this.game.cameraRigs;
+            rigs.setRig(this.previousRig);
+            rigs.removeRig('ar');
+            sceneManager.camera.fov = this.savedFov;
+            sceneManager.camera.updateProjectionMatrix();
+        } else if (this.view === 'pip') {
+            this.pipVideo.srcObject = null;
+            this.pip.hidden = true;
+            this.container.appendChild(this.canvas);
+        }
+        this.canvas.hidden = true;
+    }
+
+    // Fit the picture, the tracker's mapping, the camera's field of view and
+    // the overlay to the current window
+    _layout() {
+        if (!this.game || this.view === 'off') return;
+        const tracker = this.game.handTracker;
+        const videoAspect = tracker.videoAspect();
+
+        if (this.view === 'pip') {
+            if (videoAspect) this.pip.style.aspectRatio = videoAspect;
+            this.canvas.width = this.pip.clientWidth;
+            this.canvas.height = this.pip.clientHeight;
+            return;
+        }
+
+        const renderDiv = this.game.sceneManager.renderDiv;
+        const screenAspect = renderDiv.clientWidth / renderDiv.clientHeight;
+        tracker.setScreenAspect(screenAspect);
+        this.canvas.width = renderDiv.clientWidth;
+        this.canvas.height = renderDiv.clientHeight;
+
+        // Mirrored and cropped like the tracker's videoToScreen
+        const { scaleX, scaleY } = coverScale(videoAspect, screenAspect);
+        this.texture.repeat.set(-1 / scaleX, 1 / scaleY);
+        this.texture.offset.set(0.5 + 0.5 / scaleX, 0.5 - 0.5 / scaleY);
+
+        // The webcam's view, less what the crop cut off the top and bottom
+        const camera = this.game.sceneManager.camera;
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(this.fov) / 2) / scaleY;
+        camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(halfHeight));
+        camera.updateProjectionMatrix();
+    }
+
+    _placeCamera(pose) {
+        pose.position.set(0, this.placement.height, DEFAULT_CAMERA_POSITION.z);
+        pose.quaternion.setFromEuler(_euler.set(-this.placement.tilt, 0, 0));
+    }
+
+    _loadPlacement() {
+        try {
+            const stored = this.storage && JSON.parse(this.storage.getItem(PLACEMENT_KEY));
+            if (stored && Number.isFinite(stored.height) && Number.isFinite(stored.tilt)) {
+                return { height: stored.height, tilt: stored.tilt };
+            }
+        } catch (error) {
+            console.warn('Could not read the AR placement:', error);
+        }
+        return { ...DEFAULT_PLACEMENT };
+    }
+
+    _storePlacement() {
+        try {
+            this.storage.setItem(PLACEMENT_KEY, JSON.stringify(this.placement));
+        } catch (error) {
+            console.warn('Could not save the AR placement:', error);
+        }
+    }
+}
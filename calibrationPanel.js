@@ -0,0 +1,155 @@
+import { HandCalibration, CalibrationProfiles } from 'handCalibration';
+
+// Dialog for choosing a calibration profile or recording a new one. It drives
+// a HandCalibration from the webcam tracker's hands every animation frame and
+// applies the chosen calibration to the tracker straight away.
+
+export class CalibrationPanel {
+    constructor(container, handTracker, profiles = new CalibrationProfiles()) {
+        this.handTracker = handTracker;
+        this.profiles = profiles;
+        this.calibration = new HandCalibration();
+
+        this.element = document.createElement('div');
+        this.element.className = 'calibration-panel';
+        this.element.innerHTML = `
+            <h2>Hand calibration</h2>
+            <div class="calibration-profiles">
+                <p>Profile: <select data-field="profile"></select>
+                    <button data-action="delete">Delete</button></p>
+                <p><button data-action="start">Calibrate</button> <button data-action="close">Close</button></p>
+            </div>
+            <div class="calibration-run" hidden>
+                <p class="calibration-step">Step <span data-field="stepNumber"></span> of <span data-field="stepCount"></span></p>
+                <p class="calibration-instruction" data-field="instruction"></p>
+                <div class="calibration-progress"><div></div></div>
+                <p class="calibration-hint" data-field="hint"></p>
+                <p><button data-action="cancel">Cancel</button></p>
+            </div>
+            <div class="calibration-save" hidden>
+                <p data-field="message"></p>
+                <p><input data-field="name" placeholder="Your name" maxlength="32">
+                    <button data-action="save">Save</button> <button data-action="retry">Retry</button></p>
+            </div>
+        `;
+        container.appendChild(this.element);
+
+        this.profilesSection = this.element.querySelector('.calibration-profiles');
+        this.runSection = this.element.querySelector('.calibration-run');
+        this.saveSection = this.element.querySelector('.calibration-save');
+        this.profileSelect = this.element.querySelector('[data-field="profile"]');
+        this.nameInput = this.element.querySelector('[data-field="name"]');
+        this.progressBar = this.element.querySelector('.calibration-progress > div');
+        this.onClose = () => { };
+
+        this.profileSelect.addEventListener('change', () => this._useProfile(this.profileSelect.value));
+        this._onClick('delete', () => this._deleteProfile());
+        this._onClick('start', () => this._start());
+        this._onClick('retry', () => this._start());
+        this._onClick('cancel', () => this._showProfiles());
+        this._onClick('save', () => this._save());
+        this._onClick('close', () => this.dispose());
+
+        this.calibration.onComplete = () => this._showSave('Done! Save it under your name to use it next time.');
+        this.calibration.onFailed = (message) => this._showSave(message);
+
+        this._refreshProfiles();
+        const tick = () => {
+            this.update();
+            this._frame = requestAnimationFrame(tick);
+        };
+        this._frame = requestAnimationFrame(tick);
+    }
+
+    update() {
+        if (this.calibration.state !== 'running') return;
+
+        this.calibration.update(this.handTracker.getHands());
+        const status = this.calibration.getStatus();
+        if (status.state !== 'running') return;
+
+        this._setField('stepNumber', status.stepNumber);
+        this._setField('stepCount', status.stepCount);
+        this._setField('instruction', status.step.instruction);
+        this._setField('hint', !status.handVisible ? 'Show your hand to the camera'
+            : status.settling ? 'Get ready...' : 'Hold still');
+        this.progressBar.style.width = `${Math.round(status.progress * 100)}%`;
+    }
+
+    dispose() {
+        cancelAnimationFrame(this._frame);
+        this.calibration.cancel();
+        this.element.remove();
+        this.onClose();
+    }
+
+    _start() {
+        this.profilesSection.hidden = true;
+        this.saveSection.hidden = true;
+        this.runSection.hidden = false;
+        this.calibration.start();
+    }
+
+    _showProfiles() {
+        this.calibration.cancel();
+        this.runSection.hidden = true;
+        this.saveSection.hidden = true;
+        this.profilesSection.hidden = false;
+        this._refreshProfiles();
+    }
+
+    _showSave(message) {
+        this.runSection.hidden = true;
+        this.saveSection.hidden = false;
+        this._setField('message', message);
+        // A failed run can only be retried
+        const succeeded = this.calibration.state === 'done';
+        this.nameInput.hidden = !succeeded;
+        this.saveSection.querySelector('[data-action="save"]').hidden = !succeeded;
+        if (succeeded) {
+            this.nameInput.value = this.profiles.activeName || '';
+            this.nameInput.focus();
+        }
+    }
+
+    _save() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            this.nameInput.focus();
+            return;
+        }
+        this.profiles.save(name, this.calibration.result);
+        this.handTracker.setCalibration(this.calibration.result);
+        this._showProfiles();
+    }
+
+    _useProfile(name) {
+        this.profiles.setActive(name || null);
+        this.handTracker.setCalibration(this.profiles.getActive());
+    }
+
+    _deleteProfile() {
+        const name = this.profileSelect.value;
+        if (!name) return;
+        this.profiles.remove(name);
+        this.handTracker.setCalibration(this.profiles.getActive());
+        this._refreshProfiles();
+    }
+
+    _refreshProfiles() {
+        const active = this.profiles.activeName;
+        this.profileSelect.innerHTML = '';
+        this.profileSelect.add(new Option('Default', ''));
+        for (const name of this.profiles.list()) {
+            this.profileSelect.add(new Option(name, name, false, name === active));
+        }
+    }
+
+    _onClick(action, handler) {
+        this.element.querySelector(`[data-action="${action}"]`).addEventListener('click', handler);
+    }
+
+    _setField(name, value) {
+        this.element.querySelector(`[data-field="${name}"]`).textContent = value;
+    }
+}
@@ -0,0 +1,285 @@
+import * as THREE from 'three';
+import { DEFAULT_CAMERA_POSITION, DEFAULT_CAMERA_TARGET } from 'sceneManager';
+import { GAME_EVENTS } from 'eventBus';
+
+// Ways of pointing the camera, one active at a time. Game updates the active
+// rig at the start of each frame, before the hands are placed, so hand
+// indicators and the grab ray always use the camera that is drawn. Every rig
+// names the point it looks at; hands reach out to around that distance
+// (SceneManager.handReachOffset), so they still reach the objects from a
+// camera that is further away or closer than the default one.
+//
+// A rig has update(deltaTime, pose, game), filling pose.position,
+// pose.quaternion and pose.focus (null for none), and optionally
+// activate()/deactivate() and snap (true to skip the blend when switching to it).
+
+const RIG_ORDER = ['default', 'orbit', 'follow', 'topDown']; // What nextRig() cycles through
+const TRANSITION_TIME = 0.6; // Seconds to blend from one rig's view to the next
+const ORBIT_TURN_SPEED = 1.2; // rad/s while an arrow key is held
+const ORBIT_ZOOM_SPEED = 4; // m/s while + or - is held
+const MIN_ORBIT_PITCH = 0.05; // Radians above the target
+const MAX_ORBIT_PITCH = 1.5;
+const MIN_ORBIT_DISTANCE = 1.5; // Metres from the target
+const MAX_ORBIT_DISTANCE = 20;
+const FOLLOW_DISTANCE = 3; // Metres behind a thrown object
+const FOLLOW_HEIGHT = 1.2; // ...and above it
+const FOLLOW_SMOOTHING = 4; // How quickly the follow camera closes in on where it wants to be, per second
+const FOLLOW_REST_SPEED = 0.3; // m/s; slower than this the throw is over...
+const FOLLOW_REST_TIME = 0.5; // ...once it has stayed that slow this long (s)
+const MAX_FOLLOW_TIME = 6; // Seconds; long rolls are cut short
+const TOP_DOWN_MARGIN = 1.15; // Room around the play area in the top-down view
+const UNBOUNDED_HALF_SIZE = 10; // Half-width shown from above for levels without bounds
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _north = new THREE.Vector3(0, 0, -1); // Screen up in the top-down view: away from the player
+const _matrix = new THREE.Matrix4();
+const _direction = new THREE.Vector3();
+const _homeFocusDistance = DEFAULT_CAMERA_POSITION.distanceTo(DEFAULT_CAMERA_TARGET);
+
+export class CameraRigs {
+    constructor(game) {
+        this.game = game;
+        this.rigs = new Map(); // Name -> rig
+        this.activeName = null;
+        this.pose = createPose();
+        this.transition = null; // { from: pose, reachOffset, elapsed } while blending into a new rig
+        this.onRigChanged = () => { };
+
+        this.addRig('default', new FixedRig(DEFAULT_CAMERA_POSITION, DEFAULT_CAMERA_TARGET));
+        this.addRig('orbit', new OrbitRig(DEFAULT_CAMERA_TARGET, DEFAULT_CAMERA_POSITION));
+        this.addRig('follow', new FollowRig(game.events, this.rigs.get('default')));
+        this.addRig('topDown', new TopDownRig());
+        this.activeName = 'default';
+    }
+
+    get active() {
+        return this.rigs.get(this.activeName);
+    }
+
+    addRig(name, rig) {
+        this.rigs.set(name, rig);
+    }
+
+    // The active rig can't be removed; switch away from it first
+    removeRig(name) {
+        if (name === this.activeName) {
+            throw new Error(`Camera rig "${name}" is in use`);
+        }
+        this.rigs.delete(name);
+    }
+
+    setRig(name) {
+        const rig = this.rigs.get(name);
+        if (!rig) {
+            throw new Error(`Unknown camera rig "${name}"`);
+        }
+        if (name === this.activeName) return;
+
+        const previous = this.active;
+        if (previous && previous.deactivate) previous.deactivate();
+        this.activeName = name;
+        if (rig.activate) rig.activate();
+
+        // Blend from wherever the camera is now
+        const camera = this.game.sceneManager.camera;
+        this.transition = rig.snap ? null : {
+            from: { position: camera.position.clone(), quaternion: camera.quaternion.clone() },
+            reachOffset: this.game.sceneManager.handReachOffset,
+            elapsed: 0,
+        };
+        this.onRigChanged(name);
+    }
+
+    nextRig() {
+        const index = RIG_ORDER.indexOf(this.activeName);
+        this.setRig(RIG_ORDER[(index + 1) % RIG_ORDER.length]);
+        return this.activeName;
+    }
+
+    update(deltaTime) {
+        const pose = this.pose;
+        pose.focus = null;
+        this.active.update(deltaTime, pose, this.game);
+        let reachOffset = pose.focus ? pose.position.distanceTo(pose.focus) - _homeFocusDistance : 0;
+
+        const sceneManager = this.game.sceneManager;
+        const camera = sceneManager.camera;
+        const transition = this.transition;
+        if (transition) {
+            transition.elapsed += deltaTime;
+            const t = smoothstep(Math.min(1, transition.elapsed / TRANSITION_TIME));
+            camera.position.lerpVectors(transition.from.position, pose.position, t);
+            camera.quaternion.slerpQuaternions(transition.from.quaternion, pose.quaternion, t);
+            reachOffset = THREE.MathUtils.lerp(transition.reachOffset, reachOffset, t);
+            if (t >= 1) this.transition = null;
+        } else {
+            camera.position.copy(pose.position);
+            camera.quaternion.copy(pose.quaternion);
+        }
+        sceneManager.handReachOffset = reachOffset;
+        camera.updateMatrixWorld(); // Hands are placed through it before the next render
+    }
+}
+
+// The original view: standing back from the play area, looking slightly down at it
+export class FixedRig {
+    constructor(position, target) {
+        this.position = position.clone();
+        this.target = target.clone();
+    }
+
+    update(deltaTime, pose) {
+        pose.position.copy(this.position);
+        lookAt(pose, this.target);
+    }
+}
+
+// A spectator's camera circling a point: the arrow keys go around and over
+// it, + and - move closer and further
+export class OrbitRig {
+    constructor(target, startPosition) {
+        this.target = target.clone();
+        const offset = startPosition.clone().sub(target);
+        this.distance = offset.length();
+        this.yaw = Math.atan2(offset.x, offset.z);
+        this.pitch = Math.asin(offset.y / this.distance);
+        this.keys = new Set(); // Codes of the keys held down
+
+        this._onKeyDown = (event) => this._handleKey(event, true);
+        this._onKeyUp = (event) => this._handleKey(event, false);
+    }
+
+    // Keys are only listened to while this is the active rig
+    activate() {
+        window.addEventListener('keydown', this._onKeyDown);
+        window.addEventListener('keyup', this._onKeyUp);
+    }
+
+    deactivate() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('keyup', this._onKeyUp);
+        this.keys.clear();
+    }
+
+    update(deltaTime, pose) {
+        const keys = this.keys;
+        const turn = ORBIT_TURN_SPEED * deltaTime;
+        if (keys.has('ArrowLeft')) this.yaw -= turn;
+        if (keys.has('ArrowRight')) this.yaw += turn;
+        if (keys.has('ArrowUp')) this.pitch += turn;
+        if (keys.has('ArrowDown')) this.pitch -= turn;
+        if (keys.has('Equal') || keys.has('NumpadAdd')) this.distance -= ORBIT_ZOOM_SPEED * deltaTime;
+        if (keys.has('Minus') || keys.has('NumpadSubtract')) this.distance += ORBIT_ZOOM_SPEED * deltaTime;
+        this.pitch = THREE.MathUtils.clamp(this.pitch, MIN_ORBIT_PITCH, MAX_ORBIT_PITCH);
+        this.distance = THREE.MathUtils.clamp(this.distance, MIN_ORBIT_DISTANCE, MAX_ORBIT_DISTANCE);
+
+        const horizontal = Math.cos(this.pitch) * this.distance;
+        pose.position.set(
+            this.target.x + Math.sin(this.yaw) * horizontal,
+            this.target.y + Math.sin(this.pitch) * this.distance,
+            this.target.z + Math.cos(this.yaw) * horizontal
+        );
+        lookAt(pose, this.target);
+    }
+
+    _handleKey(event, isDown) {
+        if (event.target && event.target.tagName === 'INPUT') return; // Moving a tuning slider
+        if (isDown) {
+            this.keys.add(event.code);
+        } else {
+            this.keys.delete(event.code);
+        }
+    }
+}
+
+// Chases the last thrown object from behind and above until it comes to rest
+// (or is caught, or is gone), then drifts back to the home rig's view
+export class FollowRig {
+    constructor(events, home) {
+        this.home = home;
+        this.target = null; // The PhysicsObject being followed
+        this.followTime = 0;
+        this.restTime = 0;
+        this.position = null; // Where the camera is, smoothed; null until first updated
+        this.focus = new THREE.Vector3();
+        this.heading = new THREE.Vector3(0, 0, -1); // The throw's horizontal direction
+        this.goal = createPose();
+
+        events.on(GAME_EVENTS.RELEASE, ({ object }) => this.follow(object));
+    }
+
+    follow(object) {
+        this.target = object;
+        this.followTime = 0;
+        this.restTime = 0;
+    }
+
+    update(deltaTime, pose, game) {
+        const goal = this.goal;
+        if (this.target && this._throwOver(deltaTime, game)) this.target = null;
+
+        if (this.target) {
+            const object = this.target;
+            _direction.set(object.velocity.x, 0, object.velocity.z);
+            if (_direction.lengthSq() > 0.01) this.heading.copy(_direction.normalize());
+            goal.position.copy(object.position).addScaledVector(this.heading, -FOLLOW_DISTANCE);
+            goal.position.y += FOLLOW_HEIGHT;
+            goal.focus = object.position;
+        } else {
+            this.home.update(deltaTime, goal, game);
+        }
+        const focus = goal.focus;
+
+        // Ease towards the goal, so the camera neither jumps onto a throw nor back afterwards
+        if (this.position === null) {
+            this.position = goal.position.clone();
+            this.focus.copy(focus);
+        } else {
+            const t = 1 - Math.exp(-FOLLOW_SMOOTHING * deltaTime);
+            this.position.lerp(goal.position, t);
+            this.focus.lerp(focus, t);
+        }
+        pose.position.copy(this.position);
+        lookAt(pose, this.focus);
+    }
+
+    _throwOver(deltaTime, game) {
+        const object = this.target;
+        if (!game.physicsObjects.includes(object) || object.isHeld) return true;
+
+        this.followTime += deltaTime;
+        this.restTime = object.velocity.length() < FOLLOW_REST_SPEED ? this.restTime + deltaTime : 0;
+        return this.restTime >= FOLLOW_REST_TIME || this.followTime >= MAX_FOLLOW_TIME;
+    }
+}
+
+// Straight down on the play area, far enough up to fit the level's bounds
+export class TopDownRig {
+    constructor() {
+        this.target = new THREE.Vector3();
+    }
+
+    update(deltaTime, pose, game) {
+        const camera = game.sceneManager.camera;
+        const halfSize = (game.physicsWorld.bounds ?? UNBOUNDED_HALF_SIZE) * TOP_DOWN_MARGIN;
+        const halfFov = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const height = halfSize / (halfFov * Math.min(1, camera.aspect));
+        pose.position.set(this.target.x, this.target.y + height, this.target.z);
+        lookAt(pose, this.target, _north);
+    }
+}
+
+function createPose() {
+    return { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), focus: null };
+}
+
+// Turn the pose to face target, and remember it as what the camera looks at
+function lookAt(pose, target, up = _up) {
+    _matrix.lookAt(pose.position, target, up);
+    pose.quaternion.setFromRotationMatrix(_matrix);
+    pose.focus = target;
+}
+
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,539 @@
+import * as THREE from 'three';
+
+// Collision shapes for PhysicsObject. All shapes are centred on their body's
+// origin (its centre of mass) and described in the body's local frame.
+// Convex shapes provide support() for GJK/EPA, planeContactPoints() for
+// cheap, multi-point contact against flat surfaces such as the ground, and
+// containsPoint() and faceNormal() (local space) for building face contact
+// manifolds.
+
+const _direction = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _radial = new THREE.Vector3();
+const _childDirection = new THREE.Vector3();
+const _inverseQuaternion = new THREE.Quaternion();
+
+const CYLINDER_RIM_SAMPLES = 8; // Rim points used when a cylinder sits flat on a surface
+const FACE_SNAP_COS = 0.9995; // Directions within ~1.8 degrees of a flat face's normal snap to it
+const FACE_SNAP_SIN = Math.sqrt(1 - FACE_SNAP_COS * FACE_SNAP_COS);
+
+export class SphereShape {
+    constructor(radius) {
+        this.type = 'sphere';
+        this.radius = radius;
+        this.boundingRadius = radius;
+    }
+
+    volume() {
+        return (4 / 3) * Math.PI * Math.pow(this.radius, 3);
+    }
+
+    // Exact for a sphere, so thin-walled balls get the right mass
+    shellVolume(thickness) {
+        const inner = Math.max(0, this.radius - thickness);
+        return this.volume() - (4 / 3) * Math.PI * Math.pow(inner, 3);
+    }
+
+    dragArea() {
+        return Math.PI * this.radius * this.radius;
+    }
+
+    inertia(mass, hollow = false) {
+        const i = (hollow ? 2 / 3 : 2 / 5) * mass * this.radius * this.radius;
+        return new THREE.Vector3(i, i, i);
+    }
+
+    support(direction, out) {
+        return out.copy(direction).normalize().multiplyScalar(this.radius);
+    }
+
+    planeContactPoints(position, quaternion, normal, out) {
+        out.push(position.clone().addScaledVector(normal, -this.radius));
+    }
+
+    containsPoint(point, tolerance = 0) {
+        return point.length() <= this.radius + tolerance;
+    }
+
+    // No flat faces
+    faceNormal(direction, out) {
+        return out.copy(direction);
+    }
+}
+
+export class BoxShape {
+    constructor(halfExtents) {
+        this.type = 'box';
+        this.halfExtents = halfExtents.clone();
+        this.boundingRadius = this.halfExtents.length();
+        this.corners = [];
+        for (const x of [-1, 1]) {
+            for (const y of [-1, 1]) {
+                for (const z of [-1, 1]) {
+                    this.corners.push(new THREE.Vector3(x * halfExtents.x, y * halfExtents.y, z * halfExtents.z));
+                }
+            }
+        }
+    }
+
+    volume() {
+        return 8 * this.halfExtents.x * this.halfExtents.y * this.halfExtents.z;
+    }
+
+    shellVolume(thickness) {
+        const { x, y, z } = this.halfExtents;
+        return Math.min(this.volume(), 8 * (x * y + y * z + z * x) * thickness);
+    }
+
+    dragArea() {
+        const { x, y, z } = this.halfExtents;
+        return 4 * (x * y + y * z + z * x) / 3; // Average face-on area
+    }
+
+    inertia(mass) {
+        const { x, y, z } = this.halfExtents;
+        return new THREE.Vector3(
+            mass * (y * y + z * z) / 3,
+            mass * (x * x + z * z) / 3,
+            mass * (x * x + y * y) / 3
+        );
+    }
+
+    support(direction, out) {
+        return out.set(
+            direction.x >= 0 ? this.halfExtents.x : -this.halfExtents.x,
+            direction.y >= 0 ? this.halfExtents.y : -this.halfExtents.y,
+            direction.z >= 0 ? this.halfExtents.z : -this.halfExtents.z
+        );
+    }
+
+    planeContactPoints(position, quaternion, normal, out) {
+        for (const corner of this.corners) {
+            out.push(corner.clone().applyQuaternion(quaternion).add(position));
+        }
+    }
+
+    containsPoint(point, tolerance = 0) {
+        return Math.abs(point.x) <= this.halfExtents.x + tolerance &&
+            Math.abs(point.y) <= this.halfExtents.y + tolerance &&
+            Math.abs(point.z) <= this.halfExtents.z + tolerance;
+    }
+
+    // Normal of the face a (unit, local) direction points at, if it's nearly
+    // face-on; otherwise the direction unchanged
+    faceNormal(direction, out) {
+        for (let axis = 0; axis < 3; axis++) {
+            const component = direction.getComponent(axis);
+            if (Math.abs(component) > FACE_SNAP_COS) {
+                return out.set(0, 0, 0).setComponent(axis, Math.sign(component));
+            }
+        }
+        return out.copy(direction);
+    }
+}
+
+// Upright along local Y
+export class CylinderShape {
+    constructor(radius, halfHeight) {
+        this.type = 'cylinder';
+        this.radius = radius;
+        this.halfHeight = halfHeight;
+        this.boundingRadius = Math.sqrt(radius * radius + halfHeight * halfHeight);
+    }
+
+    volume() {
+        return Math.PI * this.radius * this.radius * 2 * this.halfHeight;
+    }
+
+    shellVolume(thickness) {
+        const area = 2 * Math.PI * this.radius * 2 * this.halfHeight + 2 * Math.PI * this.radius * this.radius;
+        return Math.min(this.volume(), area * thickness);
+    }
+
+    dragArea() {
+        return (Math.PI * this.radius * this.radius + 4 * this.radius * this.halfHeight) / 2;
+    }
+
+    inertia(mass) {
+        const r2 = this.radius * this.radius;
+        const h2 = 4 * this.halfHeight * this.halfHeight;
+        const side = mass * (3 * r2 + h2) / 12;
+        return new THREE.Vector3(side, mass * r2 / 2, side);
+    }
+
+    support(direction, out) {
+        const radial = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+        const scale = radial > 1e-9 ? this.radius / radial : 0;
+        return out.set(
+            direction.x * scale,
+            direction.y >= 0 ? this.halfHeight : -this.halfHeight,
+            direction.z * scale
+        );
+    }
+
+    planeContactPoints(position, quaternion, normal, out) {
+        // Work in local space: the deepest point of each cap rim is along the
+        // plane normal projected onto the cap
+        _direction.copy(normal).negate().applyQuaternion(_inverseQuaternion.copy(quaternion).invert());
+        const radial = Math.sqrt(_direction.x * _direction.x + _direction.z * _direction.z);
+
+        for (const capY of [-this.halfHeight, this.halfHeight]) {
+            if (radial > 0.2) {
+                // Tilted or lying down: one rim point per cap
+                _point.set(_direction.x / radial * this.radius, capY, _direction.z / radial * this.radius);
+                out.push(_point.clone().applyQuaternion(quaternion).add(position));
+            } else {
+                // Standing (nearly) flat on the plane: sample around the rim so it rests stably
+                for (let i = 0; i < CYLINDER_RIM_SAMPLES; i++) {
+                    const angle = (i / CYLINDER_RIM_SAMPLES) * Math.PI * 2;
+                    _point.set(Math.cos(angle) * this.radius, capY, Math.sin(angle) * this.radius);
+                    out.push(_point.clone().applyQuaternion(quaternion).add(position));
+                }
+            }
+        }
+    }
+
+    containsPoint(point, tolerance = 0) {
+        return Math.abs(point.y) <= this.halfHeight + tolerance &&
+            point.x * point.x + point.z * point.z <= Math.pow(this.radius + tolerance, 2);
+    }
+
+    // The caps are flat, and the side is flat along the axis
+    faceNormal(direction, out) {
+        if (Math.abs(direction.y) > FACE_SNAP_COS) {
+            return out.set(0, Math.sign(direction.y), 0);
+        }
+        if (Math.abs(direction.y) < FACE_SNAP_SIN) {
+            return out.set(direction.x, 0, direction.z).normalize();
+        }
+        return out.copy(direction);
+    }
+}
+
+// A cylinder of halfHeight with hemispherical caps, along local Y
+export class CapsuleShape {
+    constructor(radius, halfHeight) {
+        this.type = 'capsule';
+        this.radius = radius;
+        this.halfHeight = halfHeight;
+        this.boundingRadius = halfHeight + radius;
+    }
+
+    volume() {
+        return Math.PI * this.radius * this.radius * 2 * this.halfHeight + (4 / 3) * Math.PI * Math.pow(this.radius, 3);
+    }
+
+    shellVolume(thickness) {
+        const area = 2 * Math.PI * this.radius * 2 * this.halfHeight + 4 * Math.PI * this.radius * this.radius;
+        return Math.min(this.volume(), area * thickness);
+    }
+
+    dragArea() {
+        return (Math.PI * this.radius * this.radius + 4 * this.radius * this.halfHeight) / 2;
+    }
+
+    inertia(mass) {
+        // Split the mass between the cylinder and the two end caps by volume
+        const r = this.radius;
+        const height = 2 * this.halfHeight;
+        const cylinderVolume = Math.PI * r * r * height;
+        const capsVolume = (4 / 3) * Math.PI * r * r * r;
+        const cylinderMass = mass * cylinderVolume / (cylinderVolume + capsVolume);
+        const capsMass = mass - cylinderMass;
+
+        const axial = cylinderMass * r * r / 2 + capsMass * 2 * r * r / 5;
+        const side = cylinderMass * (height * height / 12 + r * r / 4) +
+            capsMass * (2 * r * r / 5 + height * height / 4 + 3 * height * r / 8);
+        return new THREE.Vector3(side, axial, side);
+    }
+
+    support(direction, out) {
+        out.copy(direction).normalize().multiplyScalar(this.radius);
+        out.y += direction.y >= 0 ? this.halfHeight : -this.halfHeight;
+        return out;
+    }
+
+    // The segment end points; each end behaves like a sphere against a plane
+    planeContactPoints(position, quaternion, normal, out) {
+        _axis.set(0, 1, 0).applyQuaternion(quaternion);
+        for (const end of [-this.halfHeight, this.halfHeight]) {
+            out.push(position.clone().addScaledVector(_axis, end).addScaledVector(normal, -this.radius));
+        }
+    }
+
+    // World-space end points of the core segment
+    segment(position, quaternion, outStart, outEnd) {
+        _axis.set(0, 1, 0).applyQuaternion(quaternion);
+        outStart.copy(position).addScaledVector(_axis, -this.halfHeight);
+        outEnd.copy(position).addScaledVector(_axis, this.halfHeight);
+    }
+
+    containsPoint(point, tolerance = 0) {
+        const y = Math.max(-this.halfHeight, Math.min(this.halfHeight, point.y));
+        _point.set(point.x, point.y - y, point.z);
+        return _point.length() <= this.radius + tolerance;
+    }
+
+    // The side is flat along the axis
+    faceNormal(direction, out) {
+        if (Math.abs(direction.y) < FACE_SNAP_SIN) {
+            return out.set(direction.x, 0, direction.z).normalize();
+        }
+        return out.copy(direction);
+    }
+}
+
+// A single flat triangle, for static triangle-mesh colliders. Vertices are
+// local, relative to the triangle's centroid (its origin).
+export class TriangleShape {
+    constructor(a, b, c) {
+        this.type = 'triangle';
+        this.vertices = [a.clone(), b.clone(), c.clone()];
+        this.normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).normalize();
+        this.boundingRadius = Math.max(a.length(), b.length(), c.length());
+    }
+
+    // Static only: no volume, mass or drag
+    volume() {
+        return 0;
+    }
+
+    support(direction, out) {
+        let best = this.vertices[0];
+        for (const vertex of this.vertices) {
+            if (vertex.dot(direction) > best.dot(direction)) best = vertex;
+        }
+        return out.copy(best);
+    }
+
+    planeContactPoints(position, quaternion, normal, out) {
+        for (const vertex of this.vertices) {
+            out.push(vertex.clone().applyQuaternion(quaternion).add(position));
+        }
+    }
+
+    // Inside the triangle's prism (either side of its plane, within tolerance of it)
+    containsPoint(point, tolerance = 0) {
+        if (Math.abs(point.dot(this.normal)) > tolerance) return false;
+        for (let i = 0; i < 3; i++) {
+            const a = this.vertices[i];
+            const b = this.vertices[(i + 1) % 3];
+            _axis.subVectors(b, a).cross(this.normal).normalize(); // Outward edge normal
+            if (_point.subVectors(point, a).dot(_axis) > tolerance) return false;
+        }
+        return true;
+    }
+
+    // Both sides of the triangle are flat
+    faceNormal(direction, out) {
+        const alignment = direction.dot(this.normal);
+        if (Math.abs(alignment) > FACE_SNAP_COS) {
+            return out.copy(this.normal).multiplyScalar(Math.sign(alignment));
+        }
+        return out.copy(direction);
+    }
+
+    // Closest point of the triangle to p (Ericson, Real-Time Collision Detection 5.1.5).
+    // Returns true when it lies inside the face rather than on an edge or corner.
+    closestPoint(p, out) {
+        const [a, b, c] = this.vertices;
+        const ab = new THREE.Vector3().subVectors(b, a);
+        const ac = new THREE.Vector3().subVectors(c, a);
+        const ap = new THREE.Vector3().subVectors(p, a);
+        const d1 = ab.dot(ap);
+        const d2 = ac.dot(ap);
+        if (d1 <= 0 && d2 <= 0) {
+            out.copy(a);
+            return false;
+        }
+
+        const bp = new THREE.Vector3().subVectors(p, b);
+        const d3 = ab.dot(bp);
+        const d4 = ac.dot(bp);
+        if (d3 >= 0 && d4 <= d3) {
+            out.copy(b);
+            return false;
+        }
+
+        const vc = d1 * d4 - d3 * d2;
+        if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+            out.copy(a).addScaledVector(ab, d1 / (d1 - d3));
+            return false;
+        }
+
+        const cp = new THREE.Vector3().subVectors(p, c);
+        const d5 = ab.dot(cp);
+        const d6 = ac.dot(cp);
+        if (d6 >= 0 && d5 <= d6) {
+            out.copy(c);
+            return false;
+        }
+
+        const vb = d5 * d2 - d1 * d6;
+        if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+            out.copy(a).addScaledVector(ac, d2 / (d2 - d6));
+            return false;
+        }
+
+        const va = d3 * d6 - d5 * d4;
+        if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+            out.copy(b).addScaledVector(new THREE.Vector3().subVectors(c, b), (d4 - d3) / ((d4 - d3) + (d5 - d6)));
+            return false;
+        }
+
+        const denominator = 1 / (va + vb + vc);
+        out.copy(a).addScaledVector(ab, vb * denominator).addScaledVector(ac, vc * denominator);
+        return true;
+    }
+}
+
+// Several convex shapes rigidly joined. Children are given relative to the
+// object's origin; the constructor moves them so the body origin sits at the
+// combined centre of mass (see centerOffset).
+export class CompoundShape {
+    constructor(children) {
+        this.type = 'compound';
+
+        // Uniform density: the centre of mass is the volume-weighted centre
+        let totalVolume = 0;
+        const center = new THREE.Vector3();
+        for (const child of children) {
+            const volume = child.shape.volume();
+            totalVolume += volume;
+            center.addScaledVector(child.position, volume);
+        }
+        center.divideScalar(totalVolume || 1);
+
+        // Offset from the original origin to the centre of mass
+        this.centerOffset = center;
+        this.totalVolume = totalVolume;
+        this.children = children.map(child => ({
+            shape: child.shape,
+            position: child.position.clone().sub(center),
+            quaternion: (child.quaternion || new THREE.Quaternion()).clone(),
+        }));
+
+        this.boundingRadius = 0;
+        for (const child of this.children) {
+            this.boundingRadius = Math.max(this.boundingRadius, child.position.length() + child.shape.boundingRadius);
+        }
+    }
+
+    volume() {
+        return this.totalVolume;
+    }
+
+    shellVolume(thickness) {
+        return this.children.reduce((sum, child) => sum + child.shape.shellVolume(thickness), 0);
+    }
+
+    dragArea() {
+        return this.children.reduce((sum, child) => sum + child.shape.dragArea(), 0);
+    }
+
+    // Children's inertia moved to the centre of mass (parallel axis theorem).
+    // Only the diagonal is kept; products of inertia are small for the
+    // roughly symmetric objects this is used for.
+    inertia(mass, hollow = false) {
+        const total = new THREE.Vector3();
+        const rotation = new THREE.Matrix3();
+        const diagonal = new THREE.Matrix3();
+        const rotated = new THREE.Matrix3();
+
+        for (const child of this.children) {
+            const childMass = mass * child.shape.volume() / (this.totalVolume || 1);
+            const local = child.shape.inertia(childMass, hollow);
+
+            // R * diag(local) * R^T, then take its diagonal
+            rotation.setFromMatrix4(new THREE.Matrix4().makeRotationFromQuaternion(child.quaternion));
+            diagonal.set(local.x, 0, 0, 0, local.y, 0, 0, 0, local.z);
+            rotated.multiplyMatrices(rotation, diagonal).multiply(rotation.clone().transpose());
+            const e = rotated.elements;
+
+            const p = child.position;
+            total.x += e[0] + childMass * (p.y * p.y + p.z * p.z);
+            total.y += e[4] + childMass * (p.x * p.x + p.z * p.z);
+            total.z += e[8] + childMass * (p.x * p.x + p.y * p.y);
+        }
+        return total;
+    }
+
+    // World transform of each child given the body's transform
+    forEachChild(position, quaternion, callback) {
+        for (const child of this.children) {
+            const childPosition = child.position.clone().applyQuaternion(quaternion).add(position);
+            const childQuaternion = quaternion.clone().multiply(child.quaternion);
+            callback(child.shape, childPosition, childQuaternion);
+        }
+    }
+
+    // Furthest child support point; compounds aren't convex, so this is only
+    // used for extents (e.g. the lowest point), never for GJK
+    support(direction, out) {
+        _childDirection.copy(direction); // worldSupport reuses the scratch vector direction may be
+        let best = -Infinity;
+        for (const child of this.children) {
+            worldSupport(child.shape, child.position, child.quaternion, _childDirection, _point);
+            const distance = _point.dot(_childDirection);
+            if (distance > best) {
+                best = distance;
+                out.copy(_point);
+            }
+        }
+        return out;
+    }
+
+    planeContactPoints(position, quaternion, normal, out) {
+        this.forEachChild(position, quaternion, (shape, childPosition, childQuaternion) => {
+            shape.planeContactPoints(childPosition, childQuaternion, normal, out);
+        });
+    }
+}
+
+// Build a collision shape that matches a mesh made by SceneManager's factories:
+// sphere, box, cylinder and capsule geometries, or a Group of them (compound).
+export function shapeFromMesh(mesh) {
+    if (mesh.isMesh) {
+        return shapeFromGeometry(mesh.geometry, mesh.scale);
+    }
+
+    const children = [];
+    for (const child of mesh.children) {
+        if (!child.isMesh) continue;
+        const shape = shapeFromGeometry(child.geometry, child.scale);
+        if (shape) {
+            children.push({ shape, position: child.position.clone(), quaternion: child.quaternion.clone() });
+        }
+    }
+    return children.length > 0 ? new CompoundShape(children) : null;
+}
+
+function shapeFromGeometry(geometry, scale) {
+    const params = geometry && geometry.parameters;
+    if (!params) return null;
+
+    switch (geometry.type) {
+        case 'SphereGeometry':
+            return new SphereShape(params.radius * scale.x);
+        case 'BoxGeometry':
+            return new BoxShape(new THREE.Vector3(
+                params.width * scale.x / 2,
+                params.height * scale.y / 2,
+                params.depth * scale.z / 2
+            ));
+        case 'CylinderGeometry':
+            return new CylinderShape(Math.max(params.radiusTop, params.radiusBottom) * scale.x, params.height * scale.y / 2);
+        case 'CapsuleGeometry':
+            return new CapsuleShape(params.radius * scale.x, params.length * scale.y / 2);
+        default:
+            return null;
+    }
+}
+
+// World-space support point of a convex shape
+export function worldSupport(shape, position, quaternion, direction, out) {
+    _radial.copy(direction).applyQuaternion(_inverseQuaternion.copy(quaternion).invert());
+    shape.support(_radial, out);
+    return out.applyQuaternion(quaternion).add(position);
+}
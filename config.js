@@ -0,0 +1,198 @@
+// Tuning values shared by every module, in one place. Modules read
+// config.values.<key> where they use a value, so a change takes effect on the
+// next frame without a reload. Values come from the defaults below, then a
+// preset (a JSON file or one saved in the browser), then URL query parameters
+// with the same names (?grabDistance=1.5&gravityScale=0.5); TuningPanel edits
+// them live.
+
+// type: 'number' or 'boolean'; numbers are clamped to min-max, step is for the panel
+export const CONFIG_SCHEMA = {
+    // Hands and throwing
+    grabDistance: { type: 'number', default: 1.2, min: 0.3, max: 3, step: 0.05, group: 'Hands', label: 'Grab reach (m)' },
+    grabConfidence: { type: 'number', default: 0.5, min: 0.2, max: 0.95, step: 0.05, group: 'Hands', label: 'Pinch needed to grab' },
+    throwScale: { type: 'number', default: 1, min: 0.25, max: 3, step: 0.05, group: 'Hands', label: 'Throw strength' },
+    maxThrowSpeed: { type: 'number', default: 25, min: 5, max: 50, step: 1, group: 'Hands', label: 'Max throw speed (m/s)' },
+    throwWindow: { type: 'number', default: 0.12, min: 0.04, max: 0.3, step: 0.01, group: 'Hands', label: 'Throw fit window (s)' },
+    nearDistance: { type: 'number', default: 2, min: 0.5, max: 5, step: 0.1, group: 'Hands', label: 'Nearest hand reach (m)' },
+    farDistance: { type: 'number', default: 7, min: 3, max: 15, step: 0.1, group: 'Hands', label: 'Farthest hand reach (m)' },
+
+    // Physics
+    gravityScale: { type: 'number', default: 1, min: 0, max: 3, step: 0.05, group: 'Physics', label: 'Gravity (x level)' },
+    restitutionScale: { type: 'number', default: 1, min: 0, max: 1.2, step: 0.05, group: 'Physics', label: 'Bounciness (x material)' },
+    linearDamping: { type: 'number', default: 0.98, min: 0.9, max: 1, step: 0.001, group: 'Physics', label: 'Speed kept per frame' },
+    angularDamping: { type: 'number', default: 0.99, min: 0.9, max: 1, step: 0.001, group: 'Physics', label: 'Spin kept per frame' },
+    holdFollow: { type: 'number', default: 0.8, min: 0.05, max: 1, step: 0.05, group: 'Physics', label: 'Held object follow' },
+
+    // Display
+    trajectoryPreview: { type: 'boolean', default: true, group: 'Display', label: 'Aiming arc' },
+    handSkeleton: { type: 'boolean', default: false, group: 'Display', label: 'Hand skeleton' },
+    debugOverlay: { type: 'boolean', default: false, group: 'Display', label: 'Debug overlay' },
+};
+
+const PRESETS_KEY = 'grabThrow.configPresets';
+
+export class Config {
+    constructor(schema = CONFIG_SCHEMA, storage = globalThis.localStorage) {
+        this.schema = schema;
+        this.storage = storage;
+        this.values = {};
+        this.listeners = []; // { key, listener }; key null for every change
+        for (const [key, entry] of Object.entries(schema)) {
+            this.values[key] = entry.default;
+        }
+    }
+
+    get(key) {
+        this._entry(key);
+        return this.values[key];
+    }
+
+    // Returns the value actually set, after conversion and clamping
+    set(key, value) {
+        const entry = this._entry(key);
+        const converted = convertValue(entry, value);
+        if (converted === null) {
+            throw new Error(`Invalid value for config "${key}": ${value}`);
+        }
+        if (converted !== this.values[key]) {
+            this.values[key] = converted;
+            for (const { key: watched, listener } of [...this.listeners]) {
+                if (watched === null || watched === key) listener(converted, key);
+            }
+        }
+        return converted;
+    }
+
+    // Back to the defaults: one key, or all of them
+    reset(key = null) {
+        const keys = key === null ? Object.keys(this.schema) : [key];
+        for (const name of keys) {
+            this.set(name, this._entry(name).default);
+        }
+    }
+
+    // Call listener(value, key) when key changes, or any key without one.
+    // Returns a function that unsubscribes.
+    onChange(listener, key = null) {
+        if (key !== null) this._entry(key);
+        const subscription = { key, listener };
+        this.listeners.push(subscription);
+        return () => {
+            const index = this.listeners.indexOf(subscription);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    // Values from URL query parameters named after config keys; others are
+    // left for whoever else reads the URL. Bad values are skipped with a warning.
+    applyQuery(params) {
+        for (const key of Object.keys(this.schema)) {
+            if (params.has(key)) this._trySet(key, params.get(key), 'URL');
+        }
+    }
+
+    // A preset is a { key: value } object, e.g. from toPreset()
+    applyPreset(preset) {
+        for (const [key, value] of Object.entries(preset)) {
+            if (key in this.schema) {
+                this._trySet(key, value, 'preset');
+            } else {
+                console.warn(`Ignoring unknown config "${key}" in preset`);
+            }
+        }
+    }
+
+    // The values that differ from the defaults
+    toPreset() {
+        const preset = {};
+        for (const [key, entry] of Object.entries(this.schema)) {
+            if (this.values[key] !== entry.default) preset[key] = this.values[key];
+        }
+        return preset;
+    }
+
+    // Presets saved in this browser, by name
+    listPresets() {
+        return Object.keys(this._loadPresets()).sort();
+    }
+
+    savePreset(name) {
+        const presets = this._loadPresets();
+        presets[name] = this.toPreset();
+        this._storePresets(presets);
+    }
+
+    // Defaults plus the named preset; returns whether it exists
+    loadPreset(name) {
+        const preset = this._loadPresets()[name];
+        if (!preset) return false;
+        this.reset();
+        this.applyPreset(preset);
+        return true;
+    }
+
+    removePreset(name) {
+        const presets = this._loadPresets();
+        delete presets[name];
+        this._storePresets(presets);
+    }
+
+    _trySet(key, value, source) {
+        try {
+            this.set(key, value);
+        } catch (error) {
+            console.warn(`Ignoring ${source} config: ${error.message}`);
+        }
+    }
+
+    _entry(key) {
+        const entry = this.schema[key];
+        if (!entry) {
+            throw new Error(`Unknown config "${key}"`);
+        }
+        return entry;
+    }
+
+    _loadPresets() {
+        try {
+            const presets = this.storage && JSON.parse(this.storage.getItem(PRESETS_KEY));
+            if (presets && typeof presets === 'object') return presets;
+        } catch (error) {
+            console.warn('Could not read config presets:', error);
+        }
+        return {};
+    }
+
+    _storePresets(presets) {
+        try {
+            this.storage.setItem(PRESETS_KEY, JSON.stringify(presets));
+        } catch (error) {
+            console.warn('Could not save config presets:', error);
+        }
+    }
+}
+
+// A preset JSON file, as written by TuningPanel's export
+export async function fetchPreset(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load config preset from ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+// Strings (from the URL) and other loose values to the entry's type, or null
+function convertValue(entry, value) {
+    if (entry.type === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === '1' || value === '') return true;
+        if (value === 'false' || value === '0') return false;
+        return null;
+    }
+    const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+    if (!Number.isFinite(number)) return null;
+    return Math.min(entry.max ?? Infinity, Math.max(entry.min ?? -Infinity, number));
+}
+
+// The one every module reads
+export const config = new Config();
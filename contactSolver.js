@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+
+const RESTITUTION_THRESHOLD = 0.5; // m/s; slower impacts don't bounce, so resting objects settle
+const POSITION_CORRECTION = 0.6; // Fraction of the overlap removed per step
+const PENETRATION_SLOP = 0.002; // Overlap left alone so resting contacts don't flicker in and out
+const WARM_START_DISTANCE = 0.02; // Max drift (m, in body A's frame) for a point to inherit last step's impulses
+
+const _relativeVelocity = new THREE.Vector3();
+const _velocityB = new THREE.Vector3();
+const _impulse = new THREE.Vector3();
+const _cross = new THREE.Vector3();
+const _angular = new THREE.Vector3();
+const _inverseQuaternion = new THREE.Quaternion();
+
+function createPoint() {
+    return {
+        normal: new THREE.Vector3(),
+        depth: 0,
+        rA: new THREE.Vector3(), // Contact point relative to each body's centre
+        rB: new THREE.Vector3(),
+        localA: new THREE.Vector3(), // rA in body A's frame, for matching across steps
+        tangent1: new THREE.Vector3(),
+        tangent2: new THREE.Vector3(),
+        normalMass: 0,
+        tangentMass1: 0,
+        tangentMass2: 0,
+        velocityBias: 0,
+        normalImpulse: 0,
+        frictionImpulse: new THREE.Vector3(),
+    };
+}
+
+// Sequential-impulse solver for rigid-body contacts. A manifold is the set
+// of contact points between body A and either body B or a static surface
+// (bodyB null). Normals point from B to A. Accumulated impulses are kept on
+// the points so the next step can start from them (warm starting), which is
+// what keeps stacks of cans and blocks standing still.
+export class ContactSolver {
+    constructor(options = {}) {
+        this.iterations = options.iterations || 8;
+    }
+
+    // Turn fresh narrowphase contacts into solver points for a manifold,
+    // inheriting impulses from matching points of the previous step
+    preparePoints(manifold, contacts, dt) {
+        const { bodyA, bodyB } = manifold;
+        const previous = manifold.points || [];
+
+        // Points are double-buffered per manifold: this step's are built in
+        // the objects from the step before last, so piles don't churn garbage
+        const points = manifold.spare || [];
+        manifold.spare = previous;
+        points.length = contacts.length;
+
+        _inverseQuaternion.copy(bodyA.quaternion).invert();
+
+        for (let i = 0; i < contacts.length; i++) {
+            const contact = contacts[i];
+            const point = points[i] || (points[i] = createPoint());
+            point.normal.copy(contact.normal);
+            point.depth = contact.depth;
+            point.rA.subVectors(contact.point, bodyA.position);
+            if (bodyB) point.rB.subVectors(contact.point, bodyB.position);
+            point.localA.copy(point.rA).applyQuaternion(_inverseQuaternion);
+
+            // Warm start from the nearest point of the last step, if it's still the same spot
+            let best = null;
+            let bestDistance = WARM_START_DISTANCE * WARM_START_DISTANCE;
+            for (const old of previous) {
+                const distance = old.localA.distanceToSquared(point.localA);
+                if (distance < bestDistance) {
+                    best = old;
+                    bestDistance = distance;
+                }
+            }
+            if (best) {
+                point.normalImpulse = best.normalImpulse;
+                point.frictionImpulse.copy(best.frictionImpulse);
+            } else {
+                point.normalImpulse = 0;
+                point.frictionImpulse.set(0, 0, 0);
+            }
+
+            this._preparePoint(manifold, point, dt);
+        }
+
+        manifold.points = points;
+    }
+
+    _preparePoint(manifold, point, dt) {
+        const { bodyA, bodyB } = manifold;
+        const n = point.normal;
+
+        // Any two directions perpendicular to the normal
+        if (Math.abs(n.x) > 0.57735) {
+            point.tangent1.set(n.y, -n.x, 0);
+        } else {
+            point.tangent1.set(0, n.z, -n.y);
+        }
+        point.tangent1.normalize();
+        point.tangent2.crossVectors(n, point.tangent1);
+
+        point.normalMass = this._effectiveMass(bodyA, bodyB, point, n);
+        point.tangentMass1 = this._effectiveMass(bodyA, bodyB, point, point.tangent1);
+        point.tangentMass2 = this._effectiveMass(bodyA, bodyB, point, point.tangent2);
+
+        const approachSpeed = this._relativeVelocity(bodyA, bodyB, point).dot(n);
+        if (approachSpeed < -RESTITUTION_THRESHOLD && approachSpeed * dt < point.depth) {
+            // Reaches the surface this step fast enough to bounce
+            point.velocityBias = -manifold.restitution * approachSpeed;
+        } else if (point.depth < 0) {
+            // Still apart: allow closing the gap this step, no more
+            point.velocityBias = point.depth / dt;
+        } else {
+            point.velocityBias = 0;
+        }
+    }
+
+    // 1 / (inverse mass seen by an impulse along direction at the point)
+    _effectiveMass(bodyA, bodyB, point, direction) {
+        let inverse = bodyA.inverseMass +
+            _angular.crossVectors(bodyA.applyInverseInertia(_cross.crossVectors(point.rA, direction), _cross), point.rA).dot(direction);
+        if (bodyB) {
+            inverse += bodyB.inverseMass +
+                _angular.crossVectors(bodyB.applyInverseInertia(_cross.crossVectors(point.rB, direction), _cross), point.rB).dot(direction);
+        }
+        return inverse > 0 ? 1 / inverse : 0;
+    }
+
+    _relativeVelocity(bodyA, bodyB, point) {
+        bodyA.getVelocityAtOffset(point.rA, _relativeVelocity);
+        if (bodyB) {
+            _relativeVelocity.sub(bodyB.getVelocityAtOffset(point.rB, _velocityB));
+        }
+        return _relativeVelocity;
+    }
+
+    _applyImpulse(manifold, point, impulse) {
+        manifold.bodyA.applyImpulse(impulse, point.rA);
+        if (manifold.bodyB) {
+            manifold.bodyB.applyImpulse(impulse.negate(), point.rB);
+            impulse.negate();
+        }
+    }
+
+    // Re-apply last step's impulses, projected onto this step's directions
+    warmStart(manifolds) {
+        for (const manifold of manifolds) {
+            for (const point of manifold.points) {
+                const tangentImpulse1 = point.frictionImpulse.dot(point.tangent1);
+                const tangentImpulse2 = point.frictionImpulse.dot(point.tangent2);
+                point.frictionImpulse.copy(point.tangent1).multiplyScalar(tangentImpulse1)
+                    .addScaledVector(point.tangent2, tangentImpulse2);
+
+                _impulse.copy(point.normal).multiplyScalar(point.normalImpulse).add(point.frictionImpulse);
+                this._applyImpulse(manifold, point, _impulse);
+            }
+        }
+    }
+
+    solveVelocities(manifolds) {
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            for (const manifold of manifolds) {
+                for (const point of manifold.points) {
+                    this._solveFriction(manifold, point);
+                    this._solveNormal(manifold, point);
+                }
+            }
+        }
+    }
+
+    _solveNormal(manifold, point) {
+        const approachSpeed = this._relativeVelocity(manifold.bodyA, manifold.bodyB, point).dot(point.normal);
+        const lambda = -(approachSpeed - point.velocityBias) * point.normalMass;
+
+        // Accumulated impulse may only push, never pull
+        const total = Math.max(0, point.normalImpulse + lambda);
+        const change = total - point.normalImpulse;
+        point.normalImpulse = total;
+
+        _impulse.copy(point.normal).multiplyScalar(change);
+        this._applyImpulse(manifold, point, _impulse);
+    }
+
+    // Coulomb friction: the sliding impulse is capped by friction * normal impulse
+    _solveFriction(manifold, point) {
+        const maxFriction = manifold.friction * point.normalImpulse;
+        const relativeVelocity = this._relativeVelocity(manifold.bodyA, manifold.bodyB, point);
+
+        let tangentImpulse1 = point.frictionImpulse.dot(point.tangent1);
+        let tangentImpulse2 = point.frictionImpulse.dot(point.tangent2);
+        const speed1 = relativeVelocity.dot(point.tangent1);
+        const speed2 = relativeVelocity.dot(point.tangent2);
+        const old1 = tangentImpulse1;
+        const old2 = tangentImpulse2;
+
+        tangentImpulse1 = Math.max(-maxFriction, Math.min(maxFriction, tangentImpulse1 - speed1 * point.tangentMass1));
+        tangentImpulse2 = Math.max(-maxFriction, Math.min(maxFriction, tangentImpulse2 - speed2 * point.tangentMass2));
+
+        point.frictionImpulse.copy(point.tangent1).multiplyScalar(tangentImpulse1)
+            .addScaledVector(point.tangent2, tangentImpulse2);
+
+        _impulse.copy(point.tangent1).multiplyScalar(tangentImpulse1 - old1)
+            .addScaledVector(point.tangent2, tangentImpulse2 - old2);
+        this._applyImpulse(manifold, point, _impulse);
+    }
+
+    // Push overlapping bodies apart along the deepest point's normal. Only
+    // positions move; velocities were already fixed by the impulses.
+    correctPositions(manifolds) {
+        for (const manifold of manifolds) {
+            let deepest = null;
+            for (const point of manifold.points) {
+                if (!deepest || point.depth > deepest.depth) deepest = point;
+            }
+            if (!deepest || deepest.depth <= PENETRATION_SLOP) continue;
+
+            const { bodyA, bodyB } = manifold;
+            const inverseMassSum = bodyA.inverseMass + (bodyB ? bodyB.inverseMass : 0);
+            if (inverseMassSum === 0) continue;
+
+            // The lighter object moves further
+            const correction = (deepest.depth - PENETRATION_SLOP) * POSITION_CORRECTION / inverseMassSum;
+            bodyA.position.addScaledVector(deepest.normal, correction * bodyA.inverseMass);
+            if (bodyB) {
+                bodyB.position.addScaledVector(deepest.normal, -correction * bodyB.inverseMass);
+            }
+        }
+    }
+}
@@ -0,0 +1,304 @@
+import * as THREE from 'three';
+import { config } from 'config';
+
+// What the game is working from, for finding out whether a problem is in the
+// tracking, the depth mapping or the physics. A plugin
+// (game.use(new DebugOverlay(container))) shown while config.values.debugOverlay
+// is on: a text panel with frame rates, MediaPipe timings and each hand's
+// tracking numbers, and in the scene every collider as a wireframe, body
+// velocity (red) and spin (blue) arrows, each hand's grab ray and the sphere
+// it grabs within.
+
+const TEXT_INTERVAL = 0.25; // Seconds between text refreshes; faster is unreadable
+const FPS_SMOOTHING = 0.1; // How quickly the render FPS follows new frames
+const VELOCITY_SCALE = 0.2; // Arrow length per m/s: where the body will be in 0.2 s
+const SPIN_SCALE = 0.1; // Arrow length per rad/s
+const MIN_ARROW_LENGTH = 0.02; // Shorter arrows are hidden
+const RAY_LENGTH = 15; // Metres of grab ray drawn
+const BODY_COLOR = 0x00ff88;
+const STATIC_COLOR = 0xffaa00;
+const VELOCITY_COLOR = 0xff4444;
+const SPIN_COLOR = 0x4488ff;
+const GRAB_COLOR = 0xffff00;
+
+const _direction = new THREE.Vector3();
+const _screen = new THREE.Vector2();
+
+export class DebugOverlay {
+    constructor(container) {
+        this.container = container;
+        this.enabled = false;
+        this.game = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'debug-overlay';
+        this.element.hidden = true;
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.bodyMaterial = new THREE.LineBasicMaterial({ color: BODY_COLOR });
+        this.staticMaterial = new THREE.LineBasicMaterial({ color: STATIC_COLOR, transparent: true, opacity: 0.5 });
+        this.grabMaterial = new THREE.LineBasicMaterial({ color: GRAB_COLOR, transparent: true, opacity: 0.6 });
+        this.bodyHelpers = new Map(); // PhysicsObject -> { wireframe, velocity, spin }
+        this.staticHelpers = new Map(); // Static collider -> wireframe
+        this.handHelpers = new Map(); // Game hand -> { ray, reach }
+        this.raycaster = new THREE.Raycaster();
+
+        this.renderFps = null;
+        this._sinceText = TEXT_INTERVAL;
+        this._unsubscribe = null;
+    }
+
+    install(game) {
+        this.game = game;
+        this.container.appendChild(this.element);
+        game.sceneManager.scene.add(this.group);
+        this._unsubscribe = config.onChange((value) => this.setEnabled(value), 'debugOverlay');
+        this.setEnabled(config.values.debugOverlay);
+    }
+
+    uninstall(game) {
+        this._unsubscribe();
+        this.element.remove();
+        game.sceneManager.scene.remove(this.group);
+        game.sceneManager.disposeObject(this.group);
+        this.bodyHelpers.clear();
+        this.staticHelpers.clear();
+        this.handHelpers.clear();
+        this.game = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.element.hidden = !enabled;
+        this.group.visible = enabled;
+        this._sinceText = TEXT_INTERVAL; // Fresh numbers as soon as it shows
+    }
+
+    update(deltaTime) {
+        if (!this.enabled) return;
+
+        if (deltaTime > 0) {
+            const fps = 1 / deltaTime;
+            this.renderFps = this.renderFps === null ? fps : this.renderFps + (fps - this.renderFps) * FPS_SMOOTHING;
+        }
+
+        this._updateBodies();
+        this._updateStaticColliders();
+        this._updateHands();
+
+        this._sinceText += deltaTime;
+        if (this._sinceText >= TEXT_INTERVAL) {
+            this._sinceText = 0;
+            this.element.textContent = this._describe();
+        }
+    }
+
+    _updateBodies() {
+        const bodies = new Set(this.game.physicsObjects);
+        for (const [body, helpers] of this.bodyHelpers) {
+            if (bodies.has(body)) continue;
+            this._removeHelper(helpers.wireframe);
+            this._removeHelper(helpers.velocity);
+            this._removeHelper(helpers.spin);
+            this.bodyHelpers.delete(body);
+        }
+
+        for (const body of bodies) {
+            let helpers = this.bodyHelpers.get(body);
+            if (!helpers) {
+                helpers = {
+                    wireframe: shapeWireframe(body.shape, this.bodyMaterial) || new THREE.Group(),
+                    velocity: new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 1, VELOCITY_COLOR),
+                    spin: new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 1, SPIN_COLOR),
+                };
+                this.group.add(helpers.wireframe, helpers.velocity, helpers.spin);
+                this.bodyHelpers.set(body, helpers);
+            }
+
+            helpers.wireframe.position.copy(body.position);
+            helpers.wireframe.quaternion.copy(body.quaternion);
+            placeArrow(helpers.velocity, body.position, body.velocity, VELOCITY_SCALE);
+            placeArrow(helpers.spin, body.position, body.angularVelocity, SPIN_SCALE);
+        }
+    }
+
+    // Level geometry doesn't move, so its wireframes are only made once
+    _updateStaticColliders() {
+        const colliders = new Set(this.game.physicsWorld.staticColliders);
+        for (const [collider, wireframe] of this.staticHelpers) {
+            if (colliders.has(collider)) continue;
+            this._removeHelper(wireframe);
+            this.staticHelpers.delete(collider);
+        }
+
+        for (const collider of colliders) {
+            if (this.staticHelpers.has(collider)) continue;
+            const wireframe = colliderWireframe(collider, this.staticMaterial);
+            if (wireframe) this.group.add(wireframe);
+            this.staticHelpers.set(collider, wireframe);
+        }
+    }
+
+    // The ray Game casts from the camera through the hand for grabbing, and
+    // the distance within which it grabs without the ray
+    _updateHands() {
+        const camera = this.game.sceneManager.camera;
+        for (const hand of this.game.hands) {
+            let helpers = this.handHelpers.get(hand);
+            if (!helpers) {
+                const rayGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+                helpers = {
+                    ray: new THREE.Line(rayGeometry, this.grabMaterial),
+                    reach: wireframeOf(new THREE.SphereGeometry(1, 16, 8), this.grabMaterial),
+                };
+                helpers.ray.frustumCulled = false; // Its bounds change every frame
+                this.group.add(helpers.ray, helpers.reach);
+                this.handHelpers.set(hand, helpers);
+            }
+
+            const visible = !!hand.indicator && hand.indicator.visible && !hand.heldObject;
+            helpers.ray.visible = visible;
+            helpers.reach.visible = visible;
+            if (!visible) continue;
+
+            helpers.reach.position.copy(hand.indicator.position);
+            helpers.reach.scale.setScalar(config.values.grabDistance);
+
+            const handData = this.game.input.getHandData(hand.label);
+            _screen.set(handData.screenPosition.x * 2 - 1, -(handData.screenPosition.y * 2 - 1));
+            this.raycaster.setFromCamera(_screen, camera);
+            const ray = this.raycaster.ray;
+            const positions = helpers.ray.geometry.attributes.position;
+            positions.setXYZ(0, ray.origin.x, ray.origin.y, ray.origin.z);
+            ray.at(RAY_LENGTH, _direction);
+            positions.setXYZ(1, _direction.x, _direction.y, _direction.z);
+            positions.needsUpdate = true;
+        }
+    }
+
+    _removeHelper(object) {
+        if (!object) return;
+        this.group.remove(object);
+        object.traverse(child => {
+            if (object.type === 'ArrowHelper') {
+                // Every ArrowHelper shares the same geometry; the materials are its own
+                if (child.material) child.material.dispose();
+            } else if (child.geometry) {
+                child.geometry.dispose(); // Our materials are shared by all the helpers
+            }
+        });
+    }
+
+    _describe() {
+        const game = this.game;
+        const lines = [`Render: ${formatNumber(this.renderFps, 0)} fps`];
+
+        const tracker = game.input.activeName === 'camera' ? game.handTracker : null;
+        if (tracker) {
+            const stats = tracker.stats;
+            lines.push(`Inference: ${formatNumber(stats.inferenceTime, 1)} ms per detectForVideo`);
+            lines.push(`Tracking: ${formatNumber(stats.frameRate, 0)} fps`);
+        } else {
+            lines.push(`Input: ${game.input.activeName}`);
+        }
+        lines.push(`Bodies: ${game.physicsObjects.length}, physics time ${game.physicsWorld.time.toFixed(2)} s`);
+
+        const pinchThreshold = tracker ? tracker.gestureRecognizer.pinchThreshold : null;
+        for (const hand of game.hands) {
+            const handData = game.input.getHandData(hand.label);
+            lines.push('');
+            if (!handData.isTracked) {
+                lines.push(`${hand.label}: not tracked`);
+                continue;
+            }
+
+            const category = handData.handedness && handData.handedness[0];
+            lines.push(`${hand.label}: ${category ? `${category.categoryName} ${formatNumber(category.score, 2)}` : 'tracked'}`);
+            if (handData.pinchDistance != null) {
+                lines.push(`  Pinch: ${formatNumber(handData.pinchDistance, 3)} / ${formatNumber(pinchThreshold, 3)}` +
+                    ` (${formatNumber(handData.gestures.pinch, 2)})`);
+            }
+            const depth = game.input.estimateDepth(hand.label);
+            const distance = game.sceneManager.handDistance(depth);
+            lines.push(`  Depth: raw ${formatNumber(handData.rawDepth, 2)}, smoothed ${formatNumber(depth, 2)}` +
+                ` -> ${formatNumber(distance, 2)} m`);
+        }
+        return lines.join('\n');
+    }
+}
+
+// Outline of a collisionShapes shape around its own origin, or null for shapes without one
+function shapeWireframe(shape, material) {
+    switch (shape.type) {
+        case 'sphere':
+            return wireframeOf(new THREE.SphereGeometry(shape.radius, 12, 8), material);
+        case 'box': {
+            const size = shape.halfExtents;
+            const box = new THREE.BoxGeometry(size.x * 2, size.y * 2, size.z * 2);
+            const edges = new THREE.LineSegments(new THREE.EdgesGeometry(box), material);
+            box.dispose();
+            return edges;
+        }
+        case 'cylinder':
+            return wireframeOf(new THREE.CylinderGeometry(shape.radius, shape.radius, shape.halfHeight * 2, 12, 1), material);
+        case 'capsule':
+            return wireframeOf(new THREE.CapsuleGeometry(shape.radius, shape.halfHeight * 2, 4, 12), material);
+        case 'triangle':
+            return new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(shape.vertices), material);
+        case 'compound': {
+            const group = new THREE.Group();
+            for (const child of shape.children) {
+                const wireframe = shapeWireframe(child.shape, material);
+                if (!wireframe) continue;
+                wireframe.position.copy(child.position);
+                wireframe.quaternion.copy(child.quaternion);
+                group.add(wireframe);
+            }
+            return group;
+        }
+        default:
+            return null;
+    }
+}
+
+// Level colliders (see staticColliders); the ground plane is left out, it's
+// obvious where it is
+function colliderWireframe(collider, material) {
+    if (collider.shape) {
+        const wireframe = shapeWireframe(collider.shape, material);
+        if (wireframe) {
+            wireframe.position.copy(collider.position);
+            wireframe.quaternion.copy(collider.quaternion);
+        }
+        return wireframe;
+    }
+    if (collider.triangles) {
+        const points = [];
+        for (const { shape, position } of collider.triangles) {
+            const [a, b, c] = shape.vertices.map(vertex => vertex.clone().add(position));
+            points.push(a, b, b, c, c, a);
+        }
+        return new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(points), material);
+    }
+    return null;
+}
+
+function wireframeOf(geometry, material) {
+    const wireframe = new THREE.LineSegments(new THREE.WireframeGeometry(geometry), material);
+    geometry.dispose();
+    return wireframe;
+}
+
+function placeArrow(arrow, origin, vector, scale) {
+    const length = vector.length() * scale;
+    arrow.visible = length > MIN_ARROW_LENGTH;
+    if (!arrow.visible) return;
+    arrow.position.copy(origin);
+    arrow.setDirection(_direction.copy(vector).normalize());
+    arrow.setLength(length, Math.min(0.2, length * 0.3), Math.min(0.1, length * 0.15));
+}
+
+function formatNumber(value, digits) {
+    return value == null || Number.isNaN(value) ? '-' : value.toFixed(digits);
+}
@@ -0,0 +1,84 @@
+// Named events with subscribers, for reacting to gameplay without touching
+// the game loop. A bus only carries the event types it was told about, so a
+// typo in a subscription fails straight away instead of never firing.
+
+// Everything Game emits, with what the event object holds. hand is one of
+// Game.hands; object a PhysicsObject.
+export const GAME_EVENTS = Object.freeze({
+    HAND_DETECTED: 'handDetected', // { hand, handData }
+    HAND_LOST: 'handLost', // { hand }
+    GRAB_START: 'grabStart', // { hand, object, fromHand }: fromHand is the other hand on a hand-off
+    RELEASE: 'release', // { hand, object, velocity, speed }: velocity the object leaves with, speed the hand's
+    COLLISION: 'collision', // { objectA, objectB, collider, impulse, impactSpeed, point, normal }: objectB or collider (level geometry)
+    GROUND_IMPACT: 'groundImpact', // { object, impulse, impactSpeed, point, normal }
+    BOUNDARY_HIT: 'boundaryHit', // { object, impulse, impactSpeed, point, normal }: the invisible walls from setBounds
+    OBJECT_SPAWNED: 'objectSpawned', // { object }
+    OBJECT_REMOVED: 'objectRemoved', // { object }
+});
+
+export class EventBus {
+    // types: the event names this bus carries; more can be added with define()
+    constructor(types = []) {
+        this.listeners = new Map(); // Type -> listeners, in subscription order
+        for (const type of types) {
+            this.define(type);
+        }
+    }
+
+    // Add an event type, e.g. for a plugin that emits its own events
+    define(type) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+    }
+
+    // Call listener(event) on every emit of type. Returns a function that unsubscribes.
+    on(type, listener) {
+        this._listenersFor(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    once(type, listener) {
+        const off = this.on(type, (event) => {
+            off();
+            listener(event);
+        });
+        return off;
+    }
+
+    off(type, listener) {
+        const listeners = this._listenersFor(type);
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    // A listener that throws is reported and skipped, so one broken plugin
+    // doesn't stop the others or the frame
+    emit(type, event = {}) {
+        const listeners = this._listenersFor(type);
+        if (listeners.length === 0) return;
+
+        event.type = type;
+        for (const listener of [...listeners]) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        }
+    }
+
+    hasListeners(type) {
+        return this._listenersFor(type).length > 0;
+    }
+
+    _listenersFor(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            throw new Error(`Unknown event type "${type}"`);
+        }
+        return listeners;
+    }
+}
@@ -1,44 +1,139 @@
 import * as THREE from 'three';
 import { SceneManager } from 'sceneManager';
 import { HandTracker } from 'handTracker';
+import { PointerInputSource } from 'pointerInputSource';
+import { InputManager } from 'inputManager';
 import { PhysicsObject } from 'physicsObject';
+import { PhysicsWorld } from 'physicsWorld';
+import { StaticCollider, TriangleMeshCollider } from 'staticColliders';
+import { DEFAULT_LEVEL, parseLevel, fetchLevel, createLevelMesh, levelObjectPositions, serializeLevel } from 'levelFormat';
+import { GestureBindings } from 'gestureBindings';
+import { HandRecorder } from 'handRecorder';
+import { SeededRandom } from 'seededRandom';
+import { ThrowEstimator, handPositionFromLandmarks } from 'throwEstimator';
+import { HandSkeleton } from 'handSkeleton';
+import { TrajectoryPreview } from 'trajectoryPreview';
+import { EventBus, GAME_EVENTS } from 'eventBus';
+import { SceneSnapshot } from 'sceneSnapshot';
+import { config } from 'config';
+import { CameraRigs } from 'cameraRigs';
 
-const GRAB_THRESHOLD = 1.2; // Increased from 0.7 for easier grabbing
-const THROW_FORCE = 15;
 const GROUND_Y = 0.22; // Y position of the ground (half of object height if it's a 0.5 cube)
-const THROW_HISTORY_LENGTH = 5; // Number of frames to track for throw direction
+const MAX_UNDO_THROWS = 10; // Throws undoThrow can go back through
+const FRAME_PHASES = ['beforePhysics', 'afterPhysics']; // Where addFrameHook hooks run in update()
 
 export class Game {
-    constructor(renderDiv) {
+    // options.handTracker: any object with the HandTracker interface (e.g. ReplayHandTracker)
+    // options.clock: anything with getDelta(), defaults to THREE.Clock
+    // options.seed: seed for the starting layout, so recordings replay against the same scene
+    // options.level: level to start with, a URL or level object (defaults to the sandbox)
+    // options.handFilter: landmark smoothing for the webcam tracker, { type, ...parameters }
+    // options.handCalibration: the player's calibration for the webcam tracker (see handCalibration)
+    constructor(renderDiv, options = {}) {
         this.renderDiv = renderDiv;
         this.sceneManager = new SceneManager(renderDiv);
-        this.handTracker = new HandTracker();
+        this.handTracker = options.handTracker || new HandTracker({
+            filter: options.handFilter,
+            calibration: options.handCalibration,
+        });
 
-        this.physicsObjects = [];
-        this.heldObject = null;
-        this.handIndicator = null;
+        // Game reads hands through the input manager only. The camera source
+        // falls back to the pointer when the webcam or model is unavailable.
+        this.input = new InputManager();
+        this.input.addSource('camera', this.handTracker);
+        this.input.addSource('pointer', new PointerInputSource(this.sceneManager.renderer.domElement));
+        this.seed = options.seed ?? Math.floor(Math.random() * 4294967296);
+        this.random = new SeededRandom(this.seed);
+
+        // All bodies live in the physics world, which steps at a fixed rate with its own seeded RNG
+        this.physicsWorld = new PhysicsWorld({ seed: this.seed });
+        this.initialTransforms = new Map(); // PhysicsObject -> starting { position, quaternion }, used by reset
+        this.levelSource = options.level || DEFAULT_LEVEL;
+        this.level = null; // The loaded level, as parsed by levelFormat
+        this.levelColliders = []; // Static colliders added by addLevelGeometry; their meshes block grabbing
+        this.mode = null; // Optional game mode (e.g. TargetPracticeMode), see setMode
+        this.levelRaycaster = new THREE.Raycaster();
+
+        // Gesture -> action mapping. 'grab' and 'throw' are handled by the core
+        // loop; everything else is looked up in this.actions.
+        this.gestureBindings = new GestureBindings();
+        this.actions = {
+            spawn: (hand) => this.spawnBall(hand ? hand.indicator.position : undefined),
+            reset: () => this.resetScene(),
+            push: (hand) => this._pushFromHand(hand),
+            snapshot: () => this.saveSnapshot(),
+            restore: () => this.restoreSnapshot(),
+            undo: () => this.undoThrow(),
+        };
+        this.savedSnapshot = null; // SceneSnapshot from saveSnapshot
+        this.throwHistory = []; // SceneSnapshots from just before each recent throw, oldest first
+
+        // Per-hand state: indicator, held object and recent motion for the throw velocity
+        this.hands = ['Left', 'Right'].map(label => ({
+            label: label,
+            indicator: null,
+            depthRing: null,
+            groundShadow: null,
+            skeleton: null,
+            trajectoryPreview: null,
+            heldObject: null,
+            throwEstimator: new ThrowEstimator(),
+            lastGrabPosition: null,
+            grabLocked: false, // Until the pinch opens: after a hand-to-hand pass or a restore
+            tracked: false, // Whether the hand was seen last frame, for HAND_DETECTED / HAND_LOST
+        }));
+
+        // Gameplay events (GAME_EVENTS) and plugins that react to them; see use()
+        this.events = new EventBus(Object.values(GAME_EVENTS));
+        this.plugins = [];
+        this.frameHooks = Object.fromEntries(FRAME_PHASES.map(phase => [phase, []]));
+
+        // Where the camera is and what it follows; see cameraRigs
+        this.cameraRigs = new CameraRigs(this);
+
+        this.clock = options.clock || new THREE.Clock();
+        this.elapsedTime = 0; // Seconds of game time, for inputs that don't timestamp their frames
+        this.showHandSkeleton = false; // Draw the whole tracked hand, not just the indicator
+        // Aim arc while holding something, and whether it follows the first bounce;
+        // a mode with its own trajectoryPreview setting overrides this
+        this.trajectoryPreview = { enabled: true, bounce: true };
+        this.network = null; // MultiplayerSession while playing in a shared scene, see setNetworkSession
+        this.onReady = () => { }; // Callback for when MediaPipe is ready
 
-        // Store recent hand positions for throw direction calculation
-        this.handPositionHistory = [];
-        this.lastGrabPosition = null;
+        // Settings the game keeps in its own state follow the live config;
+        // the rest is read from config.values where it's used
+        this._followConfig('grabConfidence', (value) => {
+            for (const binding of this.gestureBindings.bindings) {
+                if (binding.action === 'grab') binding.minConfidence = value;
+            }
+        });
+        this._followConfig('trajectoryPreview', (value) => { this.trajectoryPreview.enabled = value; });
+        this._followConfig('handSkeleton', (value) => this.setHandSkeletonVisible(value));
+    }
 
-        this.clock = new THREE.Clock();
-        this.onReady = () => { }; // Callback for when MediaPipe is ready
+    _followConfig(key, apply) {
+        apply(config.values[key]);
+        config.onChange(apply, key);
+    }
+
+    get physicsObjects() {
+        return this.physicsWorld.bodies;
     }
 
     async init() {
         this.sceneManager.init();
-        await this.handTracker.init(this.sceneManager.camera);
-        this._setupHandIndicator();
-        this._createThrowableObjects();
+        await this.input.init(this.sceneManager.camera);
+        await this.input.activateFirstAvailable(['camera', 'pointer']);
+        this.hands.forEach(hand => this._setupHandIndicator(hand));
+        await this.loadLevel(this.levelSource);
 
         window.addEventListener('resize', () => this.sceneManager.onWindowResize(), false);
         if (this.onReady) this.onReady();
     }
 
-    _setupHandIndicator() {
+    _setupHandIndicator(hand) {
         // Create a group to hold all hand indicator elements
-        this.handIndicator = new THREE.Group();
+        hand.indicator = new THREE.Group();
 
         // Main sphere for the hand position
         const sphereGeometry = new THREE.SphereGeometry(0.1, 16, 16);
@@ -49,7 +144,7 @@ export class Game {
             opacity: 0.8
         });
         const mainSphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        this.handIndicator.add(mainSphere);
+        hand.indicator.add(mainSphere);
 
         // Add a ring to indicate depth
         const ringGeometry = new THREE.RingGeometry(0.12, 0.15, 32);
@@ -59,8 +154,8 @@ export class Game {
             transparent: true,
             opacity: 0.6
         });
-        this.depthRing = new THREE.Mesh(ringGeometry, ringMaterial);
-        this.handIndicator.add(this.depthRing);
+        hand.depthRing = new THREE.Mesh(ringGeometry, ringMaterial);
+        hand.indicator.add(hand.depthRing);
 
         // Add a shadow circle on the ground to indicate position
         const shadowGeometry = new THREE.CircleGeometry(0.1, 16);
@@ -70,95 +165,441 @@ export class Game {
             opacity: 0.3,
             side: THREE.DoubleSide
         });
-        this.groundShadow = new THREE.Mesh(shadowGeometry, shadowMaterial);
-        this.groundShadow.rotation.x = -Math.PI / 2; // Flat on the ground
-        this.groundShadow.position.y = 0.01; // Just above ground to avoid z-fighting
-        this.sceneManager.scene.add(this.groundShadow);
+        hand.groundShadow = new THREE.Mesh(shadowGeometry, shadowMaterial);
+        hand.groundShadow.rotation.x = -Math.PI / 2; // Flat on the ground
+        hand.groundShadow.position.y = 0.01; // Just above ground to avoid z-fighting
+        hand.groundShadow.visible = false;
+        this.sceneManager.scene.add(hand.groundShadow);
+
+        hand.indicator.visible = false;
+        this.sceneManager.scene.add(hand.indicator);
+
+        // Full hand, shown when showHandSkeleton is on and the source has world landmarks
+        hand.skeleton = new HandSkeleton();
+        this.sceneManager.scene.add(hand.skeleton.group);
 
-        this.handIndicator.visible = false;
-        this.sceneManager.scene.add(this.handIndicator);
+        hand.trajectoryPreview = new TrajectoryPreview();
+        this.sceneManager.scene.add(hand.trajectoryPreview.group);
     }
 
-    _createThrowableObjects() {
-        const sphereGeometry = new THREE.SphereGeometry(0.25, 32, 32);
-        const colors = [0xff0000, 0x00ff00, 0x0000ff, 0xffff00, 0xff00ff, 0x00ffff];
+    setHandSkeletonVisible(visible) {
+        this.showHandSkeleton = visible;
+        if (!visible) {
+            for (const hand of this.hands) {
+                if (hand.skeleton) hand.skeleton.hide();
+            }
+        }
+    }
 
-        // Keep track of existing positions to avoid overlap
-        const existingPositions = [];
+    // Replace the scene with a level: a URL of a level JSON file or the parsed
+    // object (see levelFormat). Ends any game mode. Returns the parsed level.
+    async loadLevel(source) {
+        const level = parseLevel(typeof source === 'string' ? await fetchLevel(source) : source);
 
-        for (let i = 0; i < 6; i++) {
-            const material = new THREE.MeshStandardMaterial({ 
-                color: colors[i],
-                roughness: 0.7,
-                metalness: 0.2
-            });
+        this.setMode(null);
+        this._clearLevel();
+        this.level = level;
 
-            // Generate a position that doesn't overlap with existing objects
-            let position;
-            let validPosition = false;
-            let attempts = 0;
+        this.sceneManager.setEnvironment(level);
+        this.physicsWorld.gravity.fromArray(level.gravity);
+        this.physicsWorld.setBounds(level.bounds);
 
-            while (!validPosition && attempts < 20) {
-                position = new THREE.Vector3(
-                    (Math.random() - 0.5) * 4,
-                    0.5 + Math.random() * 1.5, // Higher starting position
-                    (Math.random() - 0.5) * 2 - 1
-                );
+        for (const piece of level.static) {
+            const mesh = createLevelMesh(this.sceneManager, piece, null, true);
+            this.addLevelGeometry(mesh, { triangles: piece.triangles, material: piece.material });
+        }
 
-                // Check against existing positions
-                validPosition = true;
-                for (const existingPos of existingPositions) {
-                    if (position.distanceTo(existingPos) < 0.8) { // Minimum distance
-                        validPosition = false;
-                        break;
-                    }
-                }
+        const positions = levelObjectPositions(level, this.random);
+        level.objects.forEach((object, i) => {
+            const mesh = createLevelMesh(this.sceneManager, object, positions[i]);
+            this._addInitialObject(new PhysicsObject(mesh, mesh.position.clone(), { material: object.material }));
+        });
+
+        return level;
+    }
+
+    // The scene as it is now, in the level format: the loaded level's settings
+    // plus every object and piece of level geometry where it currently is.
+    // Game-mode targets are left out.
+    exportLevel() {
+        const bodies = this.physicsObjects.filter(obj => !(this.mode && this.mode.ownsBody(obj)));
+        const colliders = this.levelColliders.filter(collider => !collider.transient);
+        return serializeLevel(this.level, bodies, colliders);
+    }
+
+    // Remove every object and piece of level geometry
+    _clearLevel() {
+        for (const hand of this.hands) {
+            hand.heldObject = null;
+            hand.throwEstimator.reset();
+            hand.lastGrabPosition = null;
+        }
+        for (const obj of [...this.physicsObjects]) {
+            this.removeObject(obj);
+        }
+        this.initialTransforms.clear();
+        this.savedSnapshot = null;
+        this.throwHistory.length = 0;
+        for (const collider of [...this.levelColliders]) {
+            this.removeLevelGeometry(collider);
+        }
+    }
+
+    // Make a mesh immovable level geometry that objects collide with and that
+    // blocks grabbing. Meshes from SceneManager's factories get a matching
+    // shape; options.triangles collides with the mesh's actual triangles
+    // instead, which works for any geometry. options.material: restitution,
+    // friction and rollingResistance (defaults to LEVEL_MATERIAL).
+    // options.transient: not part of the level, so exportLevel leaves it out.
+    addLevelGeometry(mesh, options = {}) {
+        if (!mesh.parent) {
+            this.sceneManager.scene.add(mesh);
+        }
+        const collider = options.triangles
+            ? new TriangleMeshCollider(mesh, options)
+            : StaticCollider.fromMesh(mesh, options);
+        collider.transient = !!options.transient;
+        this.physicsWorld.addStaticCollider(collider);
+        this.levelColliders.push(collider);
+        return collider;
+    }
+
+    // Also frees the mesh's GPU resources
+    removeLevelGeometry(collider) {
+        const index = this.levelColliders.indexOf(collider);
+        if (index === -1) return;
 
-                attempts++;
+        this.levelColliders.splice(index, 1);
+        this.physicsWorld.removeStaticCollider(collider);
+        if (collider.mesh) {
+            this.sceneManager.disposeObject(collider.mesh);
+        }
+    }
+
+    // Objects along the ray in order of distance, up to the first piece of
+    // level geometry: anything behind a wall can't be reached
+    _raycastObjects(raycaster) {
+        const targets = this.physicsObjects.map(obj => obj.mesh);
+        for (const collider of this.levelColliders) {
+            targets.push(collider.mesh);
+        }
+
+        const hits = [];
+        for (const intersect of raycaster.intersectObjects(targets, true)) {
+            const obj = intersect.object.userData.physicsObject;
+            if (!obj) break;
+            if (!hits.some(hit => hit.object === obj)) {
+                hits.push({ object: obj, distance: intersect.distance });
             }
+        }
+        return hits;
+    }
 
-            // If we couldn't find a valid position, use a fallback
-            if (!validPosition) {
-                position = new THREE.Vector3(
-                    i * 0.8 - 2, // Line them up if we can't find random positions
-                    0.5 + i * 0.2,
-                    -1
-                );
+    // Is there level geometry between the hand and an object?
+    _isBlockedByLevel(from, obj) {
+        if (this.levelColliders.length === 0) return false;
+
+        const direction = new THREE.Vector3().subVectors(obj.mesh.position, from);
+        const distance = direction.length();
+        if (distance === 0) return false;
+
+        this.levelRaycaster.set(from, direction.divideScalar(distance));
+        this.levelRaycaster.far = distance;
+        const meshes = this.levelColliders.map(collider => collider.mesh);
+        return this.levelRaycaster.intersectObjects(meshes, true).length > 0;
+    }
+
+    _addInitialObject(obj) {
+        this.addObject(obj);
+        this.initialTransforms.set(obj, {
+            position: obj.mesh.position.clone(),
+            quaternion: obj.mesh.quaternion.clone(),
+        });
+        return obj;
+    }
+
+    start() {
+        this.sceneManager.renderer.setAnimationLoop(() => this.update());
+    }
+
+    // Switch between input sources ('camera', 'pointer') while running
+    async setInputSource(name) {
+        await this.input.setActive(name);
+        // Let go of anything held by the old source without throwing it
+        for (const hand of this.hands) {
+            if (hand.heldObject) {
+                hand.heldObject.release(new THREE.Vector3(), 0, this.physicsWorld.random);
+                hand.heldObject = null;
             }
+            hand.throwEstimator.reset();
+            hand.lastGrabPosition = null;
+        }
+    }
 
-            existingPositions.push(position.clone());
+    // Start capturing hand tracking frames; stopRecording() returns the HandRecorder
+    startRecording() {
+        this.handTracker.recorder = new HandRecorder({
+            seed: this.seed,
+            calibration: this.handTracker.calibration,
+            videoAspect: this.handTracker.videoAspect(), // Hands are measured in metres through it
+        });
+        this.handTracker.recorder.start();
+    }
 
-            const obj = new PhysicsObject(new THREE.Mesh(sphereGeometry, material), position);
-            this.physicsObjects.push(obj);
+    stopRecording() {
+        const recorder = this.handTracker.recorder;
+        if (recorder) {
+            recorder.stop();
+            this.handTracker.recorder = null;
+        }
+        return recorder;
+    }
+
+    isRecording() {
+        return !!(this.handTracker.recorder && this.handTracker.recorder.isRecording);
+    }
+
+    // Register a handler for a gesture-bound action: handler(hand, handData)
+    registerAction(name, handler) {
+        this.actions[name] = handler;
+    }
+
+    // options.material: PHYSICS_MATERIALS name; options.radius: ball radius in metres
+    spawnBall(position, options = {}) {
+        const mesh = this.sceneManager.createRandomBall(position, options.radius);
+        const obj = new PhysicsObject(mesh, mesh.position.clone(), { material: options.material });
+        return this.addObject(obj);
+    }
+
+    // Put a body in the scene and the physics world; its mesh may already be in the scene
+    addObject(obj) {
+        if (!obj.mesh.parent) {
             this.sceneManager.scene.add(obj.mesh);
         }
+        this.physicsWorld.addBody(obj);
+        this.events.emit(GAME_EVENTS.OBJECT_SPAWNED, { object: obj });
+        return obj;
     }
 
-    start() {
-        this.sceneManager.renderer.setAnimationLoop(() => this.update());
+    // Take a body out of the scene and the physics world, out of any hand
+    // holding it. Its mesh's GPU resources are freed unless options.keep, for
+    // callers that will add it again (see ObjectSpawner's pool).
+    removeObject(obj, options = {}) {
+        for (const hand of this.hands) {
+            if (hand.heldObject === obj) {
+                hand.heldObject = null;
+                hand.throwEstimator.reset();
+            }
+        }
+        this.physicsWorld.removeBody(obj);
+        if (options.keep) {
+            this.sceneManager.scene.remove(obj.mesh);
+        } else {
+            this.sceneManager.disposeObject(obj.mesh);
+        }
+        this.events.emit(GAME_EVENTS.OBJECT_REMOVED, { object: obj });
+    }
+
+    // Add a plugin: an object with any of install(game), update(deltaTime, game)
+    // and uninstall(game). install is where it subscribes to this.events and
+    // registers actions; update runs every frame after the physics step (and
+    // the mode). Returns the plugin.
+    use(plugin) {
+        if (this.plugins.includes(plugin)) return plugin;
+        this.plugins.push(plugin);
+        if (plugin.install) {
+            plugin.install(this);
+        }
+        if (plugin.update) {
+            plugin._removeFrameHook = this.addFrameHook((deltaTime) => plugin.update(deltaTime, this));
+        }
+        return plugin;
+    }
+
+    removePlugin(plugin) {
+        const index = this.plugins.indexOf(plugin);
+        if (index === -1) return;
+        this.plugins.splice(index, 1);
+        if (plugin._removeFrameHook) {
+            plugin._removeFrameHook();
+            plugin._removeFrameHook = null;
+        }
+        if (plugin.uninstall) {
+            plugin.uninstall(this);
+        }
+    }
+
+    // Call hook(deltaTime, game) every frame. phase 'beforePhysics' runs once
+    // the hands have been handled, 'afterPhysics' after the step and the mode,
+    // just before rendering. Returns a function that removes the hook.
+    addFrameHook(hook, phase = 'afterPhysics') {
+        const hooks = this.frameHooks[phase];
+        if (!hooks) {
+            throw new Error(`Unknown frame phase "${phase}"`);
+        }
+        hooks.push(hook);
+        return () => {
+            const index = hooks.indexOf(hook);
+            if (index !== -1) hooks.splice(index, 1);
+        };
+    }
+
+    _runFrameHooks(phase, deltaTime) {
+        for (const hook of [...this.frameHooks[phase]]) {
+            try {
+                hook(deltaTime, this);
+            } catch (error) {
+                console.error(`Error in ${phase} frame hook:`, error);
+            }
+        }
+    }
+
+    // Play in a shared scene: the session runs the physics in place of our
+    // world and hears about grabs, throws and pushes. null goes back to local play.
+    // Contact events come from our own world's steps, so there are none meanwhile.
+    setNetworkSession(session) {
+        this.network = session;
+    }
+
+    // Remember the scene as it is now, for restoreSnapshot. Returns the SceneSnapshot.
+    // The shared scene in multiplayer belongs to the server, so none of the
+    // snapshot methods do anything there.
+    saveSnapshot() {
+        if (this.network) return null;
+        this.savedSnapshot = SceneSnapshot.capture(this);
+        return this.savedSnapshot;
+    }
+
+    // Put the scene back as it was in a snapshot (the saved one by default).
+    // Returns whether there was one.
+    restoreSnapshot(snapshot = this.savedSnapshot) {
+        if (this.network || !snapshot) return false;
+        snapshot.restore(this);
+        return true;
+    }
+
+    // Take back the last throw: everything goes back to how it was just before
+    // it, with the object where the hand let go of it. Each call goes one throw
+    // further back.
+    undoThrow() {
+        const snapshot = this.throwHistory.pop();
+        return snapshot ? this.restoreSnapshot(snapshot) : false;
+    }
+
+    // Switch game mode; null goes back to the plain sandbox. A mode implements
+    // start(game), stop(), update(deltaTime, startedContacts), onThrow(body, hand),
+    // ownsBody(body) and onSceneReset(), and may set trajectoryPreview
+    // ({ enabled, bounce }) to override the game's.
+    setMode(mode) {
+        if (this.mode) {
+            this.mode.stop();
+        }
+        this.mode = mode;
+        if (mode) {
+            mode.start(this);
+        }
+    }
+
+    // Put the starting objects back where they began and remove anything spawned since
+    resetScene() {
+        for (const hand of this.hands) {
+            hand.heldObject = null;
+            hand.throwEstimator.reset();
+            hand.lastGrabPosition = null;
+        }
+
+        for (const obj of [...this.physicsObjects]) {
+            const initial = this.initialTransforms.get(obj);
+            if (initial) {
+                obj.resetTo(initial.position, initial.quaternion);
+            } else if (!(this.mode && this.mode.ownsBody(obj))) {
+                this.removeObject(obj);
+            }
+        }
+        if (this.mode) {
+            this.mode.onSceneReset();
+        }
     }
 
     update() {
         const deltaTime = this.clock.getDelta();
-        this.handTracker.update();
+        this.elapsedTime += deltaTime;
+        this.input.update();
 
-        const handData = this.handTracker.getHandData();
+        // The camera moves before the hands are placed through it
+        this.cameraRigs.update(deltaTime);
+
+        // Reset grab highlights once; each free hand then highlights its own candidates
+        this.physicsObjects.forEach(obj => {
+            if (!obj.isHeld) {
+                obj.setHighlight(0x000000);
+            }
+        });
+
+        for (const hand of this.hands) {
+            this._updateHand(hand, this.input.getHandData(hand.label), deltaTime);
+        }
+
+        this._runFrameHooks('beforePhysics', deltaTime);
+
+        // Held objects follow their hand inside the world step
+        if (this.network) {
+            this.network.update(deltaTime);
+        } else {
+            this.physicsWorld.step(deltaTime);
+            this._emitContactEvents();
+        }
+
+        for (const hand of this.hands) {
+            this._updateTrajectoryPreview(hand);
+        }
+
+        // The mode sees the contacts that began this frame, e.g. balls hitting targets
+        if (this.mode) {
+            this.mode.update(deltaTime, this.physicsWorld.startedContacts);
+        }
+
+        this._runFrameHooks('afterPhysics', deltaTime);
+        this.sceneManager.render();
+    }
+
+    _updateHand(hand, handData, deltaTime) {
+        const handIndicator = hand.indicator;
+        const handDetected = !!(handData && handData.isTracked);
+
+        if (handDetected !== hand.tracked) {
+            hand.tracked = handDetected;
+            if (handDetected) {
+                this.events.emit(GAME_EVENTS.HAND_DETECTED, { hand, handData });
+            } else {
+                this.events.emit(GAME_EVENTS.HAND_LOST, { hand });
+            }
+        }
+
+        // Turn this hand's gesture confidences into actions
+        const gestureActions = this.gestureBindings.update(
+            hand.label,
+            handDetected ? handData.gestures : null,
+            hand.heldObject !== null,
+            deltaTime
+        );
+        const isGrabbing = gestureActions.held.has('grab');
 
                     // Hand indicator update
-        if (handData && handData.landmarks) {
-            this.handIndicator.visible = true;
+        if (handDetected) {
+            handIndicator.visible = true;
 
             // Get depth estimation
-            const depthEstimate = this.handTracker.estimateDepth();
+            const depthEstimate = this.input.estimateDepth(hand.label);
 
             // Use the depth to affect the ring size - now non-inverted
             // Closer hand (larger depthEstimate) = larger ring
             // Further hand (smaller depthEstimate) = smaller ring
             const ringScale = 1.0 + (depthEstimate) * 0.5; // Scale from 1.0 to 1.5 based on closeness
-            this.depthRing.scale.set(ringScale, ringScale, 1);
+            hand.depthRing.scale.set(ringScale, ringScale, 1);
             
             // Also adjust opacity based on depth - closer = more opaque
-            this.depthRing.material.opacity = 0.3 + (depthEstimate) * 0.4; // 0.3 to 0.7 based on closeness
+            hand.depthRing.material.opacity = 0.3 + (depthEstimate) * 0.4; // 0.3 to 0.7 based on closeness
             
             // Color feedback for depth - now non-inverted
             // Blend between blue (far) and red (near)
@@ -169,52 +610,48 @@ export class Game {
             const depthColor = new THREE.Color(r/255, g/255, b/255);
             
             // Apply color to hand indicator's emissive component
-            if (this.handIndicator instanceof THREE.Group) {
-                this.handIndicator.children[0].material.emissive = depthColor;
-            }
+            handIndicator.children[0].material.emissive = depthColor;
             
             // Update shadow color too
-            this.groundShadow.material.color.copy(depthColor);
+            hand.groundShadow.material.color.copy(depthColor);
                 
             // Convert normalized screen coords to world space for indicator
             const screenPos = new THREE.Vector2(handData.screenPosition.x, handData.screenPosition.y);
-            this.sceneManager.updateWorldPositionFromScreen(this.handIndicator, screenPos, 5, depthEstimate);
+            this.sceneManager.updateWorldPositionFromScreen(handIndicator, screenPos, 5, depthEstimate);
 
             // Update depth ring orientation to always face the camera
-            this.depthRing.lookAt(this.sceneManager.camera.position);
+            hand.depthRing.lookAt(this.sceneManager.camera.position);
 
             // Update ground shadow position to be directly below the hand indicator
-            this.groundShadow.position.x = this.handIndicator.position.x;
-            this.groundShadow.position.z = this.handIndicator.position.z;
-            this.groundShadow.visible = true;
+            hand.groundShadow.position.x = handIndicator.position.x;
+            hand.groundShadow.position.z = handIndicator.position.z;
+            hand.groundShadow.visible = true;
 
             // Scale the shadow based on height from ground for better depth perception
-            const heightFromGround = this.handIndicator.position.y - GROUND_Y;
+            const heightFromGround = handIndicator.position.y - GROUND_Y;
             const shadowScale = Math.max(0.1, Math.min(0.3, 0.1 + (heightFromGround * 0.05)));
-            this.groundShadow.scale.set(shadowScale, shadowScale, 1);
+            hand.groundShadow.scale.set(shadowScale, shadowScale, 1);
 
             // Adjust opacity based on height
-            this.groundShadow.material.opacity = Math.max(0.1, Math.min(0.4, 0.4 - (heightFromGround * 0.03)));
+            hand.groundShadow.material.opacity = Math.max(0.1, Math.min(0.4, 0.4 - (heightFromGround * 0.03)));
             
-            // Store hand position for throw direction calculation
-            this.handPositionHistory.push(this.handIndicator.position.clone());
-            if (this.handPositionHistory.length > THROW_HISTORY_LENGTH) {
-                this.handPositionHistory.shift();
+            this._sampleHandMotion(hand, handData);
+
+            if (this.showHandSkeleton) {
+                hand.skeleton.update(handData, handIndicator.position, this.sceneManager.camera.quaternion, {
+                    grabbing: isGrabbing || hand.heldObject !== null,
+                    depthColor,
+                    pinch: handData.gestures.pinch,
+                });
             }
         } else {
-            this.handIndicator.visible = false;
-            this.groundShadow.visible = false;
+            handIndicator.visible = false;
+            hand.groundShadow.visible = false;
+            hand.skeleton.hide();
         }
         
         // Provide visual feedback for objects that can be grabbed
-        if (handData && handData.landmarks && this.handIndicator.visible && !this.heldObject) {
-            // Reset all object highlights first
-            this.physicsObjects.forEach(obj => {
-                if (!obj.isHeld && obj.mesh.material) {
-                    obj.mesh.material.emissive = new THREE.Color(0x000000);
-                }
-            });
-            
+        if (handDetected && handIndicator.visible && !hand.heldObject) {
             // Highlight objects that can be grabbed
             const raycaster = new THREE.Raycaster();
             const screenPos = new THREE.Vector2(
@@ -224,47 +661,46 @@ export class Game {
             
             raycaster.setFromCamera(screenPos, this.sceneManager.camera);
             
-            // Check for intersections with all meshes
-            const meshes = this.physicsObjects.map(obj => obj.mesh);
-            const intersects = raycaster.intersectObjects(meshes, false);
-            
-            // Highlight the first intersected object
-            if (intersects.length > 0) {
-                const objIndex = meshes.indexOf(intersects[0].object);
-                if (objIndex !== -1) {
-                    const obj = this.physicsObjects[objIndex];
-                    if (!obj.isHeld && obj.mesh.material) {
-                        obj.mesh.material.emissive = new THREE.Color(0x222222);
-                    }
-                }
+            // Highlight the first object the ray hits, unless level geometry is in the way
+            const hits = this._raycastObjects(raycaster);
+            if (hits.length > 0 && !hits[0].object.isHeld) {
+                hits[0].object.setHighlight(0x222222);
             }
             
             // Also highlight objects close to the hand indicator
             for (const obj of this.physicsObjects) {
                 if (!obj.isHeld) {
-                    const distance = obj.mesh.position.distanceTo(this.handIndicator.position);
-                    if (distance < GRAB_THRESHOLD * 1.5) { // Slightly larger threshold for highlighting
-                        obj.mesh.material.emissive = new THREE.Color(0x222222);
+                    const distance = obj.mesh.position.distanceTo(handIndicator.position);
+                    if (distance < config.values.grabDistance * 1.5 && !this._isBlockedByLevel(handIndicator.position, obj)) { // Slightly larger threshold for highlighting
+                        obj.setHighlight(0x222222);
                     }
                 }
             }
         }
 
+        for (const action of gestureActions.started) {
+            if (action === 'throw') {
+                // Explicit throw gesture: release now and don't regrab until the grab gesture ends
+                if (hand.heldObject) {
+                    this._throwHeldObject(hand);
+                    hand.grabLocked = true;
+                }
+            } else if (this.actions[action]) {
+                this.actions[action](hand, handData);
+            }
+        }
+
         // IMPROVED GRABBING LOGIC
-        if (handData && handData.isGrabbing) {
+        if (isGrabbing) {
             // Update indicator color for grabbing
-            if (this.handIndicator instanceof THREE.Group) {
-                this.handIndicator.children[0].material.color.setHex(0x00ff00); // Green when grabbing
-            } else {
-                this.handIndicator.material.color.setHex(0x00ff00); // Green when grabbing
-            }
+            handIndicator.children[0].material.color.setHex(0x00ff00); // Green when grabbing
             
-            if (!this.heldObject) {
+            if (!hand.heldObject && !hand.grabLocked) {
                 // Store position where grab started for throw direction calculation
-                this.lastGrabPosition = this.handIndicator.position.clone();
+                hand.lastGrabPosition = handIndicator.position.clone();
                 
-                // Reset hand position history on new grab
-                this.handPositionHistory = [];
+                // Only motion after the grab counts towards the throw
+                hand.throwEstimator.reset();
                 
                 // Create a raycaster for better 3D grabbing
                 const raycaster = new THREE.Raycaster();
@@ -276,151 +712,190 @@ export class Game {
                 // Set the raycaster to shoot from the camera through the hand position on screen
                 raycaster.setFromCamera(screenPos, this.sceneManager.camera);
                 
-                // Check which objects the ray intersects
-                const grabCandidates = [];
-                
-                // Prepare meshes for raycasting
-                const meshes = this.physicsObjects.map(obj => obj.mesh);
-                const intersects = raycaster.intersectObjects(meshes, false);
-                
-                // Find all potential objects to grab
-                for (const intersect of intersects) {
-                    // Find which physicsObject this mesh belongs to
-                    const objIndex = meshes.indexOf(intersect.object);
-                    if (objIndex !== -1) {
-                        grabCandidates.push({
-                            object: this.physicsObjects[objIndex],
-                            distance: intersect.distance
-                        });
-                    }
-                }
+                // Objects the ray hits before any level geometry can be grabbed
+                const grabCandidates = this._raycastObjects(raycaster);
                 
-                // Also consider objects that are close to the hand indicator in 3D space
+                // Also consider objects that are close to the hand indicator in 3D space.
+                // Objects held by the other hand count too, so a ball can be passed between hands.
                 for (const obj of this.physicsObjects) {
-                    if (!obj.isHeld) {
-                        const distance = obj.mesh.position.distanceTo(this.handIndicator.position);
-                        if (distance < GRAB_THRESHOLD) {
-                            // Check if this object is already a candidate
-                            const existingCandidate = grabCandidates.find(c => c.object === obj);
-                            if (!existingCandidate) {
-                                grabCandidates.push({
-                                    object: obj,
-                                    distance: distance
-                                });
-                            }
+                    const distance = obj.mesh.position.distanceTo(handIndicator.position);
+                    if (distance < config.values.grabDistance && !this._isBlockedByLevel(handIndicator.position, obj)) {
+                        // Check if this object is already a candidate
+                        const existingCandidate = grabCandidates.find(c => c.object === obj);
+                        if (!existingCandidate) {
+                            grabCandidates.push({
+                                object: obj,
+                                distance: distance
+                            });
                         }
                     }
                 }
                 
+                // In a shared scene, objects other players hold are off limits
+                const available = this.network
+                    ? grabCandidates.filter(c => this.network.canGrab(c.object))
+                    : grabCandidates;
+
                 // Sort candidates by distance and grab the closest one
-                if (grabCandidates.length > 0) {
-                    grabCandidates.sort((a, b) => a.distance - b.distance);
-                    this.heldObject = grabCandidates[0].object;
-                    this.heldObject.grab();
+                if (available.length > 0) {
+                    available.sort((a, b) => a.distance - b.distance);
+                    const target = available[0].object;
+
+                    // Hand-off: take the object from the other hand, which must
+                    // open its pinch before it can grab again
+                    const otherHand = this.hands.find(h => h !== hand && h.heldObject === target);
+                    if (otherHand) {
+                        otherHand.heldObject = null;
+                        otherHand.throwEstimator.reset();
+                        otherHand.lastGrabPosition = null;
+                        otherHand.grabLocked = true;
+                    }
+
+                    hand.heldObject = target;
+                    hand.heldObject.grab(handIndicator.position);
                     
                     // Provide visual feedback for the grabbed object
-                    this.heldObject.mesh.material.emissive = new THREE.Color(0x333333);
-                }
-            } else {
-                // Continue to record hand position history while holding
-                if (this.handPositionHistory.length > 0) {
-                    const lastPos = this.handPositionHistory[this.handPositionHistory.length - 1];
-                    // Only add new position if it's significantly different from the last one
-                    if (lastPos.distanceTo(this.handIndicator.position) > 0.01) {
-                        this.handPositionHistory.push(this.handIndicator.position.clone());
-                        if (this.handPositionHistory.length > THROW_HISTORY_LENGTH) {
-                            this.handPositionHistory.shift();
-                        }
+                    hand.heldObject.setHighlight(0x333333);
+                    if (this.network) {
+                        this.network.onGrab(target, hand);
                     }
+                    this.events.emit(GAME_EVENTS.GRAB_START, { hand, object: target, fromHand: otherHand || null });
                 }
             }
         } else { // Not grabbing or hand not detected
+            hand.grabLocked = false;
+
             // Update indicator color
-            if (this.handIndicator && this.handIndicator.visible) {
-                if (this.handIndicator instanceof THREE.Group) {
-                    this.handIndicator.children[0].material.color.setHex(0xffff00); // Yellow otherwise
-                } else {
-                    this.handIndicator.material.color.setHex(0xffff00); // Yellow otherwise
-                }
+            if (handIndicator.visible) {
+                handIndicator.children[0].material.color.setHex(0xffff00); // Yellow otherwise
             }
             
-            if (this.heldObject) {
-                // Reset emissive color of the previously held object
-                this.heldObject.mesh.material.emissive = new THREE.Color(0x000000);
-                
-                // IMPROVED THROW DIRECTION CALCULATION
-                let throwDirection = new THREE.Vector3(0, 0.3, -1).normalize(); // Default direction
-                let throwForce = THROW_FORCE;
-                
-                // Calculate throw direction from hand movement history
-                if (this.handPositionHistory.length >= 2) {
-                    // Use the motion vector between the first and last positions in history
-                    const startPos = this.handPositionHistory[0];
-                    const endPos = this.handPositionHistory[this.handPositionHistory.length - 1];
-                    
-                    // Calculate the movement vector
-                    const throwVector = new THREE.Vector3().subVectors(endPos, startPos);
-                    
-                    // Only use this vector if it has significant magnitude
-                    if (throwVector.length() > 0.05) {
-                        // Forward/backward now properly aligned - no need to invert Z
-                        throwVector.z *= 2.5; // Increase depth influence
-                        throwVector.x *= 2.5; // Increase horizontal influence
-                        throwVector.y = Math.max(0.2, throwVector.y); // Ensure some upward motion
-                        
-                        throwDirection = throwVector.normalize();
-                        
-                        // Adjust throw force based on hand speed
-                        const handSpeed = throwVector.length() / (this.handPositionHistory.length * deltaTime);
-                        throwForce = Math.min(THROW_FORCE * 1.5, Math.max(THROW_FORCE * 0.7, handSpeed * 5));
-                    }
-                }
-                
-                // Fallback to camera-based direction if hand history insufficient
-                if (throwDirection.length() < 0.1) {
-                    this.sceneManager.camera.getWorldDirection(throwDirection);
-                    throwDirection.y = Math.max(0.2, throwDirection.y + 0.2); // Ensure some upward component
-                }
-                
-                // Apply throw
-                this.heldObject.release(throwDirection, throwForce);
-                this.heldObject = null;
-                
-                // Reset hand position history after throw
-                this.handPositionHistory = [];
-                this.lastGrabPosition = null;
+            if (hand.heldObject) {
+                this._throwHeldObject(hand);
             }
         }
+    }
 
-        // Update held object position
-        if (this.heldObject) {
-            this.heldObject.update(deltaTime, this.handIndicator.position);
+    // Contacts that began during this frame's physics step as COLLISION,
+    // GROUND_IMPACT and BOUNDARY_HIT events
+    _emitContactEvents() {
+        const events = this.events;
+        if (!events.hasListeners(GAME_EVENTS.COLLISION) && !events.hasListeners(GAME_EVENTS.GROUND_IMPACT) &&
+            !events.hasListeners(GAME_EVENTS.BOUNDARY_HIT)) return;
+
+        for (const contact of this.physicsWorld.startedContacts) {
+            const first = contact.points[0];
+            const event = {
+                impulse: contact.impulse,
+                impactSpeed: contact.impactSpeed,
+                point: new THREE.Vector3().addVectors(contact.bodyA.position, first.rA),
+                normal: first.normal.clone(),
+            };
+            if (contact.collider === this.physicsWorld.ground) {
+                events.emit(GAME_EVENTS.GROUND_IMPACT, { object: contact.bodyA, ...event });
+            } else if (contact.collider && this.physicsWorld.isBoundary(contact.collider)) {
+                events.emit(GAME_EVENTS.BOUNDARY_HIT, { object: contact.bodyA, ...event });
+            } else {
+                events.emit(GAME_EVENTS.COLLISION, {
+                    objectA: contact.bodyA,
+                    objectB: contact.bodyB,
+                    collider: contact.collider,
+                    ...event,
+                });
+            }
         }
+    }
 
-        // Update physics for all non-held objects
-        this.physicsObjects.forEach(obj => {
-            if (obj !== this.heldObject) {
-                obj.update(deltaTime);
-            }
-        });
+    // Show where the held object would go if it were let go of now
+    _updateTrajectoryPreview(hand) {
+        const settings = (this.mode && this.mode.trajectoryPreview) || this.trajectoryPreview;
+        if (!hand.heldObject || !settings.enabled) {
+            hand.trajectoryPreview.hide();
+            return;
+        }
 
-        // Handle object-to-object collisions
-        for (let i = 0; i < this.physicsObjects.length; i++) {
-            for (let j = i + 1; j < this.physicsObjects.length; j++) {
-                const objA = this.physicsObjects[i];
-                const objB = this.physicsObjects[j];
-                
-                // Skip collision checks if either object is being held
-                if (objA === this.heldObject || objB === this.heldObject) {
-                    continue;
-                }
-                
-                if (objA.checkCollision(objB)) {
-                    objA.resolveCollision(objB);
-                }
+        // The same velocity _throwHeldObject would give it
+        const velocity = hand.throwEstimator.estimateVelocity() || new THREE.Vector3();
+        const speed = this._throwSpeed(velocity);
+        hand.heldObject.releaseVelocity(velocity, speed, velocity);
+
+        const prediction = this.physicsWorld.predictTrajectory(hand.heldObject, velocity, { bounce: settings.bounce });
+        hand.trajectoryPreview.update(prediction);
+    }
+
+    // Record where the hand is for the throw velocity fit, stamped with the
+    // tracking frame's own time so repeated frames and uneven rates don't skew it
+    _sampleHandMotion(hand, handData) {
+        const time = handData.timestamp != null ? handData.timestamp / 1000 : this.elapsedTime;
+
+        // With world landmarks we know the hand's real position in metres;
+        // turn it from the camera's view into the scene's orientation
+        let realPosition = null;
+        if (handData.landmarks && handData.worldLandmarks) {
+            realPosition = handPositionFromLandmarks(handData.landmarks, handData.worldLandmarks, new THREE.Vector3(), {
+                aspect: handData.imageAspect,
+            });
+            if (realPosition) {
+                realPosition.applyQuaternion(this.sceneManager.camera.quaternion);
             }
         }
 
-        this.sceneManager.render();
+        hand.throwEstimator.addSample(time, hand.indicator.position, realPosition);
+    }
+
+    _pushFromHand(hand) {
+        // Push along the hand's recent motion, or away from the camera if it hasn't moved
+        const pushDirection = hand.throwEstimator.estimateVelocity() || new THREE.Vector3();
+        if (pushDirection.length() < 0.2) {
+            this.sceneManager.camera.getWorldDirection(pushDirection);
+        }
+        pushDirection.normalize();
+
+        if (this.network) {
+            this.network.push(hand.indicator.position, pushDirection);
+        } else {
+            this.physicsWorld.applyPush(hand.indicator.position, pushDirection);
+        }
+    }
+
+    // Release speed for a hand velocity: scaled by throwScale, and capped to
+    // catch glitches such as a tracking jump at the moment of release
+    _throwSpeed(velocity) {
+        const { throwScale, maxThrowSpeed } = config.values;
+        return Math.min(velocity.length() * throwScale, maxThrowSpeed);
+    }
+
+    // Let go of the held object with the hand's velocity over the last moments
+    // before release: its real speed and direction, however it was thrown
+    _throwHeldObject(hand) {
+        hand.heldObject.setHighlight(0x000000);
+
+        // No recent motion means the hand was still: the object just drops
+        const velocity = hand.throwEstimator.estimateVelocity() || new THREE.Vector3();
+        const speed = this._throwSpeed(velocity);
+
+        if (!this.network) {
+            this.throwHistory.push(SceneSnapshot.capture(this));
+            if (this.throwHistory.length > MAX_UNDO_THROWS) this.throwHistory.shift();
+        }
+
+        const thrownObject = hand.heldObject;
+        thrownObject.release(velocity, speed, this.physicsWorld.random);
+        hand.heldObject = null;
+        if (this.network) {
+            this.network.onThrow(thrownObject, hand, velocity, speed);
+        }
+        if (this.mode) {
+            this.mode.onThrow(thrownObject, hand);
+        }
+        this.events.emit(GAME_EVENTS.RELEASE, {
+            hand,
+            object: thrownObject,
+            velocity: thrownObject.velocity.clone(),
+            speed,
+        });
+
+        hand.throwEstimator.reset();
+        hand.lastGrabPosition = null;
     }
-}
\ No newline at end of file
+}
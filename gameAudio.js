@@ -0,0 +1,303 @@
+import * as THREE from 'three';
+import { PHYSICS_MATERIALS } from 'physicsMaterials';
+import { GAME_EVENTS } from 'eventBus';
+
+// Sound for the game, as a plugin (game.use(new GameAudio())). Everything is
+// synthesised with Web Audio as it happens, no samples: impacts are a click of
+// filtered noise plus a few decaying partials tuned per material and pitched by
+// the object's size, as loud as the collision's impulse; a release is a sweep
+// of noise that gets louder and brighter with throw speed; a grab is a short
+// blip. Each sound is panned by where it happens on screen.
+
+const MAX_VOICES = 16; // Sounds playing at once; quieter ones give way beyond this
+const MIN_IMPULSE = 0.05; // N s; softer contacts (resting jitter, rolling) are silent
+const FULL_IMPULSE = 3; // N s of impulse for a full-volume impact
+const OBJECT_COOLDOWN = 0.05; // Seconds between impact sounds from one object, so rattles don't machine-gun
+const REFERENCE_RADIUS = 0.25; // Objects this size sound at the material's own pitch
+const DISTANCE_ROLLOFF = 0.15; // Loudness falls as 1 / (1 + rolloff * distance from the camera)
+const MIN_WHOOSH_SPEED = 1.5; // m/s; slower releases are drops, not throws
+const FULL_WHOOSH_SPEED = 15;
+const DEFAULT_VOLUME = 0.7;
+
+// frequency: lowest partial (Hz); partials: ratios above it; decay: seconds to
+// fade by ~63%; noise: share of the click; brightness: click filter, times frequency
+const IMPACT_SOUNDS = {
+    plastic: { frequency: 420, partials: [1, 2.3, 3.9], decay: 0.06, noise: 0.5, brightness: 4 },
+    rubber: { frequency: 180, partials: [1, 1.9], decay: 0.08, noise: 0.3, brightness: 2 },
+    foam: { frequency: 120, partials: [1], decay: 0.03, noise: 0.8, brightness: 1.5 },
+    wood: { frequency: 320, partials: [1, 2.7, 5.1], decay: 0.09, noise: 0.4, brightness: 5 },
+    steel: { frequency: 880, partials: [1, 2.76, 5.4, 8.93], decay: 0.6, noise: 0.15, brightness: 8 },
+    bowling: { frequency: 110, partials: [1, 2.1], decay: 0.18, noise: 0.4, brightness: 3 },
+    pingPong: { frequency: 1400, partials: [1, 2.2], decay: 0.03, noise: 0.6, brightness: 3 },
+};
+const DEFAULT_IMPACT_SOUND = IMPACT_SOUNDS.plastic;
+const SURFACE_DAMPING = 0.6; // Ground and level geometry shorten the ring of what hits them
+
+const _projected = new THREE.Vector3();
+
+export class GameAudio {
+    // options.volume: master volume, 0 to 1
+    // options.muted: start muted
+    // options.context: an AudioContext to use instead of making one
+    constructor(options = {}) {
+        this.volume = options.volume ?? DEFAULT_VOLUME;
+        this.muted = !!options.muted;
+        this.context = options.context || null;
+        this.game = null;
+        this.voices = []; // { end, loudness, output, sources }
+        this._lastImpact = new WeakMap(); // PhysicsObject -> context time of its last impact sound
+        this._unsubscribe = [];
+    }
+
+    install(game) {
+        this.game = game;
+        const events = game.events;
+        this._unsubscribe = [
+            events.on(GAME_EVENTS.COLLISION, (event) => this._onCollision(event)),
+            events.on(GAME_EVENTS.GROUND_IMPACT, (event) => this._onSurfaceImpact(event)),
+            events.on(GAME_EVENTS.BOUNDARY_HIT, (event) => this._onSurfaceImpact(event)),
+            events.on(GAME_EVENTS.RELEASE, (event) => this.playWhoosh(event.object.position, event.speed)),
+            events.on(GAME_EVENTS.GRAB_START, (event) => this.playPickup(event.object.position)),
+        ];
+
+        if (this.context) this._ensureContext();
+
+        // Browsers only start audio from a user gesture
+        this._resume = () => this._ensureContext() && this.context.resume();
+        window.addEventListener('pointerdown', this._resume);
+        window.addEventListener('keydown', this._resume);
+    }
+
+    uninstall() {
+        for (const off of this._unsubscribe) off();
+        this._unsubscribe = [];
+        window.removeEventListener('pointerdown', this._resume);
+        window.removeEventListener('keydown', this._resume);
+        this.stopAll();
+        this.game = null;
+    }
+
+    setVolume(volume) {
+        this.volume = THREE.MathUtils.clamp(volume, 0, 1);
+        this._applyVolume();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this._applyVolume();
+    }
+
+    stopAll() {
+        for (const voice of [...this.voices]) {
+            this._stopVoice(voice);
+        }
+    }
+
+    // material: a PhysicsObject's material; radius its size; loudness 0 to 1
+    playImpact(position, material, radius, loudness, damping = 1) {
+        const sound = impactSoundFor(material);
+        const voice = this._startVoice(position, loudness, sound.decay * damping * 6);
+        if (!voice) return;
+
+        const { context, output, start } = voice;
+        const pitch = Math.sqrt(REFERENCE_RADIUS / Math.max(radius, 0.01));
+        const frequency = sound.frequency * pitch;
+        const decay = sound.decay * damping;
+
+        // The click of the hit
+        const noise = this._noiseSource(voice);
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = Math.min(frequency * sound.brightness, 12000);
+        filter.Q.value = 1.5;
+        const clickGain = context.createGain();
+        clickGain.gain.setValueAtTime(sound.noise, start);
+        clickGain.gain.exponentialRampToValueAtTime(0.001, start + 0.02 + decay * 0.3);
+        noise.connect(filter).connect(clickGain).connect(output);
+        noise.start(start);
+        noise.stop(start + 0.05 + decay);
+
+        // The ring of the body, higher partials dying away faster
+        sound.partials.forEach((ratio, i) => {
+            const oscillator = context.createOscillator();
+            oscillator.frequency.value = frequency * ratio;
+            const gain = context.createGain();
+            const partialDecay = decay / (1 + i * 0.5);
+            gain.gain.setValueAtTime((1 - sound.noise) / (i + 1), start);
+            gain.gain.setTargetAtTime(0, start, partialDecay);
+            oscillator.connect(gain).connect(output);
+            oscillator.start(start);
+            oscillator.stop(start + partialDecay * 6);
+            voice.sources.push(oscillator);
+        });
+    }
+
+    // speed: the hand's throw speed (m/s)
+    playWhoosh(position, speed) {
+        if (speed < MIN_WHOOSH_SPEED) return;
+        const strength = Math.min(1, (speed - MIN_WHOOSH_SPEED) / (FULL_WHOOSH_SPEED - MIN_WHOOSH_SPEED));
+        const duration = 0.35 - strength * 0.15; // Faster throws are over sooner
+        const voice = this._startVoice(position, 0.2 + strength * 0.5, duration);
+        if (!voice) return;
+
+        const { context, output, start } = voice;
+        const noise = this._noiseSource(voice);
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.Q.value = 2;
+        filter.frequency.setValueAtTime(300 + strength * 400, start);
+        filter.frequency.exponentialRampToValueAtTime(1200 + strength * 2800, start + duration * 0.4);
+        filter.frequency.exponentialRampToValueAtTime(400, start + duration);
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0.001, start);
+        gain.gain.exponentialRampToValueAtTime(1, start + duration * 0.3);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+        noise.connect(filter).connect(gain).connect(output);
+        noise.start(start);
+        noise.stop(start + duration);
+    }
+
+    playPickup(position) {
+        const voice = this._startVoice(position, 0.25, 0.12);
+        if (!voice) return;
+
+        const { context, output, start } = voice;
+        const oscillator = context.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.setValueAtTime(520, start);
+        oscillator.frequency.exponentialRampToValueAtTime(880, start + 0.06);
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0.001, start);
+        gain.gain.exponentialRampToValueAtTime(1, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.12);
+        oscillator.connect(gain).connect(output);
+        oscillator.start(start);
+        oscillator.stop(start + 0.12);
+        voice.sources.push(oscillator);
+    }
+
+    // Two bodies: each sounds like itself. A body and level geometry: the body,
+    // damped by the surface.
+    _onCollision(event) {
+        const loudness = impulseLoudness(event.impulse);
+        if (loudness === 0) return;
+        if (event.objectB) {
+            this._playObjectImpact(event.objectA, event.point, loudness * 0.7, 1);
+            this._playObjectImpact(event.objectB, event.point, loudness * 0.7, 1);
+        } else {
+            this._playObjectImpact(event.objectA, event.point, loudness, SURFACE_DAMPING);
+        }
+    }
+
+    _onSurfaceImpact(event) {
+        const loudness = impulseLoudness(event.impulse);
+        if (loudness > 0) {
+            this._playObjectImpact(event.object, event.point, loudness, SURFACE_DAMPING);
+        }
+    }
+
+    _playObjectImpact(object, position, loudness, damping) {
+        if (!this.context) return;
+        const now = this.context.currentTime;
+        if (now - (this._lastImpact.get(object) ?? -Infinity) < OBJECT_COOLDOWN) return;
+        this._lastImpact.set(object, now);
+        this.playImpact(position, object.material, object.radius, loudness, damping);
+    }
+
+    // A voice's output: gain for loudness and distance, then panned, then the
+    // master gain. Returns null when nothing should play: no audio yet, muted,
+    // or all voices busy with louder sounds.
+    _startVoice(position, loudness, duration) {
+        if (!this.context || this.context.state !== 'running' || this.muted || this.volume === 0) return null;
+        const context = this.context;
+        const start = context.currentTime;
+
+        const camera = this.game && this.game.sceneManager.camera;
+        let pan = 0;
+        if (camera && position) {
+            loudness /= 1 + DISTANCE_ROLLOFF * camera.position.distanceTo(position);
+            pan = THREE.MathUtils.clamp(_projected.copy(position).project(camera).x, -1, 1);
+        }
+
+        this.voices = this.voices.filter(voice => voice.end > start);
+        if (this.voices.length >= MAX_VOICES) {
+            let quietest = this.voices[0];
+            for (const voice of this.voices) {
+                if (voice.loudness < quietest.loudness) quietest = voice;
+            }
+            if (quietest.loudness >= loudness) return null;
+            this._stopVoice(quietest);
+        }
+
+        const output = context.createGain();
+        output.gain.value = loudness;
+        const panner = context.createStereoPanner();
+        panner.pan.value = pan;
+        output.connect(panner).connect(this.master);
+
+        const voice = { context, output, start, end: start + duration, loudness, sources: [] };
+        this.voices.push(voice);
+        return voice;
+    }
+
+    _stopVoice(voice) {
+        const now = voice.context.currentTime;
+        voice.output.gain.setTargetAtTime(0, now, 0.01);
+        for (const source of voice.sources) {
+            try {
+                source.stop(now + 0.05);
+            } catch (error) {
+                // Already stopped
+            }
+        }
+        const index = this.voices.indexOf(voice);
+        if (index !== -1) this.voices.splice(index, 1);
+    }
+
+    _noiseSource(voice) {
+        const source = voice.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+        voice.sources.push(source);
+        return source;
+    }
+
+    // Made on the first gesture; returns whether there is a context
+    _ensureContext() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return false;
+            this.context = new AudioContextClass();
+        }
+        if (!this.master) {
+            this.master = this.context.createGain();
+            this.master.connect(this.context.destination);
+            this._applyVolume();
+
+            // A second of white noise, looped by every noisy sound
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        return true;
+    }
+
+    _applyVolume() {
+        if (!this.master) return;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.context.currentTime, 0.02);
+    }
+}
+
+function impactSoundFor(material) {
+    const name = Object.keys(PHYSICS_MATERIALS).find(key => PHYSICS_MATERIALS[key] === material);
+    return IMPACT_SOUNDS[name] || DEFAULT_IMPACT_SOUND;
+}
+
+// Impulse to 0-1; a square root so soft taps are still audible next to hard hits
+function impulseLoudness(impulse) {
+    if (impulse < MIN_IMPULSE) return 0;
+    return Math.min(1, Math.sqrt(impulse / FULL_IMPULSE));
+}
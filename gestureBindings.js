@@ -0,0 +1,77 @@
+// Default gesture-to-action map. 'hold' bindings stay active while the gesture
+// is held (grab); 'start' bindings fire once when the gesture begins, or with
+// holdTime once it has been held that many seconds, so poses a hand passes
+// through on the way to another don't trigger anything.
+const DEFAULT_BINDINGS = [
+    { gesture: 'pinch', action: 'grab', mode: 'hold', minConfidence: 0.5 },
+    { gesture: 'swipe', action: 'push', mode: 'start', minConfidence: 0.6, requiresEmptyHand: true },
+    { gesture: 'fist', action: 'undo', mode: 'start', minConfidence: 0.7, requiresEmptyHand: true, holdTime: 0.8 },
+    { gesture: 'victory', action: 'snapshot', mode: 'start', minConfidence: 0.7, requiresEmptyHand: true, holdTime: 0.8 },
+    { gesture: 'thumbsUp', action: 'restore', mode: 'start', minConfidence: 0.7, requiresEmptyHand: true, holdTime: 0.8 },
+    { gesture: 'openPalm', action: 'spawn', mode: 'start', minConfidence: 0.8, requiresEmptyHand: true, holdTime: 1 },
+    { gesture: 'point', action: 'reset', mode: 'start', minConfidence: 0.7, requiresEmptyHand: true, holdTime: 1.5 },
+];
+
+export class GestureBindings {
+    constructor(bindings = DEFAULT_BINDINGS) {
+        this.bindings = [];
+        this.activeBindings = {}; // Per-hand map of bindings whose gesture is above threshold -> seconds held
+        bindings.forEach(binding => this.bind(binding.gesture, binding.action, binding));
+    }
+
+    bind(gesture, action, options = {}) {
+        this.unbind(gesture, action);
+        this.bindings.push({
+            gesture: gesture,
+            action: action,
+            mode: options.mode || 'start',
+            minConfidence: options.minConfidence ?? 0.5,
+            requiresEmptyHand: options.requiresEmptyHand || false,
+            holdTime: options.holdTime || 0,
+        });
+    }
+
+    // Remove one binding, or every binding for the gesture when no action is given
+    unbind(gesture, action = null) {
+        this.bindings = this.bindings.filter(binding =>
+            binding.gesture !== gesture || (action !== null && binding.action !== action)
+        );
+    }
+
+    clear() {
+        this.bindings = [];
+        this.activeBindings = {};
+    }
+
+    // Resolve one hand's gesture confidences into actions. deltaTime: seconds
+    // since the last update, for holdTime.
+    // Returns { held: Set of 'hold' actions active this frame, started: 'start' actions that fired this frame }
+    update(label, gestures, isHolding = false, deltaTime = 0) {
+        const previous = this.activeBindings[label] || new Map();
+        const active = new Map();
+        const held = new Set();
+        const started = [];
+
+        for (const binding of this.bindings) {
+            const confidence = gestures ? (gestures[binding.gesture] || 0) : 0;
+            if (confidence < binding.minConfidence) continue;
+
+            const key = `${binding.gesture}:${binding.action}`;
+            const wasActive = previous.has(key);
+            const heldFor = wasActive ? previous.get(key) + deltaTime : 0;
+            active.set(key, heldFor);
+            if (binding.mode === 'hold') {
+                held.add(binding.action);
+            } else if (binding.requiresEmptyHand && isHolding) {
+                continue;
+            } else if (binding.holdTime > 0
+                ? wasActive && previous.get(key) < binding.holdTime && heldFor >= binding.holdTime
+                : !wasActive) {
+                started.push(binding.action);
+            }
+        }
+
+        this.activeBindings[label] = active;
+        return { held, started };
+    }
+}
@@ -0,0 +1,178 @@
+// Landmark indices (MediaPipe hand model)
+const WRIST = 0;
+const THUMB = { mcp: 2, ip: 3, tip: 4 };
+const FINGERS = {
+    index: { mcp: 5, pip: 6, tip: 8 },
+    middle: { mcp: 9, pip: 10, tip: 12 },
+    ring: { mcp: 13, pip: 14, tip: 16 },
+    pinky: { mcp: 17, pip: 18, tip: 20 },
+};
+const PALM_POINTS = [0, 5, 9, 13, 17];
+
+const SWIPE_WINDOW_MS = 150; // How far back to look when measuring palm speed
+const SWIPE_MIN_SPEED = 1.2; // Normalized screen widths per second before a swipe starts to register
+const SWIPE_FULL_SPEED = 2.5; // Speed at which swipe confidence reaches 1
+
+function distance(a, b) {
+    return Math.sqrt(
+        Math.pow(a.x - b.x, 2) +
+        Math.pow(a.y - b.y, 2) +
+        Math.pow(a.z - b.z, 2)
+    );
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+// Gap between the thumb and index finger tips, compared against pinchThreshold
+export function pinchDistance(landmarks) {
+    return distance(landmarks[THUMB.tip], landmarks[FINGERS.index.tip]);
+}
+
+// 0 = curled, 1 = straight. A straight finger's tip is much further from
+// the wrist than its middle joint; a curled one folds back towards the palm.
+function fingerExtension(landmarks, finger) {
+    const wrist = landmarks[WRIST];
+    const ratio = distance(landmarks[finger.tip], wrist) / Math.max(1e-6, distance(landmarks[finger.pip], wrist));
+    return smoothstep(1.0, 1.35, ratio);
+}
+
+// 1 when all four fingers are curled
+function fingersCurl(landmarks) {
+    let curl = 1;
+    for (const finger of Object.values(FINGERS)) {
+        curl = Math.min(curl, 1 - fingerExtension(landmarks, finger));
+    }
+    return curl;
+}
+
+function thumbExtension(landmarks) {
+    // Compare against the pinky base: a tucked thumb tip lies across the palm
+    const pinkyBase = landmarks[FINGERS.pinky.mcp];
+    const ratio = distance(landmarks[THUMB.tip], pinkyBase) / Math.max(1e-6, distance(landmarks[THUMB.mcp], pinkyBase));
+    return smoothstep(1.0, 1.3, ratio);
+}
+
+export class GestureRecognizer {
+    constructor(options = {}) {
+        this.pinchThreshold = options.pinchThreshold ?? 0.07; // Normalized screen distance for pinch
+        this.detectors = new Map();
+        this.handStates = {}; // Per-hand history used by motion gestures such as swipe
+
+        this.registerGesture('pinch', (landmarks) => this._detectPinch(landmarks));
+        this.registerGesture('fist', (landmarks) => this._detectFist(landmarks));
+        this.registerGesture('openPalm', (landmarks) => this._detectOpenPalm(landmarks));
+        this.registerGesture('point', (landmarks) => this._detectPoint(landmarks));
+        this.registerGesture('victory', (landmarks) => this._detectVictory(landmarks));
+        this.registerGesture('thumbsUp', (landmarks) => this._detectThumbsUp(landmarks));
+        this.registerGesture('swipe', (landmarks, state) => this._detectSwipe(state));
+    }
+
+    // Detectors receive (landmarks, handState) and return a confidence in 0-1.
+    // Registering an existing name replaces the built-in detector.
+    registerGesture(name, detector) {
+        this.detectors.set(name, detector);
+    }
+
+    unregisterGesture(name) {
+        this.detectors.delete(name);
+    }
+
+    // Returns { gestureName: confidence } for one hand
+    recognize(label, landmarks, timestamp) {
+        const state = this._getHandState(label);
+        this._recordPalm(state, landmarks, timestamp);
+
+        const gestures = {};
+        for (const [name, detector] of this.detectors) {
+            const confidence = detector(landmarks, state);
+            gestures[name] = Math.max(0, Math.min(1, confidence || 0));
+        }
+        return gestures;
+    }
+
+    reset(label) {
+        delete this.handStates[label];
+    }
+
+    _getHandState(label) {
+        if (!this.handStates[label]) {
+            this.handStates[label] = { palmHistory: [] };
+        }
+        return this.handStates[label];
+    }
+
+    _recordPalm(state, landmarks, timestamp) {
+        let x = 0;
+        let y = 0;
+        for (const index of PALM_POINTS) {
+            x += landmarks[index].x;
+            y += landmarks[index].y;
+        }
+        state.palmHistory.push({
+            x: 1.0 - x / PALM_POINTS.length, // Mirrored to match screenPosition
+            y: y / PALM_POINTS.length,
+            time: timestamp
+        });
+        while (state.palmHistory.length > 2 && timestamp - state.palmHistory[0].time > SWIPE_WINDOW_MS) {
+            state.palmHistory.shift();
+        }
+    }
+
+    _detectPinch(landmarks) {
+        // 1 when the tips touch, 0.5 right at the threshold, 0 at 1.5x the threshold
+        return 1.5 - pinchDistance(landmarks) / this.pinchThreshold;
+    }
+
+    // The thumb tucked in too, so a thumbs-up isn't also a fist
+    _detectFist(landmarks) {
+        return Math.min(fingersCurl(landmarks), 1 - thumbExtension(landmarks));
+    }
+
+    _detectThumbsUp(landmarks) {
+        return Math.min(fingersCurl(landmarks), thumbExtension(landmarks));
+    }
+
+    // Index and middle fingers up in a V, the others curled
+    _detectVictory(landmarks) {
+        return Math.min(
+            fingerExtension(landmarks, FINGERS.index),
+            fingerExtension(landmarks, FINGERS.middle),
+            1 - fingerExtension(landmarks, FINGERS.ring),
+            1 - fingerExtension(landmarks, FINGERS.pinky)
+        );
+    }
+
+    _detectOpenPalm(landmarks) {
+        let extension = thumbExtension(landmarks);
+        for (const finger of Object.values(FINGERS)) {
+            extension = Math.min(extension, fingerExtension(landmarks, finger));
+        }
+        return extension;
+    }
+
+    _detectPoint(landmarks) {
+        const indexExtension = fingerExtension(landmarks, FINGERS.index);
+        const othersCurl = Math.min(
+            1 - fingerExtension(landmarks, FINGERS.middle),
+            1 - fingerExtension(landmarks, FINGERS.ring),
+            1 - fingerExtension(landmarks, FINGERS.pinky)
+        );
+        return Math.min(indexExtension, othersCurl);
+    }
+
+    _detectSwipe(state) {
+        const history = state.palmHistory;
+        if (history.length < 2) return 0;
+
+        const first = history[0];
+        const last = history[history.length - 1];
+        const elapsed = (last.time - first.time) / 1000;
+        if (elapsed <= 0) return 0;
+
+        const speed = Math.sqrt(Math.pow(last.x - first.x, 2) + Math.pow(last.y - first.y, 2)) / elapsed;
+        return smoothstep(SWIPE_MIN_SPEED, SWIPE_FULL_SPEED, speed);
+    }
+}
@@ -0,0 +1,210 @@
+import { handSize } from 'handTracker';
+import { pinchDistance } from 'gestureRecognizer';
+
+// Guided calibration for the webcam tracker. How big a hand looks, and how
+// wide an open thumb-index gap is, depend on the player's hand and on where
+// they sit, so instead of fixed constants we measure them: the player holds
+// an open hand near the camera, then far from it, then pinches. The result
+// plugs into HandTracker.setCalibration and can be saved as a named profile.
+
+const STEP_SETTLE_TIME = 0.75; // Seconds to get into position before sampling
+const STEP_SAMPLE_TIME = 1.5; // Seconds of tracked hand sampled per step
+const MIN_RANGE_RATIO = 1.3; // The near hand must look at least this much bigger than the far one
+const RANGE_MARGIN = 0.05; // Fraction trimmed off each end so the extremes are reachable without straining
+const PINCH_POSITION = 0.5; // Threshold between the pinched and relaxed gaps (0 = pinched, 1 = relaxed)
+const MIN_PINCH_RATIO = 1.5; // The relaxed gap must be at least this much wider than the pinched one
+
+const PROFILES_KEY = 'grabThrow.calibrationProfiles';
+
+export const CALIBRATION_STEPS = [
+    { name: 'near', instruction: 'Hold your open hand close to the camera' },
+    { name: 'far', instruction: 'Now hold it as far from the camera as you comfortably reach' },
+    { name: 'pinch', instruction: 'Pinch your thumb and index finger together and hold' },
+];
+
+export class HandCalibration {
+    constructor() {
+        this.state = 'idle'; // 'running' | 'done' | 'failed'
+        this.stepIndex = -1;
+        this.result = null; // { minHandSize, maxHandSize, pinchThreshold } when done
+        this.error = null; // Message when failed
+
+        // UI hooks
+        this.onStep = () => { }; // (step)
+        this.onComplete = () => { }; // (calibration)
+        this.onFailed = () => { }; // (message)
+    }
+
+    get step() {
+        return CALIBRATION_STEPS[this.stepIndex] || null;
+    }
+
+    start() {
+        this.state = 'running';
+        this.result = null;
+        this.error = null;
+        this.samples = {}; // step name -> [{ size, pinch }]
+        this._startStep(0);
+    }
+
+    cancel() {
+        this.state = 'idle';
+        this.stepIndex = -1;
+    }
+
+    // Feed the tracker's hands once per frame. Uses the first tracked hand;
+    // time only counts while a hand is visible, and each tracking frame is
+    // sampled once however often this is called.
+    update(hands) {
+        if (this.state !== 'running') return;
+
+        const hand = hands.find(data => data.isTracked && data.landmarks);
+        this.handVisible = !!hand;
+        if (!hand || hand.timestamp === this._lastTimestamp) return;
+
+        const time = hand.timestamp / 1000;
+        const elapsed = this._lastTimestamp === null ? 0 : Math.min(time - this._lastTimestamp / 1000, 0.1);
+        this._lastTimestamp = hand.timestamp;
+        this.stepTime += elapsed;
+        if (this.stepTime < STEP_SETTLE_TIME) return;
+
+        this.samples[this.step.name].push({
+            size: handSize(hand.landmarks),
+            pinch: pinchDistance(hand.landmarks),
+        });
+        if (this.stepTime >= STEP_SETTLE_TIME + STEP_SAMPLE_TIME) {
+            if (this.stepIndex + 1 < CALIBRATION_STEPS.length) {
+                this._startStep(this.stepIndex + 1);
+            } else {
+                this._finish();
+            }
+        }
+    }
+
+    // Everything a panel needs to show
+    getStatus() {
+        return {
+            state: this.state,
+            step: this.step,
+            stepNumber: this.stepIndex + 1,
+            stepCount: CALIBRATION_STEPS.length,
+            handVisible: !!this.handVisible,
+            settling: this.state === 'running' && this.stepTime < STEP_SETTLE_TIME,
+            progress: this.state === 'running'
+                ? Math.max(0, Math.min(1, (this.stepTime - STEP_SETTLE_TIME) / STEP_SAMPLE_TIME))
+                : 0,
+            error: this.error,
+        };
+    }
+
+    _startStep(index) {
+        this.stepIndex = index;
+        this.stepTime = 0;
+        this._lastTimestamp = null;
+        this.samples[this.step.name] = [];
+        this.onStep(this.step);
+    }
+
+    _finish() {
+        const near = median(this.samples.near.map(sample => sample.size));
+        const far = median(this.samples.far.map(sample => sample.size));
+        if (near < far * MIN_RANGE_RATIO) {
+            this._fail('Your hand looked about the same size near and far. Move it further between the two.');
+            return;
+        }
+
+        // The far step's open hand gives the narrowest relaxed gap, so the
+        // threshold stays below it wherever the hand is
+        const pinched = median(this.samples.pinch.map(sample => sample.pinch));
+        const relaxed = median(this.samples.far.map(sample => sample.pinch));
+        if (relaxed < pinched * MIN_PINCH_RATIO) {
+            this._fail('No pinch was seen. Touch your thumb and index fingertips together.');
+            return;
+        }
+
+        const margin = (near - far) * RANGE_MARGIN;
+        this.result = {
+            minHandSize: far + margin,
+            maxHandSize: near - margin,
+            pinchThreshold: pinched + (relaxed - pinched) * PINCH_POSITION,
+        };
+        this.state = 'done';
+        this.onComplete(this.result);
+    }
+
+    _fail(message) {
+        this.state = 'failed';
+        this.error = message;
+        this.onFailed(message);
+    }
+}
+
+// Named calibrations kept in localStorage, plus which one is in use
+export class CalibrationProfiles {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    list() {
+        return Object.keys(this._load().profiles).sort();
+    }
+
+    get(name) {
+        return this._load().profiles[name] || null;
+    }
+
+    // Saves and makes it the active profile
+    save(name, calibration) {
+        const data = this._load();
+        data.profiles[name] = { ...calibration };
+        data.active = name;
+        this._store(data);
+    }
+
+    remove(name) {
+        const data = this._load();
+        delete data.profiles[name];
+        if (data.active === name) data.active = null;
+        this._store(data);
+    }
+
+    get activeName() {
+        return this._load().active;
+    }
+
+    setActive(name) {
+        const data = this._load();
+        data.active = name in data.profiles ? name : null;
+        this._store(data);
+    }
+
+    // The active profile's calibration, or null to use the defaults
+    getActive() {
+        const data = this._load();
+        return data.active ? data.profiles[data.active] || null : null;
+    }
+
+    _load() {
+        try {
+            const data = JSON.parse(this.storage.getItem(PROFILES_KEY));
+            if (data && data.profiles && typeof data.profiles === 'object') return data;
+        } catch (error) {
+            console.warn('Could not read calibration profiles:', error);
+        }
+        return { active: null, profiles: {} };
+    }
+
+    _store(data) {
+        try {
+            this.storage.setItem(PROFILES_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save calibration profiles:', error);
+        }
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
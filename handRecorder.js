@@ -0,0 +1,67 @@
+const RECORDING_VERSION = 1;
+
+// Captures the per-frame output of HandTracker.update so a session can be
+// replayed later by ReplayHandTracker.
+export class HandRecorder {
+    constructor(metadata = {}) {
+        this.metadata = metadata; // e.g. { seed, videoAspect } so the replay rebuilds the same scene
+        this.frames = [];
+        this.isRecording = false;
+        this.startTime = null;
+    }
+
+    start() {
+        this.frames = [];
+        this.startTime = null;
+        this.isRecording = true;
+    }
+
+    stop() {
+        this.isRecording = false;
+    }
+
+    // results is null for updates that had no new video frame
+    capture(timestamp, results) {
+        if (!this.isRecording) return;
+        if (this.startTime === null) this.startTime = timestamp;
+
+        this.frames.push({
+            time: timestamp - this.startTime, // ms since recording started
+            results: results ? this._serializeResults(results) : null
+        });
+    }
+
+    _serializeResults(results) {
+        const copyPoints = hand => hand.map(p => ({ x: p.x, y: p.y, z: p.z }));
+        return {
+            landmarks: (results.landmarks || []).map(copyPoints),
+            worldLandmarks: (results.worldLandmarks || []).map(copyPoints),
+            handedness: (results.handedness || []).map(categories => categories.map(c => ({
+                score: c.score,
+                index: c.index,
+                categoryName: c.categoryName,
+                displayName: c.displayName
+            })))
+        };
+    }
+
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            metadata: this.metadata,
+            frames: this.frames
+        };
+    }
+
+    download(filename = `hand-recording-${new Date().toISOString().replace(/[:.]/g, '-')}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
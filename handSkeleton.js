@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+
+// The whole tracked hand drawn in the scene: a dot per landmark and a line per
+// bone, built from MediaPipe's world landmarks (metres, centred on the hand)
+// and placed so the index fingertip sits on the hand indicator. Shows the
+// player what the tracker thinks their hand is doing, e.g. how close a pinch
+// that isn't registering actually is.
+
+const SKELETON_SCALE = 2; // Scene units per metre of hand; a bit larger than life so it reads at a distance
+const JOINT_RADIUS = 0.012; // Metres
+const ANCHOR_LANDMARK = 8; // Index fingertip, where the indicator is
+const PINCH_TIPS = [4, 8]; // Thumb and index tips, coloured by pinch confidence
+const GRAB_COLOR = new THREE.Color(0x44ff66);
+const PINCH_COLOR = new THREE.Color(0xffff00);
+
+// MediaPipe hand model bones
+export const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+    [0, 5], [5, 6], [6, 7], [7, 8], // Index
+    [5, 9], [9, 10], [10, 11], [11, 12], // Middle
+    [9, 13], [13, 14], [14, 15], [15, 16], // Ring
+    [13, 17], [0, 17], [17, 18], [18, 19], [19, 20], // Pinky and palm
+];
+const LANDMARK_COUNT = 21;
+
+const _points = Array.from({ length: LANDMARK_COUNT }, () => new THREE.Vector3());
+const _color = new THREE.Color();
+
+export class HandSkeleton {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+
+        const jointGeometry = new THREE.SphereGeometry(JOINT_RADIUS * SKELETON_SCALE, 8, 8);
+        this.joints = [];
+        for (let i = 0; i < LANDMARK_COUNT; i++) {
+            const joint = new THREE.Mesh(jointGeometry, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+            this.joints.push(joint);
+            this.group.add(joint);
+        }
+
+        const bonePositions = new Float32Array(HAND_CONNECTIONS.length * 2 * 3);
+        const boneGeometry = new THREE.BufferGeometry();
+        boneGeometry.setAttribute('position', new THREE.BufferAttribute(bonePositions, 3));
+        this.bones = new THREE.LineSegments(boneGeometry, new THREE.LineBasicMaterial({ color: 0xffffff }));
+        this.bones.frustumCulled = false; // Bounds change every frame
+        this.group.add(this.bones);
+    }
+
+    // handData: the tracker's hand, or null to hide the skeleton. anchor: the
+    // indicator position; quaternion: the camera's, to turn the hand from
+    // view space into the scene. state: { grabbing, depthColor, pinch }.
+    update(handData, anchor, quaternion, state) {
+        const worldLandmarks = handData && handData.worldLandmarks;
+        if (!worldLandmarks || worldLandmarks.length < LANDMARK_COUNT) {
+            this.group.visible = false;
+            return;
+        }
+        this.group.visible = true;
+
+        // World landmarks are in the webcam's frame (x right in the image, y
+        // down, z towards the webcam); mirror them like the on-screen hand and
+        // turn them into view space, relative to the anchor landmark
+        const origin = worldLandmarks[ANCHOR_LANDMARK];
+        for (let i = 0; i < LANDMARK_COUNT; i++) {
+            const landmark = worldLandmarks[i];
+            _points[i].set(
+                -(landmark.x - origin.x),
+                -(landmark.y - origin.y),
+                landmark.z - origin.z
+            ).multiplyScalar(SKELETON_SCALE).applyQuaternion(quaternion).add(anchor);
+            this.joints[i].position.copy(_points[i]);
+        }
+
+        const positions = this.bones.geometry.attributes.position;
+        HAND_CONNECTIONS.forEach(([a, b], i) => {
+            positions.setXYZ(i * 2, _points[a].x, _points[a].y, _points[a].z);
+            positions.setXYZ(i * 2 + 1, _points[b].x, _points[b].y, _points[b].z);
+        });
+        positions.needsUpdate = true;
+
+        // Depth colour normally, green while grabbing; the pinching tips
+        // brighten as the pinch gets closer to registering
+        const color = state.grabbing ? GRAB_COLOR : state.depthColor;
+        this.bones.material.color.copy(color);
+        for (let i = 0; i < LANDMARK_COUNT; i++) {
+            this.joints[i].material.color.copy(color);
+        }
+        if (!state.grabbing) {
+            for (const index of PINCH_TIPS) {
+                this.joints[index].material.color.copy(_color.copy(color).lerp(PINCH_COLOR, state.pinch || 0));
+            }
+        }
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+
+    dispose() {
+        this.joints[0].geometry.dispose();
+        for (const joint of this.joints) {
+            joint.material.dispose();
+        }
+        this.bones.geometry.dispose();
+        this.bones.material.dispose();
+        this.group.removeFromParent();
+    }
+}
@@ -1,23 +1,110 @@
 import * as THREE from 'three';
 import { HandLandmarker, FilesetResolver } from 'https://esm.sh/@mediapipe/tasks-vision@0.10.14';
+import { GestureRecognizer, pinchDistance } from 'gestureRecognizer';
+import { LandmarkFilter, createFilter, DEFAULT_FILTER } from 'landmarkFilters';
 
-const GRAB_GESTURE_THRESHOLD = 0.07; // Normalized screen distance for pinch
+const HAND_LABELS = ['Left', 'Right'];
+const PALM_POINTS = [0, 5, 9, 13, 17]; // Wrist and finger bases
+
+// How this player's hand looks to the camera; handCalibration measures these
+export const DEFAULT_CALIBRATION = {
+    minHandSize: 0.05, // handSize() with the hand as far away as it goes (depth 0)
+    maxHandSize: 0.3, // ...and as close as it goes (depth 1)
+    pinchThreshold: 0.07, // Normalized screen distance between thumb and index tips for pinch
+};
+
+// MediaPipe labels handedness assuming a mirrored (selfie) image. Our video
+// frames are not mirrored, so its labels are swapped relative to the player.
+const HANDEDNESS_FROM_MEDIAPIPE = { Left: 'Right', Right: 'Left' };
+
+const STATS_SMOOTHING = 0.1; // How quickly the timing stats follow new frames
 
 export class HandTracker {
-    constructor() {
+    // options.filter: smoothing for the landmarks and depth, { type, ...parameters }
+    // (see landmarkFilters); defaults to a One Euro filter
+    // options.calibration: hand size range and pinch threshold, see DEFAULT_CALIBRATION
+    constructor(options = {}) {
         this.handLandmarker = null;
         this.videoElement = null;
         this.lastVideoTime = -1;
-        this.handData = {
-            landmarks: null,
-            worldLandmarks: null,
-            handedness: null,
-            isGrabbing: false,
-            screenPosition: new THREE.Vector2(0.5, 0.5), // Default to center
-        };
         this.camera = null; // Reference to THREE.Camera for projections
-        this.prevScreenPosition = new THREE.Vector2(0.5, 0.5);
-        this.handMovement = new THREE.Vector2(0, 0);
+        this.calibration = { ...DEFAULT_CALIBRATION, ...options.calibration };
+        this.gestureRecognizer = new GestureRecognizer({ pinchThreshold: this.calibration.pinchThreshold });
+        this.recorder = null; // Optional HandRecorder capturing every update
+        this.filterSettings = options.filter || { type: DEFAULT_FILTER };
+        // Smoothed timings for the debug overlay: ms per detectForVideo call
+        // (null when replaying) and tracked frames per second
+        this.stats = { inferenceTime: null, frameRate: null, lastFrameTime: null };
+        this.screenAspect = null; // See setScreenAspect
+
+        // One state slot per hand, keyed by the player's handedness
+        this.hands = {};
+        for (const label of HAND_LABELS) {
+            this.hands[label] = {
+                data: {
+                    label: label,
+                    isTracked: false,
+                    landmarks: null,
+                    worldLandmarks: null,
+                    handedness: null,
+                    gestures: {}, // Gesture name -> confidence (0-1)
+                    isGrabbing: false,
+                    screenPosition: new THREE.Vector2(0.5, 0.5), // Default to center
+                    depth: 0.5, // Smoothed hand size depth, 0 = far, 1 = near
+                    rawDepth: 0.5, // The same before smoothing
+                    pinchDistance: null, // Thumb to index tip, compared against the pinch threshold
+                    timestamp: null, // ms, when the frame these landmarks came from was processed
+                    imageAspect: null, // Video width / height, for turning landmarks into metres
+                },
+                prevScreenPosition: new THREE.Vector2(0.5, 0.5),
+                handMovement: new THREE.Vector2(0, 0),
+                filters: this._createFilters(),
+            };
+        }
+    }
+
+    // Switch the smoothing filter or change its parameters; takes effect from the next frame
+    setFilter(settings) {
+        createFilter(settings); // Throws on an unknown type before anything changes
+        this.filterSettings = settings;
+        for (const label of HAND_LABELS) {
+            this.hands[label].filters = this._createFilters();
+        }
+    }
+
+    // Map the video onto a screen of this aspect (width / height) the way the
+    // AR passthrough shows it, cropped to cover it, so the hand indicator sits
+    // on the hand in the picture. null (the default) stretches the whole
+    // frame over the screen.
+    setScreenAspect(aspect) {
+        this.screenAspect = aspect;
+    }
+
+    // Normalized video coordinates to normalized screen coordinates, mirrored
+    // so the player's right hand appears on the right
+    videoToScreen(x, y, out = new THREE.Vector2()) {
+        const { scaleX, scaleY } = coverScale(this.videoAspect(), this.screenAspect);
+        return out.set(0.5 - (x - 0.5) * scaleX, 0.5 + (y - 0.5) * scaleY);
+    }
+
+    videoAspect() {
+        return this.videoElement && this.videoElement.videoHeight
+            ? this.videoElement.videoWidth / this.videoElement.videoHeight
+            : null;
+    }
+
+    // Use a player's measured hand size range and pinch; missing values keep the defaults
+    setCalibration(calibration) {
+        this.calibration = { ...DEFAULT_CALIBRATION, ...calibration };
+        this.gestureRecognizer.pinchThreshold = this.calibration.pinchThreshold;
+    }
+
+    _createFilters() {
+        return {
+            landmarks: new LandmarkFilter(this.filterSettings),
+            worldLandmarks: new LandmarkFilter(this.filterSettings),
+            depth: createFilter(this.filterSettings),
+        };
     }
 
     async init(threeCamera) {
@@ -31,7 +118,7 @@ export class HandTracker {
                 delegate: 'GPU'
             },
             runningMode: 'VIDEO',
-            numHands: 1
+            numHands: HAND_LABELS.length
         });
 
         this.videoElement = document.createElement('video');
@@ -48,8 +135,17 @@ export class HandTracker {
             console.log("Webcam stream started.");
         } catch (error) {
             console.error("Error accessing webcam:", error);
-            alert("Error accessing webcam. Please ensure permissions are granted and no other app is using it.");
-            throw error; // Propagate error to stop game init
+            this.videoElement.remove();
+            this.videoElement = null;
+            this.handLandmarker = null;
+            throw error; // Propagate error so the caller can fall back to another input source
+        }
+    }
+
+    // Called by InputManager when another source takes over
+    deactivate() {
+        for (const label of HAND_LABELS) {
+            this._clearHand(this.hands[label]);
         }
     }
 
@@ -59,92 +155,152 @@ export class HandTracker {
         }
 
         const videoTime = this.videoElement.currentTime;
+        const timestamp = performance.now();
+        let results = null;
         if (videoTime !== this.lastVideoTime) {
             this.lastVideoTime = videoTime;
-            const results = this.handLandmarker.detectForVideo(this.videoElement, performance.now());
-
-            if (results.landmarks && results.landmarks.length > 0) {
-                const landmarks = results.landmarks[0]; // First hand
-                this.handData.landmarks = landmarks;
-                this.handData.worldLandmarks = results.worldLandmarks[0];
-                this.handData.handedness = results.handedness[0];
-
-
-                const indexTip = landmarks[8]; // INDEX_FINGER_TIP
-                this.prevScreenPosition.copy(this.handData.screenPosition);
-                this.handData.screenPosition.set(
-                    1.0 - indexTip.x, // Invert X coordinate (1.0 - x)
-                    indexTip.y
-                );
-                this.handMovement.set(
-                    this.handData.screenPosition.x - this.prevScreenPosition.x,
-                    this.handData.screenPosition.y - this.prevScreenPosition.y
-                );
-
-
-                // Simple grab gesture: thumb tip (4) close to index finger tip (8)
-                const thumbTip = landmarks[4]; // THUMB_TIP
-                const distance = Math.sqrt(
-                    Math.pow(thumbTip.x - indexTip.x, 2) +
-                    Math.pow(thumbTip.y - indexTip.y, 2) +
-                    Math.pow(thumbTip.z - indexTip.z, 2) // Z is important for pinch
-                );
-
-                this.handData.isGrabbing = distance < GRAB_GESTURE_THRESHOLD;
-
-            } else {
-                this.handData.landmarks = null;
-                this.handData.worldLandmarks = null;
-                this.handData.handedness = null;
-                this.handData.isGrabbing = false;
-                this.handMovement.set(0, 0);
+            results = this.handLandmarker.detectForVideo(this.videoElement, timestamp);
+            this.stats.inferenceTime = smoothStat(this.stats.inferenceTime, performance.now() - timestamp);
+        }
+
+        // Every update is recorded, including ones without a new video frame,
+        // so a replay steps through exactly the same sequence
+        if (this.recorder) {
+            this.recorder.capture(timestamp, results);
+        }
+
+        if (results) {
+            this._processResults(results, timestamp);
+        }
+    }
+
+    // Apply one set of HandLandmarker results (live or replayed) to the hand slots
+    _processResults(results, timestamp) {
+        const stats = this.stats;
+        if (stats.lastFrameTime !== null && timestamp > stats.lastFrameTime) {
+            stats.frameRate = smoothStat(stats.frameRate, 1000 / (timestamp - stats.lastFrameTime));
+        }
+        stats.lastFrameTime = timestamp;
+
+        const detected = new Set();
+        const landmarkSets = results.landmarks || [];
+
+        for (let i = 0; i < landmarkSets.length; i++) {
+            const handedness = results.handedness[i];
+            let label = HANDEDNESS_FROM_MEDIAPIPE[handedness[0].categoryName] || 'Right';
+            // Both detections can come back with the same label; give the
+            // second one the remaining slot rather than dropping it
+            if (detected.has(label)) {
+                label = HAND_LABELS.find(other => !detected.has(other));
+                if (!label) continue;
             }
+            detected.add(label);
+            this._updateHand(this.hands[label], landmarkSets[i], results.worldLandmarks[i], handedness, timestamp);
         }
 
+        for (const label of HAND_LABELS) {
+            if (!detected.has(label)) {
+                this._clearHand(this.hands[label]);
+            }
+        }
     }
-    // Estimate depth based on hand size and position
-    estimateDepth() {
-    if (!this.handData.landmarks) return 0.5; // Default mid-depth
-    
-    // Simple depth estimation using hand size
-    // Assumes hand is larger when closer to camera
-    if (this.handData.landmarks.length < 5) return 0.5;
-    
-    // Calculate the average distance between landmarks to estimate hand size
+
+    // Landmarks, screen position and depth are smoothed; gestures are
+    // recognised from the raw landmarks so a pinch or release isn't delayed
+    _updateHand(hand, landmarks, worldLandmarks, handedness, timestamp) {
+        const handData = hand.data;
+        const time = timestamp / 1000;
+        handData.isTracked = true;
+        handData.landmarks = hand.filters.landmarks.apply(landmarks, time);
+        handData.worldLandmarks = worldLandmarks ? hand.filters.worldLandmarks.apply(worldLandmarks, time) : null;
+        handData.rawDepth = this._depthFromHandSize(landmarks);
+        handData.depth = hand.filters.depth.filter(handData.rawDepth, time);
+        handData.pinchDistance = pinchDistance(landmarks);
+        handData.handedness = handedness;
+        handData.timestamp = timestamp;
+        handData.imageAspect = this.videoAspect();
+
+        const indexTip = handData.landmarks[8]; // INDEX_FINGER_TIP
+        hand.prevScreenPosition.copy(handData.screenPosition);
+        this.videoToScreen(indexTip.x, indexTip.y, handData.screenPosition);
+        hand.handMovement.set(
+            handData.screenPosition.x - hand.prevScreenPosition.x,
+            handData.screenPosition.y - hand.prevScreenPosition.y
+        );
+
+        handData.gestures = this.gestureRecognizer.recognize(handData.label, landmarks, timestamp);
+
+        // Pinch (thumb tip close to index tip) stays the default grab gesture
+        handData.isGrabbing = handData.gestures.pinch >= 0.5;
+    }
+
+    _clearHand(hand) {
+        hand.data.isTracked = false;
+        hand.data.landmarks = null;
+        hand.data.worldLandmarks = null;
+        hand.data.handedness = null;
+        hand.data.gestures = {};
+        hand.data.isGrabbing = false;
+        this.gestureRecognizer.reset(hand.data.label);
+        hand.handMovement.set(0, 0);
+        hand.data.depth = 0.5;
+        hand.data.rawDepth = 0.5;
+        hand.data.pinchDistance = null;
+        hand.filters.landmarks.reset();
+        hand.filters.worldLandmarks.reset();
+        hand.filters.depth.reset();
+    }
+
+    // Depth from hand size: 0 = far, 1 = near
+    estimateDepth(label = 'Right') {
+        const handData = this.hands[label].data;
+        return handData.landmarks ? handData.depth : 0.5; // Default mid-depth
+    }
+
+    // Hand size mapped through the calibrated range: 0 (far) to 1 (near)
+    _depthFromHandSize(landmarks) {
+        if (landmarks.length < 5) return 0.5;
+        const { minHandSize, maxHandSize } = this.calibration;
+        const normalizedDepth = (handSize(landmarks) - minHandSize) / (maxHandSize - minHandSize);
+        return Math.max(0, Math.min(1, normalizedDepth));
+    }
+
+    getHandData(label = 'Right') {
+        return this.hands[label].data;
+    }
+    getHands() {
+        return HAND_LABELS.map(label => this.hands[label].data);
+    }
+    getHandMovement(label = 'Right') {
+        return this.hands[label].handMovement;
+    }
+}
+
+// Average distance between the palm landmarks in normalized screen units:
+// larger when the hand is closer to the camera
+export function handSize(landmarks) {
     let totalDistance = 0;
-    const points = [0, 5, 9, 13, 17]; // Wrist and finger bases
     let count = 0;
-    
-    for (let i = 0; i < points.length; i++) {
-        for (let j = i + 1; j < points.length; j++) {
-            const p1 = this.handData.landmarks[points[i]];
-            const p2 = this.handData.landmarks[points[j]];
-            const dist = Math.sqrt(
-                Math.pow(p1.x - p2.x, 2) + 
-                Math.pow(p1.y - p2.y, 2)
-            );
-            totalDistance += dist;
+    for (let i = 0; i < PALM_POINTS.length; i++) {
+        for (let j = i + 1; j < PALM_POINTS.length; j++) {
+            const p1 = landmarks[PALM_POINTS[i]];
+            const p2 = landmarks[PALM_POINTS[j]];
+            totalDistance += Math.hypot(p1.x - p2.x, p1.y - p2.y);
             count++;
         }
     }
-    
-    const avgSize = totalDistance / count;
-    
-    // Normalize to 0-1 range (0 = far, 1 = near)
-    // These thresholds might need adjustment based on your camera setup
-    const MIN_SIZE = 0.05;
-    const MAX_SIZE = 0.3;
-    const normalizedDepth = (avgSize - MIN_SIZE) / (MAX_SIZE - MIN_SIZE);
-    
-    // Return normalizedDepth so smaller hand = farther (0)
-    // and larger hand = closer (1)
-    return Math.max(0, Math.min(1, normalizedDepth));
+    return totalDistance / count;
 }
 
-    getHandData() {
-        return this.handData;
-    }
-    getHandMovement() {
-        return this.handMovement;
-    }
-}
\ No newline at end of file
+// How much of the screen one video frame spans, per axis, when it covers a
+// screen of screenAspect without distortion; 1 on both without a screen aspect
+export function coverScale(videoAspect, screenAspect) {
+    if (!videoAspect || !screenAspect) return { scaleX: 1, scaleY: 1 };
+    return videoAspect > screenAspect
+        ? { scaleX: videoAspect / screenAspect, scaleY: 1 }
+        : { scaleX: 1, scaleY: screenAspect / videoAspect };
+}
+
+function smoothStat(previous, value) {
+    return previous === null ? value : previous + (value - previous) * STATS_SMOOTHING;
+}
@@ -0,0 +1,85 @@
+// Holds the available hand input sources (webcam tracking, pointer, replay, ...)
+// and forwards the HandTracker interface to whichever one is active, so Game
+// never depends on a particular source. Sources are initialized the first
+// time they are activated.
+export class InputManager {
+    constructor() {
+        this.sources = new Map();
+        this.initialized = new Set();
+        this.activeName = null;
+        this.active = null;
+        this.camera = null;
+        this.onSourceChanged = (name, source) => { };
+    }
+
+    addSource(name, source) {
+        this.sources.set(name, source);
+    }
+
+    getSource(name) {
+        return this.sources.get(name) || null;
+    }
+
+    getSourceNames() {
+        return Array.from(this.sources.keys());
+    }
+
+    async init(threeCamera) {
+        this.camera = threeCamera;
+    }
+
+    // Rejects (leaving the current source active) if the new source fails to initialize
+    async setActive(name) {
+        const source = this.sources.get(name);
+        if (!source) {
+            throw new Error(`Unknown input source: ${name}`);
+        }
+        if (source === this.active) return;
+
+        if (!this.initialized.has(name)) {
+            await source.init(this.camera);
+            this.initialized.add(name);
+        }
+
+        if (this.active && this.active.deactivate) this.active.deactivate();
+        this.active = source;
+        this.activeName = name;
+        if (source.activate) source.activate();
+        if (this.onSourceChanged) this.onSourceChanged(name, source);
+    }
+
+    // Try each source in order until one initializes
+    async activateFirstAvailable(names) {
+        let lastError = null;
+        for (const name of names) {
+            try {
+                await this.setActive(name);
+                return name;
+            } catch (error) {
+                console.warn(`Input source "${name}" unavailable:`, error);
+                lastError = error;
+            }
+        }
+        throw lastError || new Error('No input sources available');
+    }
+
+    update() {
+        if (this.active) this.active.update();
+    }
+
+    getHandData(label = 'Right') {
+        return this.active ? this.active.getHandData(label) : null;
+    }
+
+    getHands() {
+        return this.active ? this.active.getHands() : [];
+    }
+
+    estimateDepth(label = 'Right') {
+        return this.active ? this.active.estimateDepth(label) : 0.5;
+    }
+
+    getHandMovement(label = 'Right') {
+        return this.active ? this.active.getHandMovement(label) : null;
+    }
+}
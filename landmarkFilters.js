@@ -0,0 +1,209 @@
+// Smoothing for the tracked hand. MediaPipe's landmarks shake by a few
+// pixels from frame to frame even when the hand is still, which shows up as a
+// trembling indicator and held object. HandTracker runs every landmark
+// coordinate and the depth estimate through one of these filters.
+//
+// Each filter smooths one number over time:
+//   filter(value, time)   time in seconds; returns the smoothed value
+//   reset()               forget the past (the hand was lost)
+//
+// Parameters are tuned for normalised image coordinates (0-1 across the
+// frame); world landmarks in metres and the 0-1 depth estimate are on a
+// similar enough scale to share them.
+
+// One Euro filter (Casiez et al. 2012): a low-pass filter whose cutoff rises
+// with speed, so a still hand is held steady while a fast one isn't lagged
+export class OneEuroFilter {
+    // minCutoff: Hz at rest, lower = steadier; beta: how fast the cutoff
+    // rises with speed, higher = less lag; derivativeCutoff: Hz for the speed estimate
+    constructor(params = {}) {
+        this.minCutoff = params.minCutoff ?? 1.0;
+        this.beta = params.beta ?? 5;
+        this.derivativeCutoff = params.derivativeCutoff ?? 1.0;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.time = null;
+    }
+
+    filter(value, time) {
+        if (this.value === null) {
+            this.value = value;
+            this.time = time;
+            return value;
+        }
+
+        const dt = time - this.time;
+        if (dt <= 0) return this.value;
+        this.time = time;
+
+        const derivative = (value - this.value) / dt;
+        this.derivative += smoothingFactor(dt, this.derivativeCutoff) * (derivative - this.derivative);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += smoothingFactor(dt, cutoff) * (value - this.value);
+        return this.value;
+    }
+}
+
+// Plain exponential smoothing, made independent of the frame rate by
+// expressing it as a time constant
+export class ExponentialFilter {
+    // timeConstant: seconds for the output to close ~63% of a jump
+    constructor(params = {}) {
+        this.timeConstant = params.timeConstant ?? 0.03;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.time = null;
+    }
+
+    filter(value, time) {
+        if (this.value === null || this.timeConstant <= 0) {
+            this.value = value;
+            this.time = time;
+            return value;
+        }
+
+        const dt = time - this.time;
+        if (dt <= 0) return this.value;
+        this.time = time;
+
+        this.value += (1 - Math.exp(-dt / this.timeConstant)) * (value - this.value);
+        return this.value;
+    }
+}
+
+// Kalman filter with a constant-velocity model: it tracks the value and its
+// rate of change, so it follows steady motion without trailing behind it
+export class KalmanFilter {
+    // processNoise: how much the velocity is expected to change (units/s^2,
+    // higher = more responsive); measurementNoise: standard deviation of the
+    // tracking jitter in value units (higher = steadier)
+    constructor(params = {}) {
+        this.processNoise = params.processNoise ?? 0.5;
+        this.measurementNoise = params.measurementNoise ?? 0.005;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.velocity = 0;
+        this.time = null;
+        // Covariance of [value, velocity]
+        this.p00 = 0;
+        this.p01 = 0;
+        this.p11 = 0;
+    }
+
+    filter(value, time) {
+        const r = this.measurementNoise * this.measurementNoise;
+        if (this.value === null) {
+            this.value = value;
+            this.velocity = 0;
+            this.time = time;
+            this.p00 = r;
+            this.p01 = 0;
+            this.p11 = 1;
+            return value;
+        }
+
+        const dt = time - this.time;
+        if (dt <= 0) return this.value;
+        this.time = time;
+
+        // Predict: move along the current velocity; uncertainty grows with
+        // random acceleration (white noise, integrated over dt)
+        const q = this.processNoise * this.processNoise;
+        this.value += this.velocity * dt;
+        const p00 = this.p00 + dt * (2 * this.p01 + dt * this.p11) + q * dt * dt * dt / 3;
+        const p01 = this.p01 + dt * this.p11 + q * dt * dt / 2;
+        const p11 = this.p11 + q * dt;
+
+        // Update with the measurement
+        const innovation = value - this.value;
+        const s = p00 + r;
+        const k0 = p00 / s;
+        const k1 = p01 / s;
+        this.value += k0 * innovation;
+        this.velocity += k1 * innovation;
+        this.p00 = (1 - k0) * p00;
+        this.p01 = (1 - k0) * p01;
+        this.p11 = p11 - k1 * p01;
+        return this.value;
+    }
+}
+
+// Passes values through untouched
+export class NoFilter {
+    reset() { }
+
+    filter(value) {
+        return value;
+    }
+}
+
+export const FILTER_TYPES = {
+    oneEuro: OneEuroFilter,
+    exponential: ExponentialFilter,
+    kalman: KalmanFilter,
+    none: NoFilter,
+};
+
+export const DEFAULT_FILTER = 'oneEuro';
+
+// settings: { type, ...parameters for that filter }
+export function createFilter(settings = {}) {
+    const type = settings.type || DEFAULT_FILTER;
+    const FilterType = FILTER_TYPES[type];
+    if (!FilterType) {
+        throw new Error(`Unknown filter type "${type}"`);
+    }
+    return new FilterType(settings);
+}
+
+// Filters a whole set of landmarks, one filter per coordinate. Returns new
+// points and leaves the input untouched, so recordings keep the raw data.
+export class LandmarkFilter {
+    constructor(settings = {}) {
+        this.settings = settings;
+        this.filters = []; // [landmark index] -> { x, y, z }
+    }
+
+    reset() {
+        for (const point of this.filters) {
+            point.x.reset();
+            point.y.reset();
+            point.z.reset();
+        }
+    }
+
+    apply(landmarks, time) {
+        return landmarks.map((landmark, i) => {
+            if (!this.filters[i]) {
+                this.filters[i] = {
+                    x: createFilter(this.settings),
+                    y: createFilter(this.settings),
+                    z: createFilter(this.settings),
+                };
+            }
+            const point = this.filters[i];
+            return {
+                ...landmark,
+                x: point.x.filter(landmark.x, time),
+                y: point.y.filter(landmark.y, time),
+                z: point.z.filter(landmark.z, time),
+            };
+        });
+    }
+}
+
+function smoothingFactor(dt, cutoff) {
+    const r = 2 * Math.PI * cutoff * dt;
+    return r / (r + 1);
+}
@@ -0,0 +1,448 @@
+import * as THREE from 'three';
+import { PHYSICS_MATERIALS } from 'physicsMaterials';
+import { LEVEL_MATERIAL, TriangleMeshCollider } from 'staticColliders';
+
+// JSON level format, so levels can be built without touching the code.
+// Game.loadLevel() reads it and Game.exportLevel() writes the current scene
+// back out. Lengths are metres, angles radians, vectors [x, y, z] arrays and
+// colours "#rrggbb" strings (numbers work too).
+//
+// {
+//   "version": 1,
+//   "name": "Sandbox",
+//   "environment": { "background": "#87ceeb", "fog": { "color": "#87ceeb", "near": 10, "far": 50 } },
+//   "lights": [{ "type": "ambient" | "directional" | "point", "color", "intensity", "position", "castShadow" }],
+//   "ground": { "size": 20, "color": "#808080" },
+//   "bounds": 10,                         invisible walls at x, z = +-bounds; null for none
+//   "gravity": [0, -9.81, 0],
+//   "spawnAreas": { "<name>": { "min": [x, y, z], "max": [x, y, z], "minDistance": 0.8 } },
+//   "objects": [...],                     starting objects that move
+//   "static": [...]                       level geometry that doesn't
+// }
+//
+// An object or static piece is:
+//   "shape": "sphere" (radius) | "box" (size) | "cylinder" (radius, height) |
+//            "capsule" (radius, length) | "compound" (parts, each a shape with a
+//            position and rotation relative to the whole) |
+//            "mesh" (static only: geometry { type, parameters } of any Three.js
+//            geometry, e.g. { "type": "TorusGeometry", "parameters": { "radius": 1 } })
+//   "position", "rotation" (Euler angles) or, for objects, "spawnArea" to be
+//   dropped at a random free spot in that area
+//   "color", "texture" (image URL), "metalness", "roughness"
+//   "material": objects take a PHYSICS_MATERIALS name or
+//   { density, restitution, friction }; static pieces take
+//   { restitution, friction, rollingResistance }
+//   "triangles": static only; collide with the mesh's triangles instead of the shape
+
+export const LEVEL_VERSION = 1;
+
+const SHAPES = ['sphere', 'box', 'cylinder', 'capsule', 'compound', 'mesh'];
+
+// The sandbox as it has always been: six balls to throw, cans and blocks to
+// knock over, and a wall, a ramp and a platform to play off
+export const DEFAULT_LEVEL = {
+    version: LEVEL_VERSION,
+    name: 'Sandbox',
+    environment: {
+        background: '#87ceeb',
+        fog: { color: '#87ceeb', near: 10, far: 50 },
+    },
+    lights: [
+        { type: 'ambient', color: '#ffffff', intensity: 0.6 },
+        { type: 'directional', color: '#ffffff', intensity: 0.8, position: [5, 10, 7.5], castShadow: true },
+    ],
+    ground: { size: 20, color: '#808080' },
+    bounds: 10,
+    gravity: [0, -9.81, 0],
+    spawnAreas: {
+        balls: { min: [-2, 0.5, -2], max: [2, 2, 0], minDistance: 0.8 },
+    },
+    objects: [
+        // A mix of materials so the difference in weight and bounce is easy to feel
+        { shape: 'sphere', radius: 0.25, material: 'rubber', color: '#ff0000', spawnArea: 'balls' },
+        { shape: 'sphere', radius: 0.25, material: 'plastic', color: '#00ff00', spawnArea: 'balls' },
+        { shape: 'sphere', radius: 0.25, material: 'wood', color: '#0000ff', spawnArea: 'balls' },
+        { shape: 'sphere', radius: 0.25, material: 'foam', color: '#ffff00', spawnArea: 'balls' },
+        { shape: 'sphere', radius: 0.25, material: 'plastic', color: '#ff00ff', spawnArea: 'balls' },
+        { shape: 'sphere', radius: 0.25, material: 'rubber', color: '#00ffff', spawnArea: 'balls' },
+
+        // A pyramid of cans
+        ...[[-1.21, 0.151, '#cc2222'], [-1, 0.151, '#eeeeee'], [-0.79, 0.151, '#2255cc'],
+            [-1.105, 0.452, '#eeeeee'], [-0.895, 0.452, '#2255cc'],
+            [-1, 0.753, '#2255cc']].map(([x, y, color]) => ({
+            shape: 'cylinder', radius: 0.1, height: 0.3, material: 'steel', color,
+            metalness: 0.8, roughness: 0.3, position: [x, y, -3],
+        })),
+
+        // A tower of wooden blocks
+        ...[0, 1, 2, 3].map(level => ({
+            shape: 'box', size: [0.3, 0.2, 0.3], material: 'wood', color: level % 2 ? '#c8874a' : '#a0643a',
+            position: [1, 0.101 + level * 0.201, -3],
+        })),
+    ],
+    static: [
+        { shape: 'box', size: [8, 1.5, 0.3], position: [0, 0.75, -5.5], color: '#b0a89a' },
+        // Rises towards -x, so balls roll back into the play area
+        { shape: 'box', size: [2.5, 0.1, 1.2], position: [-3.5, Math.sin(0.35) * 1.25, -1.5], rotation: [0, 0, -0.35], color: '#8d6e63' },
+        { shape: 'box', size: [1.2, 0.6, 1.2], position: [3.5, 0.3, -1.5], color: '#9e9e9e' },
+    ],
+};
+
+export async function fetchLevel(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load level from ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+// Check a level and fill in defaults; throws with the path of the first problem
+export function parseLevel(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Invalid level: expected a JSON object');
+    }
+    if (data.version > LEVEL_VERSION) {
+        throw new Error(`Invalid level: version ${data.version} is newer than supported (${LEVEL_VERSION})`);
+    }
+
+    const level = {
+        version: LEVEL_VERSION,
+        name: data.name || 'Untitled',
+        environment: { ...DEFAULT_LEVEL.environment, ...data.environment },
+        lights: data.lights || DEFAULT_LEVEL.lights,
+        ground: { ...DEFAULT_LEVEL.ground, ...data.ground },
+        bounds: data.bounds === undefined ? DEFAULT_LEVEL.bounds : data.bounds,
+        gravity: data.gravity || DEFAULT_LEVEL.gravity,
+        spawnAreas: data.spawnAreas || {},
+        objects: data.objects || [],
+        static: data.static || [],
+    };
+
+    checkVector(level.gravity, 'gravity');
+    level.lights.forEach((light, i) => {
+        if (!['ambient', 'directional', 'point'].includes(light.type)) {
+            throw new Error(`Invalid level: lights[${i}].type must be ambient, directional or point`);
+        }
+    });
+    for (const [name, area] of Object.entries(level.spawnAreas)) {
+        checkVector(area.min, `spawnAreas.${name}.min`);
+        checkVector(area.max, `spawnAreas.${name}.max`);
+    }
+    level.objects.forEach((object, i) => checkObject(object, `objects[${i}]`, level, false));
+    level.static.forEach((object, i) => checkObject(object, `static[${i}]`, level, true));
+
+    return level;
+}
+
+function checkObject(object, path, level, isStatic) {
+    if (!SHAPES.includes(object.shape)) {
+        throw new Error(`Invalid level: ${path}.shape must be one of ${SHAPES.join(', ')}`);
+    }
+    if (object.shape === 'mesh' && !isStatic) {
+        throw new Error(`Invalid level: ${path}: "mesh" shapes can only be static`);
+    }
+    if (object.spawnArea !== undefined) {
+        if (isStatic || !level.spawnAreas[object.spawnArea]) {
+            throw new Error(`Invalid level: ${path}.spawnArea "${object.spawnArea}" is not a spawn area`);
+        }
+    } else {
+        checkVector(object.position, `${path}.position`);
+    }
+    if (object.rotation !== undefined) checkVector(object.rotation, `${path}.rotation`);
+
+    if (object.material !== undefined) checkMaterial(object.material, `${path}.material`, isStatic);
+
+    checkDimensions(object, path);
+    if (object.shape === 'compound') {
+        if (!Array.isArray(object.parts) || object.parts.length === 0) {
+            throw new Error(`Invalid level: ${path}.parts must be a non-empty array`);
+        }
+        object.parts.forEach((part, i) => {
+            if (!['sphere', 'box', 'cylinder', 'capsule'].includes(part.shape)) {
+                throw new Error(`Invalid level: ${path}.parts[${i}].shape must be sphere, box, cylinder or capsule`);
+            }
+            checkDimensions(part, `${path}.parts[${i}]`);
+        });
+    }
+    if (object.shape === 'mesh' && !(object.geometry && THREE[object.geometry.type] && /Geometry$/.test(object.geometry.type))) {
+        throw new Error(`Invalid level: ${path}.geometry.type must name a Three.js geometry`);
+    }
+}
+
+function checkDimensions(object, path) {
+    const required = {
+        sphere: ['radius'],
+        box: [],
+        cylinder: ['radius', 'height'],
+        capsule: ['radius', 'length'],
+    }[object.shape] || [];
+    for (const key of required) {
+        if (!(object[key] > 0)) {
+            throw new Error(`Invalid level: ${path}.${key} must be a positive number`);
+        }
+    }
+    if (object.shape === 'box') checkVector(object.size, `${path}.size`);
+}
+
+// A PHYSICS_MATERIALS name (objects only) or an object with every property
+// the physics reads from it
+function checkMaterial(material, path, isStatic) {
+    if (typeof material === 'string' && !isStatic) {
+        if (!PHYSICS_MATERIALS[material]) {
+            throw new Error(`Invalid level: ${path} "${material}" must be one of ${Object.keys(PHYSICS_MATERIALS).join(', ')}`);
+        }
+        return;
+    }
+    const keys = isStatic ? ['restitution', 'friction', 'rollingResistance'] : ['restitution', 'friction'];
+    if (!material || typeof material !== 'object') {
+        throw new Error(`Invalid level: ${path} must be ${isStatic ? '' : 'a material name or '}{ ${(isStatic ? keys : ['density', ...keys]).join(', ')} }`);
+    }
+    if (!isStatic && !(Number.isFinite(material.density) && material.density > 0)) {
+        throw new Error(`Invalid level: ${path}.density must be a positive number`);
+    }
+    for (const key of keys) {
+        if (!(Number.isFinite(material[key]) && material[key] >= 0)) {
+            throw new Error(`Invalid level: ${path}.${key} must be a number of at least 0`);
+        }
+    }
+    if (material.shellThickness !== undefined && !(Number.isFinite(material.shellThickness) && material.shellThickness > 0)) {
+        throw new Error(`Invalid level: ${path}.shellThickness must be a positive number`);
+    }
+}
+
+function checkVector(value, path) {
+    if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+        throw new Error(`Invalid level: ${path} must be an array of three numbers`);
+    }
+}
+
+// Build the mesh for an object or static piece and add it to the scene.
+// position overrides the description's (used for spawn areas).
+export function createLevelMesh(sceneManager, object, position = null, isStatic = false) {
+    const at = vectorFromArray(position || object.position);
+    let mesh;
+    switch (object.shape) {
+        case 'sphere':
+            mesh = object.texture
+                ? sceneManager.createTexturedBall(at, object.texture, object.radius)
+                : sceneManager.createBall(at, colorValue(object.color, 0x1a75ff), object.radius);
+            break;
+        case 'box':
+            mesh = isStatic
+                ? sceneManager.createPlatform(at, vectorFromArray(object.size), colorValue(object.color, 0x9e9e9e))
+                : sceneManager.createBox(at, vectorFromArray(object.size), colorValue(object.color, 0xc8874a));
+            break;
+        case 'cylinder':
+            mesh = sceneManager.createCylinder(at, object.radius, object.height, colorValue(object.color, 0xcc2222));
+            break;
+        case 'capsule':
+            mesh = sceneManager.createCapsule(at, object.radius, object.length, colorValue(object.color, 0x2a9d8f));
+            break;
+        case 'compound':
+            mesh = sceneManager.createCompound(at, object.parts.map(part => ({
+                ...part,
+                type: part.shape,
+                size: part.size && vectorFromArray(part.size),
+                position: part.position && vectorFromArray(part.position),
+                rotation: part.rotation && vectorFromArray(part.rotation),
+                color: colorValue(part.color, 0x888888),
+            })));
+            break;
+        case 'mesh': {
+            const { type, parameters = {} } = object.geometry;
+            // Three.js keeps geometry parameters in constructor order; a
+            // default instance supplies the order and any missing values
+            const defaults = new THREE[type]();
+            const geometry = new THREE[type](...Object.values({ ...defaults.parameters, ...parameters }));
+            defaults.dispose();
+            mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+                color: colorValue(object.color, 0x9e9e9e), roughness: 0.9, metalness: 0.0, side: THREE.DoubleSide,
+            }));
+            mesh.position.copy(at);
+            sceneManager.scene.add(mesh);
+            break;
+        }
+    }
+
+    if (object.rotation) {
+        mesh.rotation.set(object.rotation[0], object.rotation[1], object.rotation[2]);
+    }
+    mesh.traverse(child => {
+        if (!child.isMesh) return;
+        if (object.metalness !== undefined) child.material.metalness = object.metalness;
+        if (object.roughness !== undefined) child.material.roughness = object.roughness;
+        if (isStatic) child.receiveShadow = true;
+    });
+    if (object.texture && object.shape !== 'sphere') {
+        const texture = new THREE.TextureLoader().load(object.texture);
+        mesh.traverse(child => {
+            if (child.isMesh) child.material.map = texture;
+        });
+    }
+    if (object.texture) {
+        mesh.userData.texture = object.texture; // So exportLevel can write it back
+    }
+    return mesh;
+}
+
+// Where each of a level's objects starts: objects in a spawn area are dropped
+// at random spots apart from each other, drawing from random (a SeededRandom,
+// so the same seed gives the same layout); the rest get null, meaning their
+// own position. Indexed like level.objects.
+export function levelObjectPositions(level, random) {
+    const spawned = {}; // Spawn area name -> positions used so far
+    return level.objects.map(object => {
+        if (object.spawnArea === undefined) return null;
+        spawned[object.spawnArea] = spawned[object.spawnArea] || [];
+        return pickSpawnPosition(level.spawnAreas[object.spawnArea], spawned[object.spawnArea], random);
+    });
+}
+
+// A random spot in a spawn area, at least its minDistance from the positions
+// in used (if it can find one), which it is added to. Returns [x, y, z].
+export function pickSpawnPosition(area, used, random) {
+    const minDistance = area.minDistance ?? 0;
+    let position;
+    for (let attempt = 0; attempt < 20; attempt++) {
+        position = new THREE.Vector3(
+            random.range(area.min[0], area.max[0]),
+            random.range(area.min[1], area.max[1]),
+            random.range(area.min[2], area.max[2])
+        );
+        if (used.every(other => position.distanceTo(other) >= minDistance)) break;
+    }
+    used.push(position);
+    return [position.x, position.y, position.z];
+}
+
+// Write a level: the loaded level's settings with the objects and static
+// pieces as they are now. bodies are PhysicsObjects; colliders are
+// staticColliders built from meshes.
+export function serializeLevel(level, bodies, colliders) {
+    const objects = [];
+    for (const body of bodies) {
+        const object = describeMesh(body.mesh);
+        if (!object || object.shape === 'mesh') {
+            console.warn('exportLevel: skipping an object whose geometry the level format cannot describe');
+            continue;
+        }
+        object.material = materialName(body.material);
+        objects.push(object);
+    }
+
+    const staticPieces = [];
+    for (const collider of colliders) {
+        const object = collider.mesh && describeMesh(collider.mesh);
+        if (!object) {
+            console.warn('exportLevel: skipping level geometry the level format cannot describe');
+            continue;
+        }
+        if (collider.material !== LEVEL_MATERIAL) object.material = { ...collider.material };
+        if (collider instanceof TriangleMeshCollider) object.triangles = true;
+        staticPieces.push(object);
+    }
+
+    return {
+        version: LEVEL_VERSION,
+        name: level.name,
+        environment: level.environment,
+        lights: level.lights,
+        ground: level.ground,
+        bounds: level.bounds,
+        gravity: level.gravity,
+        spawnAreas: level.spawnAreas,
+        objects,
+        static: staticPieces,
+    };
+}
+
+// Description of a mesh made by createLevelMesh or SceneManager's factories, or null
+function describeMesh(mesh) {
+    let object;
+    if (mesh.isMesh) {
+        object = describeGeometry(mesh.geometry);
+        if (!object) return null;
+        Object.assign(object, describeSurface(mesh));
+    } else {
+        const parts = [];
+        for (const child of mesh.children) {
+            const part = child.isMesh && describeGeometry(child.geometry);
+            if (!part || part.shape === 'mesh') continue;
+            part.position = roundedArray(child.position);
+            part.rotation = roundedArray(child.rotation);
+            part.color = `#${child.material.color.getHexString()}`;
+            parts.push(part);
+        }
+        if (parts.length === 0) return null;
+        object = { shape: 'compound', parts };
+    }
+
+    object.position = roundedArray(mesh.position);
+    if (mesh.rotation.x || mesh.rotation.y || mesh.rotation.z) {
+        object.rotation = roundedArray(mesh.rotation);
+    }
+    if (mesh.userData.texture) {
+        object.texture = mesh.userData.texture;
+    }
+    return object;
+}
+
+function describeGeometry(geometry) {
+    const params = geometry && geometry.parameters;
+    if (!params) return null;
+
+    switch (geometry.type) {
+        case 'SphereGeometry':
+            return { shape: 'sphere', radius: params.radius };
+        case 'BoxGeometry':
+            return { shape: 'box', size: [params.width, params.height, params.depth] };
+        case 'CylinderGeometry':
+            return { shape: 'cylinder', radius: Math.max(params.radiusTop, params.radiusBottom), height: params.height };
+        case 'CapsuleGeometry':
+            return { shape: 'capsule', radius: params.radius, length: params.length };
+        default:
+            return { shape: 'mesh', geometry: { type: geometry.type, parameters: { ...params } } };
+    }
+}
+
+function describeSurface(mesh) {
+    const material = mesh.material;
+    return {
+        color: `#${material.color.getHexString()}`,
+        metalness: material.metalness,
+        roughness: material.roughness,
+    };
+}
+
+function materialName(material) {
+    for (const [name, known] of Object.entries(PHYSICS_MATERIALS)) {
+        if (known === material) return name;
+    }
+    return { ...material };
+}
+
+// Six decimals is far below anything visible and keeps exported files readable
+function roundedArray(vector) {
+    return [vector.x, vector.y, vector.z].map(value => Math.round(value * 1e6) / 1e6);
+}
+
+export function vectorFromArray(array) {
+    return new THREE.Vector3(array[0], array[1], array[2]);
+}
+
+export function colorValue(color, fallback) {
+    return color === undefined ? fallback : new THREE.Color(color);
+}
+
+// Save a level as a JSON file
+export function downloadLevel(level, filename = `${(level.name || 'level').toLowerCase().replace(/\W+/g, '-')}.json`) {
+    const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
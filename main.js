@@ -1,19 +1,162 @@
 import { Game } from 'game';
+import { ReplayHandTracker } from 'replayHandTracker';
+import { TargetPracticeMode } from 'targetPracticeMode';
+import { TargetPracticeHud } from 'targetPracticeHud';
+import { downloadLevel } from 'levelFormat';
+import { CalibrationProfiles } from 'handCalibration';
+import { CalibrationPanel } from 'calibrationPanel';
+import { MultiplayerSession } from 'multiplayerSession';
+import { GameAudio } from 'gameAudio';
+import { ObjectSpawner } from 'objectSpawner';
+import { config, fetchPreset } from 'config';
+import { TuningPanel } from 'tuningPanel';
+import { DebugOverlay } from 'debugOverlay';
+import { ARPassthrough } from 'arPassthrough';
+import { FILTER_TYPES, DEFAULT_FILTER } from 'landmarkFilters';
+
+const AR_HEIGHT_STEP = 0.05; // Metres the ground moves per arrow key press
+const AR_TILT_STEP = 0.02; // Radians
+
+// ?replay=path/to/recording.json runs the game from a recorded hand session instead of the webcam
+// ?level=path/to/level.json starts in that level instead of the sandbox
+// ?filter=oneEuro|exponential|kalman|none picks the hand smoothing filter
+// ?server=ws://host:port joins a shared scene on a multiplayer server (see server/);
+//   just ?server uses the server this page came from. &name= is shown to the others.
+// ?preset=path/to/tuning.json loads a tuning preset (as exported from the U panel);
+//   any config key (see config.js) can also be set directly, e.g. ?gravityScale=0.5
+//   or ?debugOverlay to start with the debug overlay showing
+// ?ar=background|pip starts with the webcam picture behind the scene or in a corner
+// ?camera=orbit|follow|topDown starts with that camera rig (see cameraRigs)
+async function createGame(renderDiv) {
+    const params = new URLSearchParams(window.location.search);
+    await applyConfig(params);
+    const level = params.get('level') || undefined;
+    const handFilter = handFilterFromQuery(params.get('filter'));
+    const replayUrl = params.get('replay');
+    if (!replayUrl) {
+        // The last calibration profile used on this browser
+        const handCalibration = new CalibrationProfiles().getActive() || undefined;
+        return new Game(renderDiv, { level, handFilter, handCalibration });
+    }
+    const replayTracker = await ReplayHandTracker.load(replayUrl, { filter: handFilter });
+    return new Game(renderDiv, {
+        handTracker: replayTracker,
+        clock: replayTracker.clock,
+        seed: replayTracker.metadata.seed,
+        level
+    });
+}
+
+// A typo in ?filter= shouldn't stop the game starting
+function handFilterFromQuery(type) {
+    if (!type) return undefined;
+    if (!Object.hasOwn(FILTER_TYPES, type)) {
+        console.warn(`Unknown hand filter "${type}", using ${DEFAULT_FILTER}`);
+        return { type: DEFAULT_FILTER };
+    }
+    return { type };
+}
+
+// The preset file first, so single values in the URL can adjust it
+async function applyConfig(params) {
+    const presetUrl = params.get('preset');
+    if (presetUrl) {
+        try {
+            config.applyPreset(await fetchPreset(presetUrl));
+        } catch (error) {
+            console.warn('Could not load the tuning preset:', error);
+        }
+    }
+    config.applyQuery(params);
+}
+
+// Start target practice with its HUD, or go back to the sandbox
+function toggleTargetPractice(game) {
+    if (game.mode instanceof TargetPracticeMode) {
+        game.setMode(null);
+        return;
+    }
+    const mode = new TargetPracticeMode();
+    const hud = new TargetPracticeHud(document.body, mode);
+    hud.onQuit = () => game.setMode(null);
+    game.setMode(mode);
+}
+
+// Open the calibration dialog, or close it if it's already open
+let calibrationPanel = null;
+function toggleCalibration(game) {
+    if (calibrationPanel) {
+        calibrationPanel.dispose();
+        return;
+    }
+    calibrationPanel = new CalibrationPanel(document.body, game.handTracker);
+    calibrationPanel.onClose = () => { calibrationPanel = null; };
+}
+
+// Open the tuning dialog, or close it if it's already open
+let tuningPanel = null;
+function toggleTuning() {
+    if (tuningPanel) {
+        tuningPanel.dispose();
+        return;
+    }
+    tuningPanel = new TuningPanel(document.body, config);
+    tuningPanel.onClose = () => { tuningPanel = null; };
+}
+
+// Join the shared scene given by ?server, if any; the local game carries on if it can't
+function joinServer(game) {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('server')) return;
+    const url = params.get('server') || `ws://${window.location.host}`;
+    const session = new MultiplayerSession(game, url, { name: params.get('name') || undefined });
+    session.onDisconnected = () => console.warn('Lost the multiplayer server; playing locally');
+    session.join().catch(error => console.warn('Could not join the multiplayer server:', error));
+}
 
 const renderDiv = document.getElementById('renderDiv');
 if (!renderDiv) {
     console.error('Fatal Error: renderDiv not found in the DOM.');
 } else {
-    const game = new Game(renderDiv);
-    game.init().then(() => {
+    createGame(renderDiv).then(game => game.init().then(() => {
         game.start();
+        const audio = game.use(new GameAudio());
+        game.use(new ObjectSpawner());
+        game.use(new DebugOverlay(document.body));
+        const ar = game.use(new ARPassthrough(document.body));
+        const params = new URLSearchParams(window.location.search);
+        try {
+            if (params.get('camera')) game.cameraRigs.setRig(params.get('camera'));
+            if (params.get('ar')) ar.setView(params.get('ar'));
+        } catch (error) {
+            console.warn(error.message);
+        }
+        joinServer(game);
         // Add a simple instruction text
         const instructions = document.createElement('div');
         instructions.innerHTML = `
             <div style="position: absolute; top: 10px; left: 10px; color: white; font-family: Arial, sans-serif; font-size: 16px; background-color: rgba(0,0,0,0.5); padding: 10px; border-radius: 5px;">
-                <p>Show your hand to the camera.</p>
-                <p>Pinch thumb and index finger to grab.</p>
+                <p>Show one or both hands to the camera.</p>
+                <p>Pinch thumb and index finger to grab - each hand can hold its own ball.</p>
                 <p>Release to throw.</p>
+                <p>Swipe quickly with an empty hand to push nearby balls.</p>
+                <p>No camera? Press and drag with the mouse or touch, wheel or W/S to reach further.</p>
+                <p>Press I to switch input (<span class="input-source"></span>).</p>
+                <p>Press T to start or stop target practice.</p>
+                <p>Press P to show or hide the aiming arc while holding a ball.</p>
+                <p>Press H to show or hide your tracked hand skeleton.</p>
+                <p>Press M to mute or unmute the sound.</p>
+                <p>Press C to calibrate for your hand and distance from the camera.</p>
+                <p>Press O to switch camera: default, orbit (arrow keys and +/-), follow the last throw, or from above.</p>
+                <p>Press V to show the webcam behind the scene (AR), in a corner, or not at all.</p>
+                <p>In AR, the arrow keys move and tilt the ground onto your desk; G switches the ground between shadows only and solid.</p>
+                <p>Press U to tune grabbing, throwing and physics, and \` for the debug overlay.</p>
+                <p>B (or an open palm held for a second) adds a ball; balls that lie still too long or roll away disappear.</p>
+                <p>Z (or a fist held for a moment) undoes the last throw; press again to go further back.</p>
+                <p>K (or a V sign) saves the scene, Shift+K (or a thumbs-up) brings it back.</p>
+                <p>R (or pointing for a second and a half) puts everything back where it started.</p>
+                <p>Shift+R starts/stops recording the hand session.</p>
+                <p>Shift+L saves the scene as a level file.</p>
                 <p>Loading MediaPipe model... (may take a moment)</p>
             </div>
         `;
@@ -25,10 +168,75 @@ if (!renderDiv) {
                 if (loadingMsg) loadingMsg.style.display = 'none';
             }, 3000);
         };
-    }).catch(error => {
+
+        const inputLabel = instructions.querySelector('.input-source');
+        inputLabel.textContent = game.input.activeName;
+        game.input.onSourceChanged = (name) => { inputLabel.textContent = name; };
+
+        window.addEventListener('keydown', (event) => {
+            if (event.target.tagName === 'INPUT') return; // Typing a profile name, or moving a tuning slider
+
+            // Stopping a recording downloads it as JSON, ready for ?replay=
+            if (event.code === 'KeyR' && event.shiftKey) {
+                if (game.isRecording()) {
+                    game.stopRecording().download();
+                } else {
+                    game.startRecording();
+                }
+            } else if (event.code === 'KeyR') {
+                game.actions.reset();
+            } else if (event.code === 'KeyB') {
+                // At the hand if one is showing, else at the spawn point
+                game.actions.spawn(game.hands.find(hand => hand.indicator.visible) || null);
+            } else if (event.code === 'KeyZ') {
+                game.actions.undo();
+            } else if (event.code === 'KeyK') {
+                if (event.shiftKey) {
+                    game.actions.restore();
+                } else {
+                    game.actions.snapshot();
+                }
+            } else if (event.code === 'KeyL' && event.shiftKey) {
+                downloadLevel(game.exportLevel());
+            } else if (event.code === 'KeyC') {
+                toggleCalibration(game);
+            } else if (event.code === 'KeyP') {
+                config.set('trajectoryPreview', !config.values.trajectoryPreview);
+            } else if (event.code === 'KeyM') {
+                audio.setMuted(!audio.muted);
+            } else if (event.code === 'KeyH') {
+                config.set('handSkeleton', !config.values.handSkeleton);
+            } else if (event.code === 'KeyU') {
+                toggleTuning();
+            } else if (event.code === 'KeyO' && ar.view !== 'background') {
+                // In AR the camera stays where the webcam is
+                game.cameraRigs.nextRig();
+            } else if (event.code === 'KeyV') {
+                ar.nextView();
+            } else if (event.code === 'KeyG' && ar.view === 'background') {
+                ar.setShadowGround(!ar.shadowGround);
+            } else if (event.code === 'ArrowUp' || event.code === 'ArrowDown') {
+                // Raising the camera lowers the ground in the picture
+                if (ar.view === 'background') ar.adjustPlacement(event.code === 'ArrowDown' ? AR_HEIGHT_STEP : -AR_HEIGHT_STEP);
+            } else if (event.code === 'ArrowLeft' || event.code === 'ArrowRight') {
+                if (ar.view === 'background') ar.adjustPlacement(0, event.code === 'ArrowRight' ? AR_TILT_STEP : -AR_TILT_STEP);
+            } else if (event.code === 'Backquote') {
+                config.set('debugOverlay', !config.values.debugOverlay);
+            } else if (event.code === 'KeyT' && !game.network) {
+                // Modes are local; the shared scene only has the server's bodies
+                toggleTargetPractice(game);
+            } else if (event.code === 'KeyI') {
+                const names = game.input.getSourceNames();
+                const next = names[(names.indexOf(game.input.activeName) + 1) % names.length];
+                game.setInputSource(next).catch(error => {
+                    console.warn(`Could not switch to ${next} input:`, error);
+                });
+            }
+        });
+    })).catch(error => {
         console.error("Failed to initialize game:", error);
         if (renderDiv) {
-            renderDiv.innerHTML = `<p style="color: white; text-align: center; margin-top: 50px;">Error initializing game. Please ensure you have a webcam and have granted camera permissions. Check console for details.</p>`;
+            renderDiv.innerHTML = `<p style="color: white; text-align: center; margin-top: 50px;">Error initializing game. Check console for details.</p>`;
         }
     });
-}
\ No newline at end of file
+}
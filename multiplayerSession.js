@@ -0,0 +1,357 @@
+import * as THREE from 'three';
+import { PhysicsObject } from 'physicsObject';
+import { createLevelMesh } from 'levelFormat';
+import { SeededRandom } from 'seededRandom';
+import { RemotePlayerAvatar } from 'remotePlayerAvatar';
+import {
+    PROTOCOL_VERSION, HAND_RATE, decodeBody, roundedArray, flattenLandmarks,
+} from 'networkProtocol';
+
+// Plays the game in a scene shared with other players through the authority
+// server (server/). The server runs the physics; this draws its snapshots,
+// interpolated a little in the past so motion stays smooth between them, and
+// sends what the local hands do. A body held here follows the hand locally
+// straight away; the server only has to agree that nobody else holds it.
+// Messages are described in networkProtocol.js.
+
+const INTERPOLATION_DELAY = 0.1; // Seconds behind the latest snapshot; two snapshots at SNAPSHOT_RATE
+const SNAPSHOT_BUFFER = 1; // Seconds of snapshots kept
+const CLOCK_SMOOTHING = 0.05; // How quickly the server clock estimate follows new snapshots
+
+const _zero = new THREE.Vector3();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+
+export class MultiplayerSession {
+    // url: the server's WebSocket URL, e.g. ws://localhost:8080
+    // options.name: shown to the other players
+    constructor(game, url, options = {}) {
+        this.game = game;
+        this.url = url;
+        this.name = options.name || '';
+        this.socket = null;
+        this.playerId = null;
+        this.color = null;
+        this.bodies = new Map(); // Body id -> PhysicsObject
+        this.owners = new Map(); // Body id -> player id holding it
+        this.avatars = new Map(); // Player id -> RemotePlayerAvatar
+        this.snapshots = []; // { time, bodies: Map id -> decoded body }, oldest first
+        this.clockOffset = null; // Server time minus local time
+        this._sinceHands = 0;
+        this._savedActions = null;
+        this.onDisconnected = () => { };
+    }
+
+    // Connect and load the shared scene; resolves once it is in place
+    join() {
+        return new Promise((resolve, reject) => {
+            this.socket = new WebSocket(this.url);
+            let joined = false;
+
+            this.socket.addEventListener('open', () => {
+                this._send({ type: 'hello', version: PROTOCOL_VERSION, name: this.name });
+            });
+            this.socket.addEventListener('message', (event) => {
+                const message = JSON.parse(event.data);
+                if (message.type === 'welcome') {
+                    this._welcome(message).then(() => {
+                        joined = true;
+                        resolve(this);
+                    }, reject);
+                } else if (message.type === 'error' && !joined) {
+                    reject(new Error(message.message));
+                } else if (joined) {
+                    this._handle(message);
+                }
+            });
+            this.socket.addEventListener('close', () => {
+                if (!joined) {
+                    reject(new Error(`Could not join ${this.url}`));
+                    return;
+                }
+                this._detach();
+                this.onDisconnected();
+            });
+        });
+    }
+
+    leave() {
+        if (this.socket) this.socket.close();
+    }
+
+    // Called by Game instead of stepping its own physics world
+    update(deltaTime) {
+        const now = localTime();
+        if (this.clockOffset !== null) {
+            this._interpolate(now + this.clockOffset - INTERPOLATION_DELAY);
+        }
+
+        // Our held bodies follow our hands without waiting for the server
+        for (const hand of this.game.hands) {
+            if (hand.heldObject) hand.heldObject.integrateVelocity(deltaTime);
+        }
+
+        const quaternion = this.game.sceneManager.camera.quaternion;
+        for (const avatar of this.avatars.values()) {
+            avatar.update(deltaTime, quaternion);
+        }
+
+        this._sinceHands += deltaTime;
+        if (this._sinceHands >= 1 / HAND_RATE) {
+            this._sinceHands = 0;
+            this._sendHands();
+        }
+    }
+
+    // Bodies someone else holds can't be taken
+    canGrab(body) {
+        const owner = this.owners.get(body.netId);
+        return owner === undefined || owner === this.playerId;
+    }
+
+    onGrab(body, hand) {
+        this.owners.set(body.netId, this.playerId);
+        this._send({ type: 'grab', id: body.netId, position: roundedArray(hand.indicator.position) });
+    }
+
+    // direction and speed as given to PhysicsObject.release
+    onThrow(body, hand, direction, speed) {
+        this.owners.delete(body.netId);
+        this._send({ type: 'release', id: body.netId, direction: roundedArray(direction), speed });
+    }
+
+    push(origin, direction) {
+        this._send({ type: 'push', position: roundedArray(origin), direction: roundedArray(direction) });
+    }
+
+    async _welcome(message) {
+        const game = this.game;
+        this.playerId = message.playerId;
+        this.color = message.color;
+
+        // The server's level and seed give the same layout, and the same body
+        // order, as its own copy
+        game.seed = message.seed;
+        game.random = new SeededRandom(message.seed);
+        await game.loadLevel(message.level);
+        game.physicsObjects.forEach((body, id) => {
+            body.netId = id;
+            this.bodies.set(id, body);
+        });
+        for (const spawned of message.spawned) {
+            this._addSpawned(spawned);
+        }
+
+        for (const player of message.players) {
+            this._addPlayer(player).setHands(player.hands);
+        }
+        for (const [id, owner] of Object.entries(message.owners)) {
+            this._setOwner(Number(id), owner);
+        }
+
+        // The shared scene's actions happen on the server
+        this._savedActions = { spawn: game.actions.spawn, reset: game.actions.reset };
+        game.registerAction('spawn', (hand) => this._send({ type: 'spawn', position: hand ? roundedArray(hand.indicator.position) : null }));
+        game.registerAction('reset', () => this._send({ type: 'reset' }));
+
+        this._addSnapshot(message.state);
+        this._interpolate(message.state.time);
+        game.setNetworkSession(this);
+    }
+
+    _handle(message) {
+        switch (message.type) {
+            case 'state':
+                this._addSnapshot(message);
+                break;
+            case 'grabbed':
+                this._setOwner(message.id, message.owner);
+                break;
+            case 'denied':
+                this._dropLocally(message.id);
+                break;
+            case 'spawned':
+                this._addSpawned(message);
+                break;
+            case 'removed':
+                for (const id of message.ids) {
+                    this._removeBody(id);
+                }
+                break;
+            case 'joined':
+                this._addPlayer(message.player);
+                break;
+            case 'left':
+                this._removePlayer(message.id);
+                break;
+            case 'hands': {
+                const avatar = this.avatars.get(message.id);
+                if (avatar) avatar.setHands(message.hands);
+                break;
+            }
+            case 'error':
+                console.warn('Multiplayer server:', message.message);
+                break;
+        }
+    }
+
+    _addSnapshot(message) {
+        const bodies = new Map();
+        for (const data of message.bodies) {
+            const body = decodeBody(data);
+            bodies.set(body.id, body);
+        }
+        this.snapshots.push({ time: message.time, bodies });
+        while (this.snapshots.length > 2 && this.snapshots[0].time < message.time - SNAPSHOT_BUFFER) {
+            this.snapshots.shift();
+        }
+
+        const offset = message.time - localTime();
+        this.clockOffset = this.clockOffset === null
+            ? offset
+            : this.clockOffset + (offset - this.clockOffset) * CLOCK_SMOOTHING;
+    }
+
+    // Put every body where the server had it at serverTime, between the two
+    // snapshots around it (or at the latest, if we've run past them all)
+    _interpolate(serverTime) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return;
+
+        let next = snapshots.findIndex(snapshot => snapshot.time > serverTime);
+        if (next === -1) next = snapshots.length - 1;
+        const to = snapshots[next];
+        const from = snapshots[Math.max(0, next - 1)];
+        const span = to.time - from.time;
+        const t = span > 0 ? THREE.MathUtils.clamp((serverTime - from.time) / span, 0, 1) : 1;
+
+        for (const [id, target] of to.bodies) {
+            const body = this.bodies.get(id);
+            if (!body || this._isHeldLocally(body)) continue;
+
+            const start = from.bodies.get(id) || target;
+            body.mesh.position.fromArray(start.position).lerp(_position.fromArray(target.position), t);
+            body.mesh.quaternion.fromArray(start.quaternion).slerp(_quaternion.fromArray(target.quaternion), t);
+            body.velocity.fromArray(target.velocity);
+        }
+    }
+
+    _isHeldLocally(body) {
+        return this.game.hands.some(hand => hand.heldObject === body);
+    }
+
+    _sendHands() {
+        const hands = [];
+        for (const hand of this.game.hands) {
+            if (!hand.indicator || !hand.indicator.visible) continue;
+            const handData = this.game.input.getHandData(hand.label);
+            hands.push({
+                label: hand.label,
+                position: roundedArray(hand.indicator.position),
+                holding: hand.heldObject ? hand.heldObject.netId : null,
+                landmarks: flattenLandmarks(handData && handData.worldLandmarks),
+            });
+        }
+        this._send({ type: 'hands', hands });
+    }
+
+    // Bodies held by other players are held here too, so our physics and
+    // highlighting leave them alone; they still move with the snapshots
+    _setOwner(id, owner) {
+        const body = this.bodies.get(id);
+        if (!body) return;
+
+        if (owner === null) {
+            this.owners.delete(id);
+            if (this._isHeldLocally(body)) {
+                this._dropLocally(id); // e.g. the scene was reset
+            } else if (body.isHeld) {
+                body.release(_zero, 0);
+            }
+        } else {
+            this.owners.set(id, owner);
+            if (owner !== this.playerId) {
+                if (this._isHeldLocally(body)) this._dropLocally(id);
+                body.grab(null);
+            }
+        }
+    }
+
+    // Someone else got there first, or the body is gone: let go without throwing
+    _dropLocally(id) {
+        const body = this.bodies.get(id);
+        if (this.owners.get(id) === this.playerId) this.owners.delete(id);
+        for (const hand of this.game.hands) {
+            if (body && hand.heldObject === body) {
+                body.release(_zero, 0);
+                hand.heldObject = null;
+                hand.throwEstimator.reset();
+                hand.lastGrabPosition = null;
+                hand.grabLocked = true; // Open the pinch before grabbing again
+            }
+        }
+    }
+
+    _addSpawned({ id, object, body: data }) {
+        const mesh = createLevelMesh(this.game.sceneManager, object);
+        const body = new PhysicsObject(mesh, mesh.position.clone());
+        const state = decodeBody(data);
+        body.mesh.position.fromArray(state.position);
+        body.mesh.quaternion.fromArray(state.quaternion);
+        body.netId = id;
+        this.bodies.set(id, body);
+        this.game.addObject(body);
+    }
+
+    _removeBody(id) {
+        const body = this.bodies.get(id);
+        if (!body) return;
+        this._dropLocally(id);
+        this.bodies.delete(id);
+        this.owners.delete(id);
+        this.game.removeObject(body);
+    }
+
+    _addPlayer(player) {
+        const avatar = new RemotePlayerAvatar(player);
+        this.avatars.set(player.id, avatar);
+        this.game.sceneManager.scene.add(avatar.group);
+        return avatar;
+    }
+
+    _removePlayer(id) {
+        const avatar = this.avatars.get(id);
+        if (!avatar) return;
+        avatar.dispose();
+        this.avatars.delete(id);
+    }
+
+    // Back to a local game with the scene as it was last seen
+    _detach() {
+        for (const id of [...this.avatars.keys()]) {
+            this._removePlayer(id);
+        }
+        for (const [id, owner] of this.owners) {
+            const body = this.bodies.get(id);
+            if (owner !== this.playerId && body) body.release(_zero, 0);
+        }
+        if (this._savedActions) {
+            for (const [name, handler] of Object.entries(this._savedActions)) {
+                this.game.registerAction(name, handler);
+            }
+        }
+        if (this.game.network === this) {
+            this.game.setNetworkSession(null);
+        }
+    }
+
+    _send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+}
+
+function localTime() {
+    return performance.now() / 1000;
+}
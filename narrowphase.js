@@ -0,0 +1,549 @@
+import * as THREE from 'three';
+import { worldSupport } from 'collisionShapes';
+
+// Exact contact generation between collision shapes. Contacts are
+// { point, normal, depth }: normal points from B towards A (the direction A
+// must move to separate) and depth > 0 means overlap. Pairs with an analytic
+// test use it; everything else falls back to GJK + EPA on support functions.
+
+const GJK_MAX_ITERATIONS = 64;
+const EPA_MAX_ITERATIONS = 48;
+const EPA_TOLERANCE = 1e-4;
+const FACE_TOLERANCE = 0.01; // How far outside a face a point may project and still rest on it
+const DUPLICATE_DISTANCE = 0.01; // Contact points closer than this are merged
+const DEPTH_TIE = 0.001; // Depths this close count as equally deep when reducing a manifold
+const MAX_MANIFOLD_POINTS = 4; // More points than this only slow the solver down and make it jitter
+
+const _delta = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _segmentStartA = new THREE.Vector3();
+const _segmentEndA = new THREE.Vector3();
+const _segmentStartB = new THREE.Vector3();
+const _segmentEndB = new THREE.Vector3();
+const _inverseQuaternion = new THREE.Quaternion();
+
+function makeContact(point, normal, depth) {
+    return { point: point.clone(), normal: normal.clone(), depth: depth };
+}
+
+// Contacts between two shapes at the given world transforms. `margin` also
+// reports pairs that are this close without touching (negative depth), so
+// the solver can stop them before they overlap.
+export function collideShapes(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, contacts, margin = 0) {
+    if (shapeA.type === 'compound') {
+        shapeA.forEachChild(positionA, quaternionA, (child, childPosition, childQuaternion) => {
+            collideShapes(child, childPosition, childQuaternion, shapeB, positionB, quaternionB, contacts, margin);
+        });
+        return contacts;
+    }
+    if (shapeB.type === 'compound') {
+        shapeB.forEachChild(positionB, quaternionB, (child, childPosition, childQuaternion) => {
+            collideShapes(shapeA, positionA, quaternionA, child, childPosition, childQuaternion, contacts, margin);
+        });
+        return contacts;
+    }
+
+    // Quick reject on bounding spheres
+    const reach = shapeA.boundingRadius + shapeB.boundingRadius + margin;
+    if (positionA.distanceToSquared(positionB) > reach * reach) return contacts;
+
+    const typeA = shapeA.type;
+    const typeB = shapeB.type;
+
+    if (typeA === 'sphere' && typeB === 'sphere') {
+        return sphereSphere(positionA, shapeA.radius, positionB, shapeB.radius, contacts, margin);
+    }
+    if (typeA === 'sphere' && typeB === 'box') {
+        return sphereBox(shapeA, positionA, shapeB, positionB, quaternionB, contacts, margin, false);
+    }
+    if (typeA === 'box' && typeB === 'sphere') {
+        return sphereBox(shapeB, positionB, shapeA, positionA, quaternionA, contacts, margin, true);
+    }
+    if (typeA === 'sphere' && typeB === 'triangle') {
+        return sphereTriangle(shapeA, positionA, shapeB, positionB, quaternionB, contacts, margin);
+    }
+    if ((typeA === 'sphere' || typeA === 'capsule') && (typeB === 'sphere' || typeB === 'capsule')) {
+        return roundedSegments(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, contacts, margin);
+    }
+
+    const contact = gjkEpa(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, margin);
+    if (!contact) return contacts;
+
+    // EPA finds a single point; resting faces need several to stay flat, so
+    // look for points of each shape lying on the other's face along the normal
+    const found = faceContacts(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, contact.normal, contacts, margin);
+    if (found === 0) contacts.push(contact);
+    return contacts;
+}
+
+// Contacts between a shape and the plane { x : normal . x = offset }, solid below
+export function collidePlane(shape, position, quaternion, normal, offset, contacts, margin = 0) {
+    // Skip shapes that are nowhere near the plane
+    if (normal.dot(position) - offset > shape.boundingRadius + margin) return contacts;
+
+    const start = contacts.length;
+    const points = [];
+    shape.planeContactPoints(position, quaternion, normal, points);
+    for (const point of points) {
+        const depth = offset - normal.dot(point);
+        if (depth > -margin) {
+            contacts.push({ point: point, normal: normal.clone(), depth: depth });
+        }
+    }
+    // Compounds can touch with many children at once; keep all of those
+    if (shape.type !== 'compound') reduceManifold(contacts, start);
+    return contacts;
+}
+
+function faceContacts(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, epaNormal, contacts, margin) {
+    const start = contacts.length;
+
+    // EPA's normal is only accurate to its tolerance; resting on a face it
+    // must be exactly that face's normal or stacks slowly creep and twist
+    const normal = faceNormal(shapeB, quaternionB, epaNormal, new THREE.Vector3());
+    if (normal.equals(epaNormal)) {
+        faceNormal(shapeA, quaternionA, epaNormal.clone().negate(), normal).negate();
+    }
+
+    addFacePoints(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, normal, false, contacts, start, margin);
+    // A face's worth of points already: more would only be redundant
+    if (contacts.length - start < 3) {
+        addFacePoints(shapeB, positionB, quaternionB, shapeA, positionA, quaternionA, normal.clone().negate(), true, contacts, start, margin);
+    }
+    reduceManifold(contacts, start);
+    return contacts.length - start;
+}
+
+// Keep the deepest point and the three that span the largest area with it
+function reduceManifold(contacts, start) {
+    const count = contacts.length - start;
+    if (count <= MAX_MANIFOLD_POINTS) return;
+
+    const candidates = contacts.splice(start, count);
+    const area = (a, b, c) => _delta.subVectors(b.point, a.point).cross(_local.subVectors(c.point, a.point)).length();
+    const pick = (score) => {
+        let best = null;
+        let bestScore = -Infinity;
+        for (const candidate of candidates) {
+            const value = score(candidate);
+            if (value > bestScore) {
+                best = candidate;
+                bestScore = value;
+            }
+        }
+        candidates.splice(candidates.indexOf(best), 1);
+        return best;
+    };
+
+    // Nearly level points tie for deepest; prefer the earliest so the same
+    // points are kept from step to step and warm starting can match them
+    const deepest = Math.max(...candidates.map(c => c.depth));
+    const first = pick(c => (c.depth > deepest - DEPTH_TIE ? 1 : 0) - candidates.indexOf(c) * 1e-6);
+    const second = pick(c => c.point.distanceToSquared(first.point));
+    const third = pick(c => area(first, second, c));
+    const fourth = pick(c => area(first, second, c) + area(second, third, c) + area(third, first, c));
+    contacts.push(first, second, third, fourth);
+}
+
+// World-space version of shape.faceNormal()
+function faceNormal(shape, quaternion, direction, out) {
+    _local.copy(direction).applyQuaternion(_inverseQuaternion.copy(quaternion).invert());
+    return shape.faceNormal(_local, out).applyQuaternion(quaternion);
+}
+
+// Points of `incident` that have reached the supporting plane of `reference`
+// (facing along `normal`, towards incident) and project onto its surface
+function addFacePoints(incident, incidentPosition, incidentQuaternion, reference, referencePosition, referenceQuaternion, normal, flip, contacts, start, margin) {
+    const offset = normal.dot(worldSupport(reference, referencePosition, referenceQuaternion, normal, _closest));
+    _inverseQuaternion.copy(referenceQuaternion).invert();
+
+    const points = [];
+    incident.planeContactPoints(incidentPosition, incidentQuaternion, normal, points);
+    for (const point of points) {
+        const depth = offset - normal.dot(point);
+        if (depth <= -margin) continue;
+
+        _local.copy(point).addScaledVector(normal, depth).sub(referencePosition).applyQuaternion(_inverseQuaternion);
+        if (!reference.containsPoint(_local, FACE_TOLERANCE)) continue;
+
+        point.addScaledVector(normal, depth / 2);
+        let duplicate = false;
+        for (let i = start; i < contacts.length; i++) {
+            if (contacts[i].point.distanceToSquared(point) < DUPLICATE_DISTANCE * DUPLICATE_DISTANCE) {
+                duplicate = true;
+                break;
+            }
+        }
+        if (!duplicate) {
+            contacts.push({ point: point, normal: flip ? normal.clone().negate() : normal.clone(), depth: depth });
+        }
+    }
+}
+
+function sphereSphere(centerA, radiusA, centerB, radiusB, contacts, margin) {
+    _delta.subVectors(centerA, centerB);
+    const distance = _delta.length();
+    const depth = radiusA + radiusB - distance;
+    if (depth <= -margin) return contacts;
+
+    if (distance > 1e-9) {
+        _delta.divideScalar(distance);
+    } else {
+        _delta.set(0, 1, 0); // Exactly coincident: separate vertically
+    }
+    // Contact point halfway between the two surfaces
+    _closest.copy(centerB).addScaledVector(_delta, radiusB - depth / 2);
+    contacts.push(makeContact(_closest, _delta, depth));
+    return contacts;
+}
+
+function sphereBox(sphere, spherePosition, box, boxPosition, boxQuaternion, contacts, margin, flip) {
+    _inverseQuaternion.copy(boxQuaternion).invert();
+    _local.copy(spherePosition).sub(boxPosition).applyQuaternion(_inverseQuaternion);
+
+    const half = box.halfExtents;
+    _closest.set(
+        Math.max(-half.x, Math.min(half.x, _local.x)),
+        Math.max(-half.y, Math.min(half.y, _local.y)),
+        Math.max(-half.z, Math.min(half.z, _local.z))
+    );
+
+    let depth;
+    _delta.subVectors(_local, _closest);
+    const distance = _delta.length();
+    if (distance > 1e-9) {
+        // Centre outside the box
+        depth = sphere.radius - distance;
+        _delta.divideScalar(distance);
+    } else {
+        // Centre inside: push out through the nearest face
+        const faceDistances = [half.x - Math.abs(_local.x), half.y - Math.abs(_local.y), half.z - Math.abs(_local.z)];
+        const axis = faceDistances.indexOf(Math.min(...faceDistances));
+        _delta.set(0, 0, 0).setComponent(axis, Math.sign(_local.getComponent(axis)) || 1);
+        _closest.copy(_local).setComponent(axis, _delta.getComponent(axis) * half.getComponent(axis));
+        depth = sphere.radius + faceDistances[axis];
+    }
+    if (depth <= -margin) return contacts;
+
+    _delta.applyQuaternion(boxQuaternion); // Normal from box towards sphere, world space
+    _closest.applyQuaternion(boxQuaternion).add(boxPosition);
+    _closest.addScaledVector(_delta, -depth / 2);
+    if (flip) _delta.negate();
+    contacts.push(makeContact(_closest, _delta, depth));
+    return contacts;
+}
+
+// Contacts on a triangle's edges or corners are flagged so mesh colliders can
+// drop them when the same sphere also rests on a neighbouring face; otherwise
+// balls bump over the seams of flat, tessellated surfaces
+function sphereTriangle(sphere, spherePosition, triangle, trianglePosition, triangleQuaternion, contacts, margin) {
+    _inverseQuaternion.copy(triangleQuaternion).invert();
+    _local.copy(spherePosition).sub(trianglePosition).applyQuaternion(_inverseQuaternion);
+    const onFace = triangle.closestPoint(_local, _closest);
+    _closest.applyQuaternion(triangleQuaternion).add(trianglePosition);
+
+    const start = contacts.length;
+    sphereSphere(spherePosition, sphere.radius, _closest, 0, contacts, margin);
+    if (contacts.length > start) contacts[start].onEdge = !onFace;
+    return contacts;
+}
+
+// Spheres and capsules are both "a segment (or point) plus a radius"
+function roundedSegments(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, contacts, margin) {
+    coreSegment(shapeA, positionA, quaternionA, _segmentStartA, _segmentEndA);
+    coreSegment(shapeB, positionB, quaternionB, _segmentStartB, _segmentEndB);
+
+    const closestA = new THREE.Vector3();
+    const closestB = new THREE.Vector3();
+    closestPointsOnSegments(_segmentStartA, _segmentEndA, _segmentStartB, _segmentEndB, closestA, closestB);
+    return sphereSphere(closestA, shapeA.radius, closestB, shapeB.radius, contacts, margin);
+}
+
+function coreSegment(shape, position, quaternion, outStart, outEnd) {
+    if (shape.type === 'capsule') {
+        shape.segment(position, quaternion, outStart, outEnd);
+    } else {
+        outStart.copy(position);
+        outEnd.copy(position);
+    }
+}
+
+// Closest points between segments p1-q1 and p2-q2 (Ericson, Real-Time Collision Detection 5.1.9)
+function closestPointsOnSegments(p1, q1, p2, q2, outA, outB) {
+    const d1 = new THREE.Vector3().subVectors(q1, p1);
+    const d2 = new THREE.Vector3().subVectors(q2, p2);
+    const r = new THREE.Vector3().subVectors(p1, p2);
+    const a = d1.dot(d1);
+    const e = d2.dot(d2);
+    const f = d2.dot(r);
+    let s;
+    let t;
+
+    if (a <= 1e-12 && e <= 1e-12) {
+        s = 0;
+        t = 0;
+    } else if (a <= 1e-12) {
+        s = 0;
+        t = Math.max(0, Math.min(1, f / e));
+    } else {
+        const c = d1.dot(r);
+        if (e <= 1e-12) {
+            t = 0;
+            s = Math.max(0, Math.min(1, -c / a));
+        } else {
+            const b = d1.dot(d2);
+            const denominator = a * e - b * b;
+            s = denominator > 1e-12 ? Math.max(0, Math.min(1, (b * f - c * e) / denominator)) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = Math.max(0, Math.min(1, -c / a));
+            } else if (t > 1) {
+                t = 1;
+                s = Math.max(0, Math.min(1, (b - c) / a));
+            }
+        }
+    }
+
+    outA.copy(p1).addScaledVector(d1, s);
+    outB.copy(p2).addScaledVector(d2, t);
+}
+
+// --- GJK + EPA --------------------------------------------------------------
+
+// Support point of the Minkowski difference A - B, keeping the witness points.
+// A is inflated by `margin` so shapes about to touch already report a contact.
+function minkowskiSupport(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, direction, margin) {
+    const a = worldSupport(shapeA, positionA, quaternionA, direction, new THREE.Vector3());
+    if (margin > 0) a.addScaledVector(direction, margin / direction.length());
+    const b = worldSupport(shapeB, positionB, quaternionB, direction.clone().negate(), new THREE.Vector3());
+    return { point: new THREE.Vector3().subVectors(a, b), a: a, b: b };
+}
+
+function sameDirection(direction, ao) {
+    return direction.dot(ao) > 0;
+}
+
+function tripleCross(a, b, c) {
+    return new THREE.Vector3().crossVectors(a, b).cross(c);
+}
+
+// Updates the simplex (newest point first) and search direction; returns true
+// once the simplex is a tetrahedron enclosing the origin
+function nextSimplex(simplex, direction) {
+    const a = simplex[0].point;
+    const ao = a.clone().negate();
+
+    if (simplex.length === 2) {
+        const ab = new THREE.Vector3().subVectors(simplex[1].point, a);
+        if (sameDirection(ab, ao)) {
+            direction.copy(tripleCross(ab, ao, ab));
+            if (direction.lengthSq() < 1e-18) {
+                // The origin lies on the segment (e.g. coaxial cans): any
+                // perpendicular direction keeps the search going
+                direction.set(ab.y, -ab.x, 0);
+                if (direction.lengthSq() < 1e-18) direction.set(0, ab.z, -ab.y);
+            }
+        } else {
+            simplex.length = 1;
+            direction.copy(ao);
+        }
+        return false;
+    }
+
+    if (simplex.length === 3) {
+        return triangleCase(simplex, direction, ao);
+    }
+
+    // Tetrahedron
+    const b = simplex[1].point;
+    const c = simplex[2].point;
+    const d = simplex[3].point;
+    const ab = new THREE.Vector3().subVectors(b, a);
+    const ac = new THREE.Vector3().subVectors(c, a);
+    const ad = new THREE.Vector3().subVectors(d, a);
+    const abc = new THREE.Vector3().crossVectors(ab, ac);
+    const acd = new THREE.Vector3().crossVectors(ac, ad);
+    const adb = new THREE.Vector3().crossVectors(ad, ab);
+
+    if (sameDirection(abc, ao)) {
+        simplex.splice(3, 1);
+        return triangleCase(simplex, direction, ao);
+    }
+    if (sameDirection(acd, ao)) {
+        simplex.splice(1, 1);
+        return triangleCase(simplex, direction, ao);
+    }
+    if (sameDirection(adb, ao)) {
+        const [sa, sb, , sd] = simplex;
+        simplex.length = 0;
+        simplex.push(sa, sd, sb);
+        return triangleCase(simplex, direction, ao);
+    }
+    return true;
+}
+
+function triangleCase(simplex, direction, ao) {
+    const [sa, sb, sc] = simplex;
+    const ab = new THREE.Vector3().subVectors(sb.point, sa.point);
+    const ac = new THREE.Vector3().subVectors(sc.point, sa.point);
+    const abc = new THREE.Vector3().crossVectors(ab, ac);
+
+    if (sameDirection(new THREE.Vector3().crossVectors(abc, ac), ao)) {
+        if (sameDirection(ac, ao)) {
+            simplex.length = 0;
+            simplex.push(sa, sc);
+            direction.copy(tripleCross(ac, ao, ac));
+        } else {
+            simplex.length = 0;
+            simplex.push(sa, sb);
+            return nextSimplex(simplex, direction);
+        }
+    } else if (sameDirection(new THREE.Vector3().crossVectors(ab, abc), ao)) {
+        simplex.length = 0;
+        simplex.push(sa, sb);
+        return nextSimplex(simplex, direction);
+    } else if (sameDirection(abc, ao)) {
+        direction.copy(abc);
+    } else {
+        simplex.length = 0;
+        simplex.push(sa, sc, sb);
+        direction.copy(abc).negate();
+    }
+    return false;
+}
+
+function gjkEpa(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, margin) {
+    const support = (direction) => minkowskiSupport(shapeA, positionA, quaternionA, shapeB, positionB, quaternionB, direction, margin);
+
+    const direction = new THREE.Vector3().subVectors(positionA, positionB);
+    if (direction.lengthSq() < 1e-12) direction.set(1, 0, 0);
+
+    const simplex = [support(direction)];
+    direction.copy(simplex[0].point).negate();
+
+    for (let i = 0; i < GJK_MAX_ITERATIONS; i++) {
+        if (direction.lengthSq() < 1e-18) return null; // Touching exactly; nothing to resolve
+        const point = support(direction);
+        if (point.point.dot(direction) <= 0) return null; // Separated
+        simplex.unshift(point);
+        if (nextSimplex(simplex, direction)) {
+            const contact = epa(simplex, support);
+            if (contact) contact.depth -= margin;
+            return contact;
+        }
+    }
+    return null;
+}
+
+// Expanding polytope: grow the GJK tetrahedron towards the Minkowski
+// difference's surface until the face closest to the origin is found
+function epa(simplex, support) {
+    const vertices = simplex.slice();
+    let faces = [];
+
+    // A point strictly inside the polytope. Faces are oriented away from it
+    // rather than from the origin, which may lie on the surface when shapes
+    // only just touch.
+    const interior = new THREE.Vector3();
+    for (const vertex of vertices) interior.add(vertex.point);
+    interior.divideScalar(vertices.length);
+
+    const addFace = (i, j, k) => {
+        const a = vertices[i].point;
+        const normal = new THREE.Vector3()
+            .subVectors(vertices[j].point, a)
+            .cross(new THREE.Vector3().subVectors(vertices[k].point, a));
+        const length = normal.length();
+        if (length < 1e-12) return; // Degenerate sliver
+        normal.divideScalar(length);
+        if (normal.dot(_delta.subVectors(a, interior)) < 0) {
+            normal.negate();
+            faces.push({ indices: [i, k, j], normal, distance: normal.dot(a) });
+        } else {
+            faces.push({ indices: [i, j, k], normal, distance: normal.dot(a) });
+        }
+    };
+
+    addFace(0, 1, 2);
+    addFace(0, 3, 1);
+    addFace(0, 2, 3);
+    addFace(1, 3, 2);
+
+    let closest = null;
+    for (let iteration = 0; iteration < EPA_MAX_ITERATIONS && faces.length > 0; iteration++) {
+        closest = faces[0];
+        for (const face of faces) {
+            if (face.distance < closest.distance) closest = face;
+        }
+
+        const point = support(closest.normal);
+        const distance = point.point.dot(closest.normal);
+        if (distance - closest.distance < EPA_TOLERANCE) break;
+
+        // Remove every face that can see the new point, remembering its edges
+        const edges = [];
+        faces = faces.filter(face => {
+            const facePoint = vertices[face.indices[0]].point;
+            if (face.normal.dot(_delta.subVectors(point.point, facePoint)) <= 0) return true;
+
+            for (let e = 0; e < 3; e++) {
+                const edge = [face.indices[e], face.indices[(e + 1) % 3]];
+                const reverse = edges.findIndex(other => other[0] === edge[1] && other[1] === edge[0]);
+                if (reverse !== -1) {
+                    edges.splice(reverse, 1); // Shared by two removed faces: interior
+                } else {
+                    edges.push(edge);
+                }
+            }
+            return false;
+        });
+
+        vertices.push(point);
+        const newIndex = vertices.length - 1;
+        for (const [i, j] of edges) {
+            addFace(i, j, newIndex);
+        }
+    }
+
+    if (!closest) return null;
+
+    // Barycentric coordinates of the origin's projection on the closest face
+    // give the matching witness points on A and B
+    const [ia, ib, ic] = closest.indices;
+    const weights = barycentric(
+        closest.normal.clone().multiplyScalar(closest.distance),
+        vertices[ia].point, vertices[ib].point, vertices[ic].point
+    );
+    const pointA = new THREE.Vector3()
+        .addScaledVector(vertices[ia].a, weights.x)
+        .addScaledVector(vertices[ib].a, weights.y)
+        .addScaledVector(vertices[ic].a, weights.z);
+    const pointB = new THREE.Vector3()
+        .addScaledVector(vertices[ia].b, weights.x)
+        .addScaledVector(vertices[ib].b, weights.y)
+        .addScaledVector(vertices[ic].b, weights.z);
+
+    return {
+        point: pointA.add(pointB).multiplyScalar(0.5),
+        normal: closest.normal.clone().negate(), // EPA normal points from A into B
+        depth: closest.distance
+    };
+}
+
+function barycentric(p, a, b, c) {
+    const v0 = new THREE.Vector3().subVectors(b, a);
+    const v1 = new THREE.Vector3().subVectors(c, a);
+    const v2 = new THREE.Vector3().subVectors(p, a);
+    const d00 = v0.dot(v0);
+    const d01 = v0.dot(v1);
+    const d11 = v1.dot(v1);
+    const d20 = v2.dot(v0);
+    const d21 = v2.dot(v1);
+    const denominator = d00 * d11 - d01 * d01;
+    if (Math.abs(denominator) < 1e-12) return new THREE.Vector3(1, 0, 0);
+    const v = (d11 * d20 - d01 * d21) / denominator;
+    const w = (d00 * d21 - d01 * d20) / denominator;
+    return new THREE.Vector3(1 - v - w, v, w);
+}
@@ -0,0 +1,91 @@
+// Messages between MultiplayerSession (browser) and the authority server
+// (server/). Everything is JSON over one WebSocket. The server runs the
+// physics; clients send what their hands do and draw what the server sends.
+//
+// Client -> server
+//   hello     { version, name }                       first message
+//   hands     { hands: [{ label, position, holding, landmarks }] }
+//             ~HAND_RATE times a second; position [x, y, z] in the scene,
+//             holding the id of the body this hand holds (or null),
+//             landmarks the hand's world landmarks flattened, or null
+//   grab      { id, position }                         ask to hold a body
+//   release   { id, direction, speed }                 let go, as PhysicsObject.release
+//   push      { position, direction }                  PhysicsWorld.applyPush
+//   spawn     { position }                             add a ball; position null for the server's spawn point
+//   reset     {}                                       put the level back
+//
+// Server -> client
+//   welcome   { version, playerId, color, seed, level, spawned, players, owners, state }
+//             level is the level object to load with seed, spawned the balls
+//             added since (as in spawned below), owners body id -> player id
+//             and state a state message
+//   state     { time, bodies }                         SNAPSHOT_RATE times a second
+//   grabbed   { id, owner }                            owner null when let go
+//   denied    { id }                                   someone else holds it
+//   spawned   { id, object, body }                     object in the level format
+//   removed   { ids }
+//   joined    { player }                               player { id, name, color }
+//   left      { id }
+//   hands     { id, hands }                            another player's hands
+//   error     { message }
+//
+// Bodies are identified by id: their index in the level's objects, then
+// counting up for spawned ones, so both sides agree without sending meshes.
+
+export const PROTOCOL_VERSION = 1;
+export const DEFAULT_PORT = 8080;
+export const SNAPSHOT_RATE = 20; // State messages per second
+export const HAND_RATE = 20; // Hands messages per second
+
+const PRECISION = 10000; // Positions to 0.1 mm, quaternions to 1e-4
+
+// One body in a state message:
+// [id, px, py, pz, qx, qy, qz, qw, vx, vy, vz]
+export function encodeBody(body) {
+    const p = body.position;
+    const q = body.quaternion;
+    const v = body.velocity;
+    return [
+        body.netId,
+        round(p.x), round(p.y), round(p.z),
+        round(q.x), round(q.y), round(q.z), round(q.w),
+        round(v.x), round(v.y), round(v.z),
+    ];
+}
+
+// Into { id, position, quaternion, velocity } plain arrays
+export function decodeBody(data) {
+    return {
+        id: data[0],
+        position: data.slice(1, 4),
+        quaternion: data.slice(4, 8),
+        velocity: data.slice(8, 11),
+    };
+}
+
+export function roundedArray(vector) {
+    return vector.toArray().map(round);
+}
+
+// World landmarks for a hands message: 21 points as one flat array
+export function flattenLandmarks(landmarks) {
+    if (!landmarks) return null;
+    const flat = [];
+    for (const point of landmarks) {
+        flat.push(round(point.x), round(point.y), round(point.z));
+    }
+    return flat;
+}
+
+export function unflattenLandmarks(flat) {
+    if (!flat) return null;
+    const landmarks = [];
+    for (let i = 0; i + 2 < flat.length; i += 3) {
+        landmarks.push({ x: flat[i], y: flat[i + 1], z: flat[i + 2] });
+    }
+    return landmarks;
+}
+
+function round(value) {
+    return Math.round(value * PRECISION) / PRECISION;
+}
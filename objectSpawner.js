@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+import { PhysicsObject } from 'physicsObject';
+import { pickSpawnPosition } from 'levelFormat';
+import { SeededRandom } from 'seededRandom';
+import { GAME_EVENTS } from 'eventBus';
+
+// Adds balls to the scene and takes them away again, as a plugin
+// (game.use(new ObjectSpawner(options))). Balls appear on request (the 'spawn'
+// action, which this takes over) and, with an interval, on their own, at the
+// spawn points or in one of the level's spawn areas. Balls that leave the play
+// area or lie still too long are removed. Removed balls wait in a pool to be
+// used again, so a long session doesn't keep making meshes; ones the pool has
+// no room for have their GPU resources freed. Only balls this spawned are
+// ever removed; the level's own objects stay.
+
+const DEFAULT_SPAWN_POINT = [0, 2, -1];
+const FALL_LIMIT = -2; // Below this an object has gone through the floor
+const OUT_OF_BOUNDS_MARGIN = 1; // Metres past the level's bounds before an object counts as gone
+const UNBOUNDED_PLAY_RADIUS = 30; // Play area half-width for levels without bounds
+const REST_SPEED = 0.05; // m/s; slower than this (and barely spinning) counts as lying still
+const REST_SPIN = 0.1; // rad/s
+
+export class ObjectSpawner {
+    // options.points: spawn positions, [x, y, z] each, used in turn
+    // options.area: name of a level spawn area to pick positions in instead
+    //   (default: the level's first one, or DEFAULT_SPAWN_POINT without any)
+    // options.interval: seconds between automatic spawns; 0 only spawns on request
+    // options.maxCount: spawned balls at once; automatic spawning waits below it,
+    //   a requested ball replaces the oldest
+    // options.restTime: seconds a ball may lie still before it goes; 0 keeps them
+    // options.radius, options.material: the balls' size and PHYSICS_MATERIALS name
+    // options.poolSize: removed balls kept for reuse
+    constructor(options = {}) {
+        this.points = options.points || null;
+        this.areaName = options.area || null;
+        this.interval = options.interval ?? 0;
+        this.maxCount = options.maxCount ?? 20;
+        this.restTime = options.restTime ?? 20;
+        this.radius = options.radius || null;
+        this.material = options.material;
+        this.poolSize = options.poolSize ?? 20;
+
+        this.game = null;
+        this.active = []; // Spawned balls in the scene, oldest first
+        this.pool = []; // Removed balls ready to be used again
+        this.restingFor = new Map(); // Active ball -> seconds it has been lying still
+        this._made = new WeakSet(); // Every ball this has made, wherever it is now
+        this._timer = 0;
+        this._nextPoint = 0;
+        this._unsubscribe = [];
+    }
+
+    install(game) {
+        this.game = game;
+        this.random = new SeededRandom(game.seed + 2); // Spawn spots replay with the recording's seed
+        this._previousSpawnAction = game.actions.spawn;
+        game.registerAction('spawn', (hand) => this.spawn(hand ? hand.indicator.position : null, { replaceOldest: true }));
+
+        // Others add and remove our balls too: scene resets, snapshots, level loads
+        this._unsubscribe = [
+            game.events.on(GAME_EVENTS.OBJECT_SPAWNED, ({ object }) => {
+                if (!this._made.has(object)) return;
+                removeFrom(this.pool, object);
+                if (!this.active.includes(object)) this.active.push(object);
+                this.restingFor.set(object, 0);
+            }),
+            game.events.on(GAME_EVENTS.OBJECT_REMOVED, ({ object }) => {
+                removeFrom(this.active, object);
+                this.restingFor.delete(object);
+            }),
+        ];
+    }
+
+    uninstall(game) {
+        for (const off of this._unsubscribe) off();
+        this._unsubscribe = [];
+        game.registerAction('spawn', this._previousSpawnAction);
+        for (const object of this.pool) {
+            game.sceneManager.disposeObject(object.mesh);
+        }
+        this.pool = [];
+        this.game = null;
+    }
+
+    update(deltaTime) {
+        // The shared scene in multiplayer is the server's to change
+        if (this.game.network) return;
+
+        for (const object of [...this.active]) {
+            if (this._isOutOfPlay(object) || this._restedTooLong(object, deltaTime)) {
+                this.despawn(object);
+            }
+        }
+
+        if (this.interval > 0) {
+            this._timer += deltaTime;
+            if (this._timer >= this.interval) {
+                this._timer = 0;
+                if (this.active.length < this.maxCount) this.spawn();
+            }
+        }
+    }
+
+    // Add a ball at position, or at the next spawn point. With
+    // options.replaceOldest a full spawner removes its oldest ball to make
+    // room; otherwise it returns null.
+    spawn(position = null, options = {}) {
+        if (this.active.length >= this.maxCount) {
+            if (!options.replaceOldest || this.active.length === 0) return null;
+            this.despawn(this.active[0]);
+        }
+
+        const at = position ? position.clone() : new THREE.Vector3().fromArray(this._nextSpawnPosition());
+        const sceneManager = this.game.sceneManager;
+        let object = this.pool.pop();
+        if (object) {
+            object.resetTo(at);
+            sceneManager.randomBallColor(object.mesh.material.color);
+        } else {
+            const mesh = sceneManager.createRandomBall(at, this.radius || undefined);
+            object = new PhysicsObject(mesh, mesh.position.clone(), { material: this.material });
+            this._made.add(object);
+        }
+        return this.game.addObject(object);
+    }
+
+    // Take a spawned ball away, into the pool if there is room
+    despawn(object) {
+        const pooled = this.pool.length < this.poolSize;
+        this.game.removeObject(object, { keep: pooled });
+        if (pooled) this.pool.push(object);
+    }
+
+    _nextSpawnPosition() {
+        if (this.points && this.points.length > 0) {
+            const point = this.points[this._nextPoint % this.points.length];
+            this._nextPoint++;
+            return point;
+        }
+        const level = this.game.level;
+        const areas = level ? level.spawnAreas : {};
+        const area = areas[this.areaName] || Object.values(areas)[0];
+        if (!area) return DEFAULT_SPAWN_POINT;
+
+        // Clear of the balls already out
+        const used = this.active.map(object => object.position.clone());
+        return pickSpawnPosition(area, used, this.random);
+    }
+
+    _isOutOfPlay(object) {
+        if (object.isHeld) return false;
+        const position = object.position;
+        const bounds = this.game.physicsWorld.bounds;
+        const limit = bounds === null ? UNBOUNDED_PLAY_RADIUS : bounds + OUT_OF_BOUNDS_MARGIN;
+        return position.y < FALL_LIMIT || Math.abs(position.x) > limit || Math.abs(position.z) > limit;
+    }
+
+    _restedTooLong(object, deltaTime) {
+        if (this.restTime <= 0) return false;
+        const still = !object.isHeld && object.velocity.lengthSq() < REST_SPEED * REST_SPEED &&
+            object.angularVelocity.lengthSq() < REST_SPIN * REST_SPIN;
+        const restingFor = still ? (this.restingFor.get(object) || 0) + deltaTime : 0;
+        this.restingFor.set(object, restingFor);
+        return restingFor >= this.restTime;
+    }
+}
+
+function removeFrom(array, item) {
+    const index = array.indexOf(item);
+    if (index !== -1) array.splice(index, 1);
+}
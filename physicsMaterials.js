@@ -0,0 +1,53 @@
+import { config } from 'config';
+
+// Physical materials for PhysicsObject. Density is in kg/m^3 (scene units
+// are metres). Hollow objects give a shellThickness in metres and their mass
+// comes from the shell alone; solid objects omit it.
+export const PHYSICS_MATERIALS = {
+    plastic: { density: 950, shellThickness: 0.0025, restitution: 0.83, friction: 0.83 }, // Hollow toy ball
+    rubber: { density: 1100, shellThickness: 0.003, restitution: 0.9, friction: 1.0 }, // Playground ball
+    foam: { density: 30, restitution: 0.3, friction: 1.2 },
+    wood: { density: 700, restitution: 0.5, friction: 0.6 },
+    steel: { density: 7850, restitution: 0.6, friction: 0.3 },
+    bowling: { density: 1325, restitution: 0.3, friction: 0.4 }, // Solid resin
+    pingPong: { density: 1400, shellThickness: 0.0004, restitution: 0.92, friction: 0.3 }, // Celluloid shell
+};
+
+export const DEFAULT_MATERIAL = 'plastic';
+
+// The ground everything bounces and rolls on. Combined with plastic it
+// reproduces the original 0.5 bounce and 0.9 per-frame rolling friction.
+// rollingResistance scales how quickly balls rolling on a static surface
+// slow down; grass is the reference.
+export const GROUND_MATERIAL = { restitution: 0.3, friction: 0.3, rollingResistance: 1 };
+
+export function getPhysicsMaterial(material = DEFAULT_MATERIAL) {
+    if (typeof material === 'object') return material;
+    const found = PHYSICS_MATERIALS[material];
+    if (!found) {
+        console.warn(`Unknown physics material "${material}", using ${DEFAULT_MATERIAL}`);
+        return PHYSICS_MATERIALS[DEFAULT_MATERIAL];
+    }
+    return found;
+}
+
+// Geometric mean: either surface being soft or slippery dominates the
+// contact. Bounciness is scaled by config.values.restitutionScale, never past
+// a perfectly elastic bounce.
+export function combineRestitution(a, b) {
+    return Math.min(1, Math.sqrt(a.restitution * b.restitution) * config.values.restitutionScale);
+}
+
+export function combineFriction(a, b) {
+    return Math.sqrt(a.friction * b.friction);
+}
+
+// Mass of a collision shape made of this material. Hollow materials only
+// count their shell, unless the object is too small to be hollow.
+export function shapeMass(material, shape) {
+    const volume = shape.volume();
+    if (!material.shellThickness) {
+        return material.density * volume;
+    }
+    return material.density * Math.min(volume, shape.shellVolume(material.shellThickness));
+}
@@ -1,134 +1,194 @@
 import * as THREE from 'three';
-
-const GRAVITY = new THREE.Vector3(0, -9.81, 0);
-const GROUND_Y = 0.001; // Y position of the ground
-const DAMPING_FACTOR = 0.98; // For velocity decay
-const ANGULAR_DAMPING_FACTOR = 0.95;
-const COLLISION_ELASTICITY = 0.9; // How bouncy collisions between balls are (0-1)
-const BALL_RADIUS = 0.25; // Half of the original CUBE_SIZE for equivalent volume
+import { getPhysicsMaterial, shapeMass } from 'physicsMaterials';
+import { SphereShape, shapeFromMesh, worldSupport } from 'collisionShapes';
+import { config } from 'config';
+
+export const GRAVITY = new THREE.Vector3(0, -9.81, 0);
+export const GROUND_Y = 0.001; // Y position of the ground
+const ROLLING_RESISTANCE = 0.2; // Speed lost per REFERENCE_FPS frame while rolling on a surface, per unit of resistance
+const REFERENCE_FPS = 60; // Frame rate the per-frame factors (and config's damping and holdFollow) were tuned at
+const BALL_RADIUS = 0.25; // Fallback when the mesh has no recognisable geometry and no radius is given
+const AIR_DENSITY = 1.2; // kg/m^3
+const DRAG_COEFFICIENT = 0.47; // A sphere's; close enough for the chunky shapes we throw
+const THROWING_ARM_MASS = 8; // Effective mass of the arm (kg); heavier objects leave the hand slower
+
+let nextId = 1; // Stable per-object ids, used to key contact pairs
+
+// Scratch objects reused every step to avoid per-contact allocations
+const _angularStep = new THREE.Quaternion();
+const _inverseQuaternion = new THREE.Quaternion();
+const _torqueImpulse = new THREE.Vector3();
+const _lowest = new THREE.Vector3();
+const _down = new THREE.Vector3(0, -1, 0);
 
 export class PhysicsObject {
-    constructor(mesh, initialPosition) {
+    // options.material: a PHYSICS_MATERIALS name or a { density, restitution, friction } object
+    // options.shape: a collisionShapes shape; defaults to one matching the mesh's geometry
+    // options.radius: makes the object a sphere of this radius instead
+    constructor(mesh, initialPosition, options = {}) {
         this.mesh = mesh;
         this.mesh.castShadow = true;
         this.mesh.position.copy(initialPosition);
+        this.id = nextId++;
+
+        this.shape = options.shape ||
+            (options.radius ? new SphereShape(options.radius) : shapeFromMesh(mesh)) ||
+            new SphereShape(BALL_RADIUS);
+        this.radius = this.shape.boundingRadius; // Bounding sphere, used by the broadphase and grab distance
+
+        // Compound shapes are centred on their centre of mass; move the child
+        // meshes to match so the mesh origin is where the body rotates about,
+        // and the origin with them so the object stays where it was placed
+        if (this.shape.centerOffset) {
+            for (const child of this.mesh.children) {
+                child.position.sub(this.shape.centerOffset);
+            }
+            this.mesh.position.add(this.shape.centerOffset.clone().applyQuaternion(this.mesh.quaternion));
+        }
+
+        // Raycasts hit child meshes; this leads back to the body
+        this.mesh.traverse(object => {
+            object.userData.physicsObject = this;
+        });
+
+        this.setMaterial(options.material);
 
         // Ensure the object starts above the ground
-        if (this.mesh.position.y < GROUND_Y + BALL_RADIUS) {
-            this.mesh.position.y = GROUND_Y + BALL_RADIUS + 0.02;
+        const bottom = worldSupport(this.shape, this.mesh.position, this.mesh.quaternion, _down, _lowest).y;
+        if (bottom < GROUND_Y) {
+            this.mesh.position.y += GROUND_Y - bottom + 0.02;
         }
 
         this.velocity = new THREE.Vector3();
         this.angularVelocity = new THREE.Vector3();
         this.isHeld = false;
-        this.radius = BALL_RADIUS; // Radius of the ball for collision detection
-        this.mass = 1; // Default mass, could be variable in future
-        this.lastCollisionTime = 0; // To prevent multiple collision detections in same frame
+        this.holdTarget = null; // Vector3 the object follows while held (usually the hand indicator position)
+    }
+
+    get position() {
+        return this.mesh.position;
     }
 
-    grab() {
+    get quaternion() {
+        return this.mesh.quaternion;
+    }
+
+    // Mass and rotational inertia follow from the material's density and the shape
+    setMaterial(material) {
+        this.material = getPhysicsMaterial(material);
+        this.mass = shapeMass(this.material, this.shape);
+        this.inverseMass = this.mass > 0 ? 1 / this.mass : 0;
+
+        const inertia = this.shape.inertia(this.mass, !!this.material.shellThickness);
+        this.inverseInertia = new THREE.Vector3(
+            inertia.x > 0 ? 1 / inertia.x : 0,
+            inertia.y > 0 ? 1 / inertia.y : 0,
+            inertia.z > 0 ? 1 / inertia.z : 0
+        ); // In the body's local frame
+        // Spheres: the same about every axis, so orientation doesn't matter
+        this.isotropicInertia = inertia.x === inertia.y && inertia.y === inertia.z;
+
+        // Quadratic air drag constant: acceleration = dragFactor * speed^2
+        this.dragFactor = 0.5 * AIR_DENSITY * DRAG_COEFFICIENT * this.shape.dragArea() * this.inverseMass;
+    }
+
+    // Highlight every mesh making up the object with an emissive colour (0x000000 clears it)
+    setHighlight(color, intensity = 1.0) {
+        this.mesh.traverse(object => {
+            if (object.isMesh && object.material && object.material.emissive) {
+                object.material.emissive.setHex(color);
+                object.material.emissiveIntensity = intensity;
+            }
+        });
+    }
+
+    grab(holdTarget = null) {
         this.isHeld = true;
+        this.holdTarget = holdTarget;
         this.velocity.set(0, 0, 0);
         this.angularVelocity.set(0, 0, 0);
-        
+
         // Highlight the object with emissive material
-        if (this.mesh.material) {
-            this.mesh.material.emissive = new THREE.Color(0x333333);
-            this.mesh.material.emissiveIntensity = 1.0;
-            this.mesh.material.needsUpdate = true;
-        }
+        this.setHighlight(0x333333);
     }
-    
-    release(direction, force) {
+
+    // force is the hand's throw speed; heavier objects leave the hand slower.
+    // random: Math.random-compatible function; pass the world's seeded one for reproducible spin
+    release(direction, force, random = Math.random) {
         this.isHeld = false;
-        this.velocity.copy(direction).normalize().multiplyScalar(force);
-        
+        this.holdTarget = null;
+        this.releaseVelocity(direction, force, this.velocity);
+
         // Reset highlight
-        if (this.mesh.material) {
-            this.mesh.material.emissive = new THREE.Color(0x000000);
-            this.mesh.material.emissiveIntensity = 0;
-            this.mesh.material.needsUpdate = true;
-        }
-        
+        this.setHighlight(0x000000, 0);
+
         // Add some random spin - slightly reduced for ball physics
         this.angularVelocity.set(
-            (Math.random() - 0.5) * 4,
-            (Math.random() - 0.5) * 4,
-            (Math.random() - 0.5) * 4
+            (random() - 0.5) * 4,
+            (random() - 0.5) * 4,
+            (random() - 0.5) * 4
         );
     }
 
-    // Check if this object collides with another object
-    checkCollision(other) {
-        // Skip if either object is held
-        if (this.isHeld || other.isHeld) return false;
+    // The velocity release() gives the object, without letting go of it
+    releaseVelocity(direction, force, out = new THREE.Vector3()) {
+        const throwEfficiency = Math.sqrt(THROWING_ARM_MASS / (THROWING_ARM_MASS + this.mass));
+        return out.copy(direction).normalize().multiplyScalar(force * throwEfficiency);
+    }
 
-        // For balls, we use the sum of radii
-        const minDistance = this.radius + other.radius;
-        const distance = this.mesh.position.distanceTo(other.mesh.position);
+    // Cheap pre-check before exact contact generation: do the bounding spheres
+    // (grown by margin) overlap? Held objects don't collide.
+    checkCollision(other, margin = 0) {
+        if (this.isHeld || other.isHeld) return false;
 
-        // Skip very recent collisions (avoids multiple detections in one collision)
-        const now = performance.now();
-        if (now - this.lastCollisionTime < 100) return false;
+        const minDistance = this.radius + other.radius + margin;
+        return this.mesh.position.distanceToSquared(other.mesh.position) < minDistance * minDistance;
+    }
 
-        // Check for collision
-        if (distance < minDistance) {
-            this.lastCollisionTime = now;
-            return true;
+    // World-space inverse inertia applied to a vector: R * I^-1 * R^T * vector
+    applyInverseInertia(vector, out) {
+        if (this.isotropicInertia) {
+            return out.copy(vector).multiplyScalar(this.inverseInertia.x);
         }
-
-        return false;
+        _inverseQuaternion.copy(this.mesh.quaternion).invert();
+        out.copy(vector).applyQuaternion(_inverseQuaternion).multiply(this.inverseInertia);
+        return out.applyQuaternion(this.mesh.quaternion);
     }
 
-    // Handle collision response between this object and another object
-    resolveCollision(other) {
-        // Direction from other to this
-        const collisionNormal = new THREE.Vector3().subVectors(
-            this.mesh.position,
-            other.mesh.position
-        ).normalize();
-
-        // Calculate relative velocity
-        const relativeVelocity = new THREE.Vector3().subVectors(
-            this.velocity,
-            other.velocity
-        );
-
-        // Calculate relative velocity along the normal
-        const velAlongNormal = relativeVelocity.dot(collisionNormal);
-
-        // If objects are moving away from each other, no need to resolve collision
-        if (velAlongNormal > 0) return;
+    // Velocity of the material point at offset r from the centre of mass
+    getVelocityAtOffset(r, out) {
+        return out.crossVectors(this.angularVelocity, r).add(this.velocity);
+    }
 
-        // Calculate impulse scalar
-        const e = COLLISION_ELASTICITY; // Coefficient of restitution
-        const j = -(1 + e) * velAlongNormal;
-        const j_div_2 = j / 2; // Split impulse equally (assuming equal masses)
+    // Apply an impulse (kg m/s) at offset r from the centre of mass
+    applyImpulse(impulse, r) {
+        this.velocity.addScaledVector(impulse, this.inverseMass);
+        _torqueImpulse.crossVectors(r, impulse);
+        this.angularVelocity.add(this.applyInverseInertia(_torqueImpulse, _torqueImpulse));
+    }
 
-        // Apply impulse
-        const impulse = collisionNormal.clone().multiplyScalar(j_div_2);
-        this.velocity.add(impulse);
-        other.velocity.sub(impulse);
+    // Rolling on a surface loses speed along it even without sliding
+    applyRollingResistance(resistance, normal, deltaTime) {
+        const frames = deltaTime * REFERENCE_FPS;
+        const factor = Math.pow(Math.max(0, 1 - ROLLING_RESISTANCE * resistance), frames);
+        const normalSpeed = this.velocity.dot(normal);
+        this.velocity.addScaledVector(normal, -normalSpeed).multiplyScalar(factor).addScaledVector(normal, normalSpeed);
+        this.angularVelocity.multiplyScalar(factor);
+    }
 
-        // Position correction to prevent objects from getting stuck inside each other
-        const penetrationDepth = (this.radius + other.radius) - this.mesh.position.distanceTo(other.mesh.position);
-        if (penetrationDepth > 0) {
-            const correction = collisionNormal.clone().multiplyScalar(penetrationDepth * 0.6);
-            this.mesh.position.add(correction);
-            other.mesh.position.sub(correction);
+    // Drop the object at a position with no motion (used for scene resets)
+    resetTo(position, quaternion = null) {
+        this.isHeld = false;
+        this.holdTarget = null;
+        this.mesh.position.copy(position);
+        if (quaternion) {
+            this.mesh.quaternion.copy(quaternion);
+        } else {
+            this.mesh.quaternion.identity();
         }
-
-        // Add some random spin variation on collision - reduced for spheres
-        this.angularVelocity.add(new THREE.Vector3(
-            (Math.random() - 0.5) * 0.8,
-            (Math.random() - 0.5) * 0.8,
-            (Math.random() - 0.5) * 0.8
-        ));
-        other.angularVelocity.add(new THREE.Vector3(
-            (Math.random() - 0.5) * 0.8,
-            (Math.random() - 0.5) * 0.8,
-            (Math.random() - 0.5) * 0.8
-        ));
+        this.velocity.set(0, 0, 0);
+        this.angularVelocity.set(0, 0, 0);
+        this.setHighlight(0x000000);
     }
 
     setPosition(position) {
@@ -137,61 +197,51 @@ export class PhysicsObject {
         }
     }
 
-    update(deltaTime, handPosition = null) {
-        if (this.isHeld && handPosition) {
-            this.mesh.position.lerp(handPosition, 0.8); // Smooth follow
+    // First half of a physics step: forces change velocity. Per-frame factors
+    // are converted to the step length so behaviour doesn't depend on how
+    // often this is called.
+    integrateVelocity(deltaTime, gravity = GRAVITY) {
+        const frames = deltaTime * REFERENCE_FPS;
+        const settings = config.values;
+
+        if (this.isHeld) {
+            if (this.holdTarget) {
+                this.mesh.position.lerp(this.holdTarget, 1 - Math.pow(1 - settings.holdFollow, frames)); // Smooth follow
+            }
             this.velocity.set(0, 0, 0); // Stop physics movement while held
             this.angularVelocity.set(0, 0, 0);
-        } else if (!this.isHeld) {
-            // Apply gravity
-            this.velocity.addScaledVector(GRAVITY, deltaTime);
-
-            // Update position
-            this.mesh.position.addScaledVector(this.velocity, deltaTime);
-
-            // Update rotation - for a ball, rotation is more visual than functional
-            this.mesh.rotation.x += this.angularVelocity.x * deltaTime;
-            this.mesh.rotation.y += this.angularVelocity.y * deltaTime;
-            this.mesh.rotation.z += this.angularVelocity.z * deltaTime;
-
-            // Apply damping
-            this.velocity.multiplyScalar(DAMPING_FACTOR);
-            this.angularVelocity.multiplyScalar(ANGULAR_DAMPING_FACTOR);
-
-            // Ground collision and bounce - using radius for ball
-            if (this.mesh.position.y < GROUND_Y + this.radius) {
-                this.mesh.position.y = GROUND_Y + this.radius;
-                this.velocity.y *= -0.5; // Bounce with energy loss
-                
-                // Rolling friction for horizontal movement on ground - less than for cubes
-                this.velocity.x *= 0.9;
-                this.velocity.z *= 0.9;
-                
-                // Calculate rolling motion for the ball
-                // For a rolling ball, angular velocity should relate to linear velocity
-                const rollAxis = new THREE.Vector3(-this.velocity.z, 0, this.velocity.x).normalize();
-                const rollSpeed = this.velocity.length() / this.radius;
-                
-                if (rollAxis.length() > 0.01) { // Only if there's significant horizontal movement
-                    this.angularVelocity = rollAxis.multiplyScalar(rollSpeed);
-                } else {
-                    this.angularVelocity.multiplyScalar(0.9); // Just slow down the spin
-                }
-            }
-
-            // Boundary checks to keep objects in playable area
-            const BOUND_X = 10;
-            const BOUND_Z = 10;
+            return;
+        }
 
-            if (Math.abs(this.mesh.position.x) > BOUND_X - this.radius) {
-                this.mesh.position.x = Math.sign(this.mesh.position.x) * (BOUND_X - this.radius);
-                this.velocity.x *= -0.5; // Bounce off boundary
-            }
+        // Apply gravity
+        this.velocity.addScaledVector(gravity, deltaTime);
 
-            if (Math.abs(this.mesh.position.z) > BOUND_Z - this.radius) {
-                this.mesh.position.z = Math.sign(this.mesh.position.z) * (BOUND_Z - this.radius);
-                this.velocity.z *= -0.5; // Bounce off boundary
-            }
+        // Air drag: light, large objects (a ping-pong ball) slow down far more than dense ones
+        const speed = this.velocity.length();
+        if (speed > 0) {
+            this.velocity.multiplyScalar(Math.max(0, 1 - this.dragFactor * speed * deltaTime));
         }
+
+        // Apply damping: fractions of speed and spin kept per REFERENCE_FPS frame
+        this.velocity.multiplyScalar(Math.pow(settings.linearDamping, frames));
+        this.angularVelocity.multiplyScalar(Math.pow(settings.angularDamping, frames));
+    }
+
+    // Second half of a physics step, after contacts have adjusted velocity
+    integratePosition(deltaTime) {
+        if (this.isHeld) return;
+
+        this.mesh.position.addScaledVector(this.velocity, deltaTime);
+
+        // Integrate orientation: dq/dt = 0.5 * omega * q
+        const w = this.angularVelocity;
+        const q = this.mesh.quaternion;
+        _angularStep.set(w.x, w.y, w.z, 0).multiply(q);
+        q.set(
+            q.x + _angularStep.x * 0.5 * deltaTime,
+            q.y + _angularStep.y * 0.5 * deltaTime,
+            q.z + _angularStep.z * 0.5 * deltaTime,
+            q.w + _angularStep.w * 0.5 * deltaTime
+        ).normalize();
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,369 @@
+import * as THREE from 'three';
+import { GRAVITY, GROUND_Y } from 'physicsObject';
+import { SeededRandom } from 'seededRandom';
+import { SpatialHash } from 'spatialHash';
+import { collideShapes } from 'narrowphase';
+import { ContactSolver } from 'contactSolver';
+import { PlaneCollider } from 'staticColliders';
+import { combineRestitution, combineFriction, GROUND_MATERIAL } from 'physicsMaterials';
+import { config } from 'config';
+
+const FIXED_TIME_STEP = 1 / 120; // Seconds per physics step
+const MAX_SUB_STEPS = 10; // Steps allowed per frame before we drop time (avoids a spiral of death)
+const STEP_EPSILON = 1e-6; // Tolerance so e.g. 1/30 s always yields exactly 4 steps of 1/120 s
+const SOLVER_ITERATIONS = 8; // Velocity passes over the contacts per step; stacks need several
+const PAIR_ID_SCALE = 2097152; // 2^21: pair keys stay exact integers for up to ~2M bodies
+const CONTACT_MARGIN = 0.02; // Surfaces closer than this get a contact before they touch
+const WORLD_BOUND = 10; // Default invisible walls at x, z = +-WORLD_BOUND keep objects in the playable area
+const MIN_ROLLING_NORMAL_Y = 0.5; // Surfaces steeper than 60 degrees are walls, not something a ball rolls on
+const PUSH_RADIUS = 1.5; // How far from its origin applyPush reaches
+const PUSH_FORCE = 6; // Speed (m/s) applyPush adds right at its origin
+const PREDICTION_TIME = 3; // Seconds predictTrajectory looks ahead at most
+const PREDICTION_SAMPLE_INTERVAL = 1 / 30; // Seconds between predicted path points
+const PREDICTION_REST_SPEED = 0.05; // m/s; after landing, a prediction this slow has come to rest
+
+const _relativeVelocity = new THREE.Vector3();
+const _gravity = new THREE.Vector3();
+
+// Owns every PhysicsObject and advances them at a fixed rate, independent of
+// the render frame rate. Randomness (spin on release) comes from a seeded
+// generator, so the same inputs always produce the same trajectories whether
+// the game runs at 30, 60 or 144 fps.
+export class PhysicsWorld {
+    constructor(options = {}) {
+        this.bodies = [];
+        this.gravity = (options.gravity || GRAVITY).clone();
+        this.fixedTimeStep = options.fixedTimeStep || FIXED_TIME_STEP;
+        this.maxSubSteps = options.maxSubSteps || MAX_SUB_STEPS;
+        this.solverIterations = options.solverIterations || SOLVER_ITERATIONS;
+
+        // Broadphase grid plus the set of touching pairs, tracked per pair so
+        // one body can resolve any number of simultaneous contacts
+        this.broadphase = new SpatialHash();
+        this.solver = new ContactSolver({ iterations: this.solverIterations });
+        this.contacts = new Map(); // Pair key -> { bodyA, bodyB, collider, startTime, isNew, impactSpeed, impulse, points }
+        this.startedContacts = []; // Contacts that began during the last step() call, for hit detection
+        this._touching = [];
+
+        // Level geometry (see staticColliders). The ground is always there;
+        // setBounds adds invisible walls around the playable area.
+        this.ground = new PlaneCollider(new THREE.Vector3(0, 1, 0), GROUND_Y, { material: GROUND_MATERIAL });
+        this.staticColliders = [this.ground];
+        this._boundaryWalls = [];
+        this.setBounds(options.bounds === undefined ? WORLD_BOUND : options.bounds);
+
+        this.rng = new SeededRandom(options.seed ?? 1);
+        this.random = () => this.rng.next(); // Math.random-compatible, passed to bodies
+
+        this.frameTime = 0; // Total time fed into step(), in seconds
+        this.stepCount = 0; // Physics steps taken so far
+        this.time = 0; // Simulated time, always stepCount * fixedTimeStep
+    }
+
+    addBody(body) {
+        if (!this.bodies.includes(body)) {
+            this.bodies.push(body);
+        }
+        return body;
+    }
+
+    removeBody(body) {
+        const index = this.bodies.indexOf(body);
+        if (index !== -1) {
+            this.bodies.splice(index, 1);
+        }
+        for (const [key, contact] of this.contacts) {
+            if (contact.bodyA === body || contact.bodyB === body) {
+                this.contacts.delete(key);
+            }
+        }
+    }
+
+    addStaticCollider(collider) {
+        if (!this.staticColliders.includes(collider)) {
+            this.staticColliders.push(collider);
+        }
+        return collider;
+    }
+
+    removeStaticCollider(collider) {
+        const index = this.staticColliders.indexOf(collider);
+        if (index !== -1) {
+            this.staticColliders.splice(index, 1);
+        }
+        for (const [key, contact] of this.contacts) {
+            if (contact.collider === collider) {
+                this.contacts.delete(key);
+            }
+        }
+    }
+
+    // Keep objects within x, z = +-bound; null removes the walls
+    setBounds(bound) {
+        for (const wall of this._boundaryWalls) {
+            this.removeStaticCollider(wall);
+        }
+        this.bounds = bound;
+        this._boundaryWalls = bound === null ? [] : [
+            new PlaneCollider(new THREE.Vector3(-1, 0, 0), -bound, { material: GROUND_MATERIAL }),
+            new PlaneCollider(new THREE.Vector3(1, 0, 0), -bound, { material: GROUND_MATERIAL }),
+            new PlaneCollider(new THREE.Vector3(0, 0, -1), -bound, { material: GROUND_MATERIAL }),
+            new PlaneCollider(new THREE.Vector3(0, 0, 1), -bound, { material: GROUND_MATERIAL }),
+        ];
+        for (const wall of this._boundaryWalls) {
+            this.addStaticCollider(wall);
+        }
+    }
+
+    // Is collider one of the invisible walls from setBounds?
+    isBoundary(collider) {
+        return this._boundaryWalls.includes(collider);
+    }
+
+    // Fraction of a step left over after the last step(); useful for render interpolation
+    get alpha() {
+        return (this.frameTime - this.time) / this.fixedTimeStep;
+    }
+
+    // Shove every free body near origin along direction (a unit vector),
+    // harder the closer it is
+    applyPush(origin, direction, radius = PUSH_RADIUS, strength = PUSH_FORCE) {
+        for (const body of this.bodies) {
+            if (body.isHeld) continue;
+            const distance = body.position.distanceTo(origin);
+            if (distance < radius) {
+                body.velocity.addScaledVector(direction, strength * (1 - distance / radius));
+            }
+        }
+    }
+
+    // Feed in a frame's elapsed time; runs as many fixed steps as fit.
+    // Returns the number of steps taken.
+    step(frameDelta) {
+        this.frameTime += frameDelta;
+        this.startedContacts.length = 0;
+
+        // Steps are counted from the total time rather than an accumulator of
+        // deltas, so rounding errors can't add or drop a step over time
+        let targetStep = Math.floor(this.frameTime / this.fixedTimeStep + STEP_EPSILON);
+        if (targetStep - this.stepCount > this.maxSubSteps) {
+            // Too far behind (tab was hidden, long stall): drop the extra time
+            targetStep = this.stepCount + this.maxSubSteps;
+            this.frameTime = targetStep * this.fixedTimeStep;
+        }
+
+        let steps = 0;
+        while (this.stepCount < targetStep) {
+            this._fixedStep(this.fixedTimeStep);
+            this.stepCount++;
+            this.time = this.stepCount * this.fixedTimeStep;
+            steps++;
+        }
+        return steps;
+    }
+
+    // The level's gravity as scaled by config.values.gravityScale
+    effectiveGravity(out = _gravity) {
+        return out.copy(this.gravity).multiplyScalar(config.values.gravityScale);
+    }
+
+    _fixedStep(dt) {
+        const gravity = this.effectiveGravity();
+        for (const body of this.bodies) {
+            body.integrateVelocity(dt, gravity);
+        }
+
+        this._updateContacts(dt);
+        const touching = this._touching;
+
+        this.solver.correctPositions(touching);
+        this.solver.warmStart(touching);
+        this.solver.solveVelocities(touching);
+
+        for (const body of this.bodies) {
+            body.integratePosition(dt);
+        }
+
+        this._applyRollingResistance(touching, dt);
+    }
+
+    // Balls rolling on level geometry slow down even though they don't slide
+    _applyRollingResistance(touching, dt) {
+        for (const contact of touching) {
+            if (contact.collider && contact.bodyA.shape.type === 'sphere' &&
+                contact.points.length > 0 && contact.points[0].normal.y > MIN_ROLLING_NORMAL_Y) {
+                const resistance = contact.friction * (contact.collider.material.rollingResistance ?? 1);
+                contact.bodyA.applyRollingResistance(resistance, contact.points[0].normal, dt);
+            }
+        }
+    }
+
+    // Where body would go if it left the hand now with velocity: the same
+    // fixed steps, forces, contacts and bounces as the real thing, run on a
+    // stand-in for body against the level geometry (other bodies are left
+    // out). Returns { points, landing, bounce }: positions every
+    // options.sampleInterval seconds, and the first and second times it
+    // meets level geometry as { position, normal, collider }, or null.
+    // Stops at the landing, or with options.bounce at the next one after it.
+    predictTrajectory(body, velocity, options = {}) {
+        const dt = this.fixedTimeStep;
+        const maxSteps = Math.ceil((options.maxTime ?? PREDICTION_TIME) / dt);
+        const sampleSteps = Math.max(1, Math.round((options.sampleInterval ?? PREDICTION_SAMPLE_INTERVAL) / dt));
+        const landingCount = options.bounce ? 2 : 1;
+
+        // Shares the body's shape, material and methods but has its own state
+        const ghost = Object.create(body);
+        ghost.mesh = { position: body.position.clone(), quaternion: body.quaternion.clone() };
+        ghost.velocity = velocity.clone();
+        ghost.angularVelocity = new THREE.Vector3();
+        ghost.isHeld = false;
+        ghost.holdTarget = null;
+
+        const contacts = new Map(); // Collider -> contact, like this.contacts
+        const touching = [];
+        const found = [];
+        const landings = [];
+        const points = [ghost.position.clone()];
+
+        const gravity = this.effectiveGravity();
+        for (let step = 1; step <= maxSteps && landings.length < landingCount; step++) {
+            ghost.integrateVelocity(dt, gravity);
+
+            touching.length = 0;
+            for (const collider of this.staticColliders) {
+                found.length = 0;
+                collider.collide(ghost, found, CONTACT_MARGIN);
+                if (found.length === 0) {
+                    contacts.delete(collider);
+                    continue;
+                }
+
+                let contact = contacts.get(collider);
+                if (!contact) {
+                    contact = {
+                        bodyA: ghost, bodyB: null, collider,
+                        points: null,
+                        spare: null,
+                        restitution: combineRestitution(ghost.material, collider.material),
+                        friction: combineFriction(ghost.material, collider.material),
+                    };
+                    contacts.set(collider, contact);
+                    landings.push({ position: found[0].point.clone(), normal: found[0].normal.clone(), collider });
+                }
+                this.solver.preparePoints(contact, found, dt);
+                touching.push(contact);
+            }
+
+            this.solver.correctPositions(touching);
+            this.solver.warmStart(touching);
+            this.solver.solveVelocities(touching);
+            ghost.integratePosition(dt);
+            this._applyRollingResistance(touching, dt);
+
+            if (step % sampleSteps === 0) {
+                points.push(ghost.position.clone());
+            }
+            if (landings.length > 0 && ghost.velocity.lengthSq() < PREDICTION_REST_SPEED * PREDICTION_REST_SPEED) {
+                break;
+            }
+        }
+        if (!points[points.length - 1].equals(ghost.position)) {
+            points.push(ghost.position.clone());
+        }
+
+        return { points, landing: landings[0] || null, bounce: landings[1] || null };
+    }
+
+    _pairKey(bodyA, bodyB) {
+        return bodyA.id * PAIR_ID_SCALE + bodyB.id;
+    }
+
+    // Negative keys for body-vs-static-collider contacts
+    _staticKey(body, collider) {
+        return -(body.id * PAIR_ID_SCALE + collider.id);
+    }
+
+    // Broadphase + narrowphase: refresh this.contacts with the pairs touching
+    // (or within CONTACT_MARGIN of touching) this step
+    _updateContacts(dt) {
+        let cellSize = 0;
+        for (const body of this.bodies) {
+            cellSize = Math.max(cellSize, body.radius * 2);
+        }
+        this.broadphase.build(this.bodies, cellSize + CONTACT_MARGIN || 1);
+
+        const touching = this._touching;
+        touching.length = 0;
+        const points = [];
+
+        this.broadphase.forEachPair((bodyA, bodyB) => {
+            // Held objects don't collide
+            if (!bodyA.checkCollision(bodyB, CONTACT_MARGIN)) return;
+
+            points.length = 0;
+            collideShapes(
+                bodyA.shape, bodyA.position, bodyA.quaternion,
+                bodyB.shape, bodyB.position, bodyB.quaternion,
+                points, CONTACT_MARGIN
+            );
+            if (points.length === 0) return;
+
+            this._touch(this._pairKey(bodyA, bodyB), bodyA, bodyB, null, points, dt);
+        });
+
+        for (const body of this.bodies) {
+            if (body.isHeld) continue;
+            for (const collider of this.staticColliders) {
+                points.length = 0;
+                collider.collide(body, points, CONTACT_MARGIN);
+                if (points.length === 0) continue;
+
+                this._touch(this._staticKey(body, collider), body, null, collider, points, dt);
+            }
+        }
+
+        // Forget pairs that separated
+        for (const [key, contact] of this.contacts) {
+            if (contact.stepCount !== this.stepCount) {
+                this.contacts.delete(key);
+            }
+        }
+    }
+
+    _touch(key, bodyA, bodyB, collider, points, dt) {
+        let contact = this.contacts.get(key);
+        if (contact) {
+            contact.isNew = false;
+        } else {
+            const other = bodyB ? bodyB.material : collider.material;
+
+            // Closing speed along the normal as the bodies meet (points[0].normal is B -> A)
+            _relativeVelocity.copy(bodyA.velocity);
+            if (bodyB) _relativeVelocity.sub(bodyB.velocity);
+            const impactSpeed = Math.max(0, -_relativeVelocity.dot(points[0].normal));
+            const restitution = combineRestitution(bodyA.material, other);
+
+            // How hard they hit (N s): the impulse a head-on bounce at this
+            // speed takes, ignoring spin
+            const inverseMass = bodyA.inverseMass + (bodyB ? bodyB.inverseMass : 0);
+            const impulse = inverseMass > 0 ? impactSpeed * (1 + restitution) / inverseMass : 0;
+
+            contact = {
+                bodyA, bodyB, collider,
+                startTime: this.time,
+                isNew: true,
+                impactSpeed,
+                impulse,
+                points: null,
+                spare: null,
+                restitution,
+                friction: combineFriction(bodyA.material, other),
+            };
+            this.contacts.set(key, contact);
+            this.startedContacts.push(contact);
+        }
+        contact.stepCount = this.stepCount;
+        this.solver.preparePoints(contact, points, dt);
+        this._touching.push(contact);
+    }
+}
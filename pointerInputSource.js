@@ -0,0 +1,208 @@
+import * as THREE from 'three';
+
+const DEPTH_WHEEL_STEP = 0.0015; // Depth change per wheel delta unit
+const DEPTH_KEY_SPEED = 0.8; // Depth change per second while a depth key is held
+const DEPTH_KEYS = { KeyW: 1, KeyS: -1 }; // W reaches further into the scene, S pulls back
+
+// Mouse/touch stand-in for HandTracker with the same interface
+// (init/update/getHandData/getHands/estimateDepth/getHandMovement).
+// Pressing grabs, dragging moves the hand, releasing throws with the drag
+// speed. The wheel or W/S control how far into the scene the hand reaches.
+// Each simultaneous touch drives its own hand, so touch screens get two hands.
+export class PointerInputSource {
+    constructor(domElement) {
+        this.domElement = domElement;
+        this.camera = null;
+        this.recorder = null; // Not recordable; present to match HandTracker
+        this.depth = 0.3;
+        this.depthKeyDirection = 0;
+        this.lastUpdateTime = null;
+        this.pointerHands = new Map(); // pointerId -> hand label
+        this.isActive = false;
+
+        this.hands = {};
+        for (const label of ['Left', 'Right']) {
+            this.hands[label] = {
+                data: {
+                    label: label,
+                    isTracked: false,
+                    landmarks: null,
+                    worldLandmarks: null,
+                    handedness: null,
+                    gestures: {},
+                    isGrabbing: false,
+                    screenPosition: new THREE.Vector2(0.5, 0.5),
+                    timestamp: null,
+                },
+                pendingPosition: null,
+                prevScreenPosition: new THREE.Vector2(0.5, 0.5),
+                handMovement: new THREE.Vector2(0, 0),
+            };
+        }
+
+        this._onPointerDown = (event) => this._handlePointerDown(event);
+        this._onPointerMove = (event) => this._handlePointerMove(event);
+        this._onPointerUp = (event) => this._handlePointerUp(event);
+        this._onPointerLeave = (event) => this._handlePointerLeave(event);
+        this._onWheel = (event) => this._handleWheel(event);
+        this._onKeyDown = (event) => this._handleKey(event, true);
+        this._onKeyUp = (event) => this._handleKey(event, false);
+    }
+
+    async init(threeCamera) {
+        this.camera = threeCamera;
+    }
+
+    // Listeners are only attached while this source is the active one
+    activate() {
+        if (this.isActive) return;
+        this.isActive = true;
+        this.domElement.style.touchAction = 'none'; // Keep touch drags from scrolling the page
+        this.domElement.addEventListener('pointerdown', this._onPointerDown);
+        this.domElement.addEventListener('pointermove', this._onPointerMove);
+        this.domElement.addEventListener('pointerleave', this._onPointerLeave);
+        window.addEventListener('pointerup', this._onPointerUp);
+        window.addEventListener('pointercancel', this._onPointerUp);
+        this.domElement.addEventListener('wheel', this._onWheel, { passive: false });
+        window.addEventListener('keydown', this._onKeyDown);
+        window.addEventListener('keyup', this._onKeyUp);
+    }
+
+    deactivate() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        this.domElement.removeEventListener('pointerdown', this._onPointerDown);
+        this.domElement.removeEventListener('pointermove', this._onPointerMove);
+        this.domElement.removeEventListener('pointerleave', this._onPointerLeave);
+        window.removeEventListener('pointerup', this._onPointerUp);
+        window.removeEventListener('pointercancel', this._onPointerUp);
+        this.domElement.removeEventListener('wheel', this._onWheel);
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('keyup', this._onKeyUp);
+
+        this.pointerHands.clear();
+        this.depthKeyDirection = 0;
+        for (const hand of Object.values(this.hands)) {
+            hand.data.isTracked = false;
+            hand.data.isGrabbing = false;
+            hand.data.gestures = {};
+            hand.pendingPosition = null;
+            hand.handMovement.set(0, 0);
+        }
+    }
+
+    update() {
+        const now = performance.now();
+        const elapsed = this.lastUpdateTime === null ? 0 : (now - this.lastUpdateTime) / 1000;
+        this.lastUpdateTime = now;
+
+        if (this.depthKeyDirection !== 0) {
+            this._setDepth(this.depth + this.depthKeyDirection * DEPTH_KEY_SPEED * elapsed);
+        }
+
+        // Apply pointer positions once per frame so movement matches the frame rate
+        for (const hand of Object.values(this.hands)) {
+            hand.prevScreenPosition.copy(hand.data.screenPosition);
+            hand.data.timestamp = now;
+            if (hand.pendingPosition) {
+                hand.data.screenPosition.copy(hand.pendingPosition);
+                hand.pendingPosition = null;
+            }
+            hand.handMovement.subVectors(hand.data.screenPosition, hand.prevScreenPosition);
+        }
+    }
+
+    _toScreenPosition(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        return new THREE.Vector2(
+            (event.clientX - rect.left) / rect.width,
+            (event.clientY - rect.top) / rect.height
+        );
+    }
+
+    _handlePointerDown(event) {
+        // Mouse always drives the right hand; extra touches take the free hand
+        let label = event.pointerType === 'mouse' ? 'Right' : null;
+        if (!label) {
+            const used = new Set(this.pointerHands.values());
+            label = ['Right', 'Left'].find(candidate => !used.has(candidate));
+            if (!label) return;
+        }
+        this.pointerHands.set(event.pointerId, label);
+
+        const hand = this.hands[label];
+        const position = this._toScreenPosition(event);
+        // Jump straight to the press position so the press isn't read as a drag
+        hand.data.screenPosition.copy(position);
+        hand.prevScreenPosition.copy(position);
+        hand.pendingPosition = null;
+        hand.data.isTracked = true;
+        hand.data.isGrabbing = true;
+        hand.data.gestures = { pinch: 1 };
+        event.preventDefault();
+    }
+
+    _handlePointerMove(event) {
+        let label = this.pointerHands.get(event.pointerId);
+        if (!label) {
+            // Hovering with a mouse shows the hand without grabbing
+            if (event.pointerType !== 'mouse') return;
+            label = 'Right';
+            this.hands[label].data.isTracked = true;
+        }
+        this.hands[label].pendingPosition = this._toScreenPosition(event);
+    }
+
+    _handlePointerUp(event) {
+        const label = this.pointerHands.get(event.pointerId);
+        if (!label) return;
+        this.pointerHands.delete(event.pointerId);
+
+        const hand = this.hands[label];
+        hand.data.isGrabbing = false;
+        hand.data.gestures = {};
+        // Touches disappear on release; a mouse keeps hovering
+        if (event.pointerType !== 'mouse') {
+            hand.data.isTracked = false;
+        }
+    }
+
+    _handlePointerLeave(event) {
+        if (event.pointerType === 'mouse' && !this.pointerHands.has(event.pointerId)) {
+            this.hands.Right.data.isTracked = false;
+        }
+    }
+
+    _handleWheel(event) {
+        this._setDepth(this.depth - event.deltaY * DEPTH_WHEEL_STEP);
+        event.preventDefault();
+    }
+
+    _handleKey(event, isDown) {
+        const direction = DEPTH_KEYS[event.code];
+        if (direction === undefined) return;
+        if (isDown) {
+            this.depthKeyDirection = direction;
+        } else if (this.depthKeyDirection === direction) {
+            this.depthKeyDirection = 0;
+        }
+    }
+
+    _setDepth(depth) {
+        this.depth = Math.max(0, Math.min(1, depth));
+    }
+
+    estimateDepth(label = 'Right') {
+        return this.depth;
+    }
+
+    getHandData(label = 'Right') {
+        return this.hands[label].data;
+    }
+    getHands() {
+        return ['Left', 'Right'].map(label => this.hands[label].data);
+    }
+    getHandMovement(label = 'Right') {
+        return this.hands[label].handMovement;
+    }
+}
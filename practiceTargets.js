@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { PhysicsObject } from 'physicsObject';
+
+// Targets for TargetPracticeMode. Each target builds its pieces through Game
+// (static ones as level geometry, pins as ordinary bodies) and reports hits
+// with mode.scoreHit(target, points, shot, position). A shot is the mode's
+// record of one thrown object; shot.targets holds the targets it has already
+// scored on, so each target counts at most once per throw.
+//
+// Every target has:
+//   bodies                       physics bodies it owns (kept on scene reset)
+//   onContact(contact, mode)     a contact began between a body and something
+//   update(mode)                 once per frame, after the physics step
+//   reset()                      put moving parts back
+//   dispose()                    remove everything it added
+
+const BULLSEYE_RADIUS = 0.45;
+const BULLSEYE_POINTS = [10, 25, 50, 100]; // Outer ring to bull
+const HOOP_RADIUS = 0.42; // Rim radius at scale 1; must stay well above the 0.25 ball radius
+const MIN_HOOP_RADIUS = 0.32;
+const HOOP_POINTS = 150;
+const BUCKET_RADIUS = 0.45;
+const MIN_BUCKET_RADIUS = 0.34;
+const BUCKET_HEIGHT = 0.4;
+const BUCKET_POINTS = 75;
+const PIN_RADIUS = 0.06;
+const PIN_HEIGHT = 0.38;
+const PIN_SPACING = 0.22; // Between neighbouring pins in the triangle
+const PIN_ROWS = 3;
+const PIN_POINTS = 20; // Per pin knocked down
+const PIN_KNOCKED_COS = Math.cos(Math.PI / 4); // Tilted further than 45 degrees counts as down
+const PIN_MATERIAL = { density: 200, restitution: 0.4, friction: 0.6 }; // Light enough for any ball to topple
+
+const _local = new THREE.Vector3();
+const _up = new THREE.Vector3();
+
+// Board facing +z; the closer to the centre the ball lands, the more it scores
+export class BullseyeTarget {
+    constructor(game, position, scale = 1) {
+        this.type = 'bullseye';
+        this.game = game;
+        this.bodies = [];
+        this.radius = BULLSEYE_RADIUS * scale;
+        this.mesh = game.sceneManager.createBullseye(position, this.radius);
+        this.collider = game.addLevelGeometry(this.mesh, { transient: true });
+    }
+
+    onContact(contact, mode) {
+        if (contact.collider !== this.collider) return;
+        const shot = mode.getShot(contact.bodyA);
+        if (!shot || shot.targets.has(this)) return;
+
+        // Distance from the centre in the board's plane (the board faces +z)
+        const point = _local.copy(contact.bodyA.position).add(contact.points[0].rA);
+        const distance = Math.hypot(point.x - this.mesh.position.x, point.y - this.mesh.position.y);
+        const ring = Math.floor((1 - distance / this.radius) * BULLSEYE_POINTS.length);
+        const points = BULLSEYE_POINTS[Math.max(0, Math.min(BULLSEYE_POINTS.length - 1, ring))];
+
+        shot.targets.add(this);
+        mode.scoreHit(this, points, shot, point);
+    }
+
+    update() { }
+
+    reset() { }
+
+    dispose() {
+        this.game.removeLevelGeometry(this.collider);
+    }
+}
+
+// Horizontal rim; scores when a ball drops through it from above
+export class HoopTarget {
+    constructor(game, position, scale = 1) {
+        this.type = 'hoop';
+        this.game = game;
+        this.bodies = [];
+        this.radius = Math.max(MIN_HOOP_RADIUS, HOOP_RADIUS * scale);
+        this.mesh = game.sceneManager.createHoop(position, this.radius);
+        this.collider = game.addLevelGeometry(this.mesh, { triangles: true, transient: true });
+    }
+
+    onContact() { }
+
+    update(mode) {
+        const center = this.mesh.position;
+        for (const shot of mode.shots) {
+            if (shot.targets.has(this)) continue;
+
+            const from = shot.previousPosition;
+            const to = shot.body.position;
+            if (!(from.y >= center.y && to.y < center.y)) continue;
+
+            // Where the centre crossed the rim's plane this frame
+            const t = (from.y - center.y) / (from.y - to.y);
+            const x = from.x + (to.x - from.x) * t;
+            const z = from.z + (to.z - from.z) * t;
+            if (Math.hypot(x - center.x, z - center.z) < this.radius) {
+                shot.targets.add(this);
+                mode.scoreHit(this, HOOP_POINTS, shot, center);
+            }
+        }
+    }
+
+    reset() { }
+
+    dispose() {
+        this.game.removeLevelGeometry(this.collider);
+    }
+}
+
+// Open bucket on the ground; scores when a ball ends up inside
+export class BucketTarget {
+    constructor(game, position, scale = 1) {
+        this.type = 'bucket';
+        this.game = game;
+        this.bodies = [];
+        this.radius = Math.max(MIN_BUCKET_RADIUS, BUCKET_RADIUS * scale);
+        this.height = BUCKET_HEIGHT;
+        this.mesh = game.sceneManager.createBucket(position, this.radius, this.height);
+        this.collider = game.addLevelGeometry(this.mesh, { triangles: true, transient: true });
+    }
+
+    onContact() { }
+
+    update(mode) {
+        const base = this.mesh.position;
+        for (const shot of mode.shots) {
+            if (shot.targets.has(this)) continue;
+
+            const position = shot.body.position;
+            const inside = position.y > base.y && position.y < base.y + this.height &&
+                Math.hypot(position.x - base.x, position.z - base.z) < this.radius;
+            if (inside) {
+                shot.targets.add(this);
+                mode.scoreHit(this, BUCKET_POINTS, shot, position);
+            }
+        }
+    }
+
+    reset() { }
+
+    dispose() {
+        this.game.removeLevelGeometry(this.collider);
+    }
+}
+
+// A triangle of pins pointing at the camera, each scoring once when knocked over
+export class PinsTarget {
+    constructor(game, position, scale = 1) {
+        this.type = 'pins';
+        this.game = game;
+        this.pins = []; // { body, position, knocked }
+        this.bodies = [];
+
+        const spacing = PIN_SPACING * scale;
+        for (let row = 0; row < PIN_ROWS; row++) {
+            for (let i = 0; i <= row; i++) {
+                const pinPosition = new THREE.Vector3(
+                    position.x + (i - row / 2) * spacing,
+                    PIN_HEIGHT / 2 + 0.001,
+                    position.z - row * spacing * 0.87 // Rows of an equilateral triangle
+                );
+                const mesh = game.sceneManager.createCylinder(pinPosition, PIN_RADIUS, PIN_HEIGHT, 0xf5f5f5);
+                const body = new PhysicsObject(mesh, pinPosition, { material: PIN_MATERIAL });
+                game.addObject(body);
+                this.pins.push({ body, position: body.position.clone(), knocked: false });
+                this.bodies.push(body);
+            }
+        }
+    }
+
+    onContact() { }
+
+    update(mode) {
+        for (const pin of this.pins) {
+            if (pin.knocked || pin.body.isHeld) continue;
+
+            _up.set(0, 1, 0).applyQuaternion(pin.body.quaternion);
+            if (_up.y < PIN_KNOCKED_COS) {
+                pin.knocked = true;
+                mode.scoreHit(this, PIN_POINTS, mode.latestShot(), pin.body.position);
+            }
+        }
+    }
+
+    reset() {
+        for (const pin of this.pins) {
+            pin.body.resetTo(pin.position);
+            pin.knocked = false;
+        }
+    }
+
+    dispose() {
+        for (const pin of this.pins) {
+            this.game.removeObject(pin.body); // Out of any hand holding it, too
+        }
+        this.pins = [];
+        this.bodies = [];
+    }
+}
+
+const TARGET_TYPES = {
+    bullseye: BullseyeTarget,
+    hoop: HoopTarget,
+    bucket: BucketTarget,
+    pins: PinsTarget,
+};
+
+// spec: { type, position, scale }
+export function createTarget(game, spec) {
+    const TargetType = TARGET_TYPES[spec.type];
+    if (!TargetType) {
+        throw new Error(`Unknown target type "${spec.type}"`);
+    }
+    return new TargetType(game, spec.position, spec.scale);
+}
@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+import { HandSkeleton } from 'handSkeleton';
+import { unflattenLandmarks } from 'networkProtocol';
+
+// Another player's hands in a shared scene: a sphere in their colour where
+// each hand is and, when their tracker has world landmarks, the hand's
+// skeleton. Hands arrive HAND_RATE times a second; the spheres glide towards
+// the latest positions in between.
+
+const HAND_RADIUS = 0.1; // Same size as the local hand indicator
+const HAND_FOLLOW = 15; // Per second; fast enough to keep up, slow enough to hide the update rate
+const HOLDING_SCALE = 1.3;
+
+export class RemotePlayerAvatar {
+    // player: { id, name, color } from the server
+    constructor(player) {
+        this.player = player;
+        this.color = new THREE.Color(player.color);
+        this.group = new THREE.Group();
+        this.group.name = `player-${player.id}`;
+        this.hands = new Map(); // Label -> { sphere, skeleton, target, landmarks, holding, seen }
+    }
+
+    // hands: the player's latest hands message entries
+    setHands(hands) {
+        for (const hand of this.hands.values()) {
+            hand.seen = false;
+        }
+        for (const data of hands || []) {
+            const hand = this.hands.get(data.label) || this._createHand(data.label);
+            const isNew = !hand.sphere.visible;
+            hand.target.fromArray(data.position);
+            if (isNew) hand.sphere.position.copy(hand.target);
+            hand.landmarks = unflattenLandmarks(data.landmarks);
+            hand.holding = data.holding;
+            hand.seen = true;
+            hand.sphere.visible = true;
+        }
+        for (const hand of this.hands.values()) {
+            if (!hand.seen) {
+                hand.sphere.visible = false;
+                hand.skeleton.hide();
+            }
+        }
+    }
+
+    // quaternion: the local camera's; every player sees the scene from the
+    // same place, so it turns their hands the same way as ours
+    update(deltaTime, quaternion) {
+        const follow = 1 - Math.exp(-HAND_FOLLOW * deltaTime);
+        for (const hand of this.hands.values()) {
+            if (!hand.sphere.visible) continue;
+
+            hand.sphere.position.lerp(hand.target, follow);
+            hand.sphere.scale.setScalar(hand.holding != null ? HOLDING_SCALE : 1);
+            hand.skeleton.update(
+                hand.landmarks && { worldLandmarks: hand.landmarks },
+                hand.sphere.position,
+                quaternion,
+                { grabbing: false, depthColor: this.color }
+            );
+        }
+    }
+
+    dispose() {
+        for (const hand of this.hands.values()) {
+            hand.sphere.geometry.dispose();
+            hand.sphere.material.dispose();
+            hand.skeleton.dispose();
+        }
+        this.hands.clear();
+        this.group.removeFromParent();
+    }
+
+    _createHand(label) {
+        const sphere = new THREE.Mesh(
+            new THREE.SphereGeometry(HAND_RADIUS, 16, 16),
+            new THREE.MeshStandardMaterial({
+                color: this.color,
+                emissive: this.color,
+                emissiveIntensity: 0.4,
+                transparent: true,
+                opacity: 0.8,
+            })
+        );
+        sphere.visible = false;
+        const skeleton = new HandSkeleton();
+        this.group.add(sphere, skeleton.group);
+
+        const hand = { sphere, skeleton, target: new THREE.Vector3(), landmarks: null, holding: null, seen: false };
+        this.hands.set(label, hand);
+        return hand;
+    }
+}
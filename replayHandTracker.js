@@ -0,0 +1,94 @@
+import { HandTracker } from 'handTracker';
+
+// Drop-in replacement for HandTracker that plays back a HandRecorder session
+// instead of running MediaPipe on a webcam. Each update() consumes exactly one
+// recorded frame, and `clock` reports the recorded frame times, so the game
+// sees the same inputs and time steps on every run.
+export class ReplayHandTracker extends HandTracker {
+    // options.loop: start over when the recording ends; options.filter: as for HandTracker
+    constructor(recording, options = {}) {
+        super(options);
+        this.recording = recording;
+        this.frames = recording.frames || [];
+        this.loop = options.loop || false;
+        this.frameIndex = 0;
+        this.isFinished = false;
+        this.onFinished = () => { };
+
+        // Replay with the calibration the session was recorded with
+        if (this.metadata.calibration) {
+            this.setCalibration(this.metadata.calibration);
+        }
+
+        // Stands in for THREE.Clock in Game
+        this.clock = {
+            getDelta: () => this._nextFrameDelta()
+        };
+    }
+
+    static async load(url, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load hand recording from ${url}: ${response.status}`);
+        }
+        return new ReplayHandTracker(await response.json(), options);
+    }
+
+    get metadata() {
+        return this.recording.metadata || {};
+    }
+
+    // The recorded webcam's, so hands come out the same size in metres;
+    // recordings from before it was stored fall back to the default
+    videoAspect() {
+        return this.metadata.videoAspect || null;
+    }
+
+    async init(threeCamera) {
+        this.camera = threeCamera;
+        console.log(`Replaying ${this.frames.length} recorded hand frames.`);
+    }
+
+    update() {
+        if (this.frameIndex >= this.frames.length) {
+            if (this.loop && this.frames.length > 0) {
+                this.restart();
+            } else {
+                this._finish();
+                return;
+            }
+        }
+
+        const frame = this.frames[this.frameIndex++];
+        if (frame.results) {
+            this._processResults(frame.results, frame.time);
+        }
+    }
+
+    restart() {
+        this.frameIndex = 0;
+        this.isFinished = false;
+        for (const label of Object.keys(this.hands)) {
+            this._clearHand(this.hands[label]);
+        }
+    }
+
+    _finish() {
+        if (this.isFinished) return;
+        this.isFinished = true;
+        for (const label of Object.keys(this.hands)) {
+            this._clearHand(this.hands[label]);
+        }
+        if (this.onFinished) this.onFinished();
+    }
+
+    // Seconds between the previous frame and the one the next update() will consume
+    _nextFrameDelta() {
+        if (this.frameIndex >= this.frames.length) {
+            // Looping restarts at a zero step; once finished, keep the scene running at a nominal rate
+            return this.loop ? 0 : 1 / 60;
+        }
+        if (this.frameIndex === 0) return 0;
+        return (this.frames[this.frameIndex].time - this.frames[this.frameIndex - 1].time) / 1000;
+    }
+}
@@ -1,13 +1,27 @@
 import * as THREE from 'three';
+import { config } from 'config';
+
+// Where the camera starts and what it looks at; the 'default' camera rig
+export const DEFAULT_CAMERA_POSITION = new THREE.Vector3(0, 2, 4); // Slightly elevated and back
+export const DEFAULT_CAMERA_TARGET = new THREE.Vector3(0, 0.5, 0);
 
 export class SceneManager {
-    constructor(renderDiv) {
+    // Without a renderDiv there is no renderer, only the scene and the object
+    // factories; the multiplayer server builds levels that way
+    constructor(renderDiv = null) {
         this.renderDiv = renderDiv;
         this.scene = new THREE.Scene();
-        this.camera = new THREE.PerspectiveCamera(75, this.renderDiv.clientWidth / this.renderDiv.clientHeight, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        const aspect = renderDiv ? renderDiv.clientWidth / renderDiv.clientHeight : 1;
+        this.camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+        this.renderer = renderDiv ? new THREE.WebGLRenderer({ antialias: true }) : null;
         this.raycaster = new THREE.Raycaster();
-        this.BALL_RADIUS = 0.325; // Added ball radius constant to match PhysicsObject
+        this.BALL_RADIUS = 0.25; // Default ball radius; PhysicsObject reads the real radius from the geometry
+        this.environment = []; // Lights and ground added by setEnvironment
+        this.ground = null; // The ground mesh from setEnvironment
+        this.sky = { background: null, fog: null }; // The level's, while passthrough replaces them
+        this.passthrough = null; // { texture, shadowGround } while the AR passthrough is showing, see setPassthrough
+        this.shadowGroundMaterial = new THREE.ShadowMaterial({ opacity: 0.35 });
+        this.handReachOffset = 0; // Metres added to how far hands reach from the camera; see CameraRigs
     }
 
     init() {
@@ -16,36 +30,94 @@ export class SceneManager {
         this.renderer.shadowMap.enabled = true;
         this.renderDiv.appendChild(this.renderer.domElement);
 
-        this.camera.position.set(0, 2, 4); // Slightly elevated and back
-        this.camera.lookAt(0, 0.5, 0);
+        this.camera.position.copy(DEFAULT_CAMERA_POSITION);
+        this.camera.lookAt(DEFAULT_CAMERA_TARGET);
+    }
 
-        // Lighting
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-        this.scene.add(ambientLight);
+    // Lights, ground, sky and fog from a level (see levelFormat), replacing the previous ones
+    setEnvironment(level) {
+        if (this.ground) {
+            this.ground.material = this.ground.userData.levelMaterial; // The shadow material is kept
+        }
+        for (const object of this.environment) {
+            this.disposeObject(object);
+        }
+        this.environment = [];
 
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(5, 10, 7.5);
-        directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 1024;
-        directionalLight.shadow.mapSize.height = 1024;
-        this.scene.add(directionalLight);
+        for (const light of level.lights) {
+            this.environment.push(this._createLight(light));
+        }
 
-        // Ground - unchanged
-        const groundGeometry = new THREE.PlaneGeometry(20, 20);
-        const groundMaterial = new THREE.MeshStandardMaterial({ color: 0x808080, side: THREE.DoubleSide });
+        // Ground
+        const groundGeometry = new THREE.PlaneGeometry(level.ground.size, level.ground.size);
+        const groundMaterial = new THREE.MeshStandardMaterial({ color: new THREE.Color(level.ground.color), side: THREE.DoubleSide });
         const ground = new THREE.Mesh(groundGeometry, groundMaterial);
         ground.rotation.x = -Math.PI / 2;
         ground.receiveShadow = true;
-        this.scene.add(ground);
+        ground.userData.levelMaterial = groundMaterial;
+        this.environment.push(ground);
+        this.ground = ground;
+
+        // Sky
+        const { background, fog } = level.environment;
+        this.sky = {
+            background: new THREE.Color(background),
+            fog: fog ? new THREE.Fog(new THREE.Color(fog.color ?? background), fog.near, fog.far) : null,
+        };
 
-        // Sky - unchanged
-        this.scene.background = new THREE.Color(0x87ceeb); 
-        this.scene.fog = new THREE.Fog(0x87ceeb, 10, 50);
+        for (const object of this.environment) {
+            this.scene.add(object);
+        }
+        this._applyPassthrough();
+    }
+
+    // Show texture (the webcam, see ARPassthrough) behind the scene instead of
+    // the level's sky and fog, with the ground hidden or, with
+    // options.shadowGround, only catching shadows so objects look like they
+    // land on whatever is in the picture. null goes back to the level's look.
+    setPassthrough(texture, options = {}) {
+        this.passthrough = texture ? { texture, shadowGround: options.shadowGround ?? true } : null;
+        this._applyPassthrough();
+    }
+
+    _applyPassthrough() {
+        const passthrough = this.passthrough;
+        this.scene.background = passthrough ? passthrough.texture : this.sky.background;
+        this.scene.fog = passthrough ? null : this.sky.fog;
+        if (this.ground) {
+            this.ground.visible = !passthrough || passthrough.shadowGround;
+            this.ground.material = passthrough ? this.shadowGroundMaterial : this.ground.userData.levelMaterial;
+        }
+    }
+
+    _createLight(description) {
+        const color = new THREE.Color(description.color ?? 0xffffff);
+        let light;
+        switch (description.type) {
+            case 'ambient':
+                return new THREE.AmbientLight(color, description.intensity ?? 1);
+            case 'directional':
+                light = new THREE.DirectionalLight(color, description.intensity ?? 1);
+                break;
+            case 'point':
+                light = new THREE.PointLight(color, description.intensity ?? 1, description.distance ?? 0);
+                break;
+        }
+
+        if (description.position) {
+            light.position.set(description.position[0], description.position[1], description.position[2]);
+        }
+        if (description.castShadow) {
+            light.castShadow = true;
+            light.shadow.mapSize.width = 1024;
+            light.shadow.mapSize.height = 1024;
+        }
+        return light;
     }
 
     // Method to create a ball
-    createBall(position = { x: 0, y: 1, z: 0 }, color = 0x1a75ff) {
-        const ballGeometry = new THREE.SphereGeometry(this.BALL_RADIUS, 32, 32);
+    createBall(position = { x: 0, y: 1, z: 0 }, color = 0x1a75ff, radius = this.BALL_RADIUS) {
+        const ballGeometry = new THREE.SphereGeometry(radius, 32, 32);
         const ballMaterial = new THREE.MeshStandardMaterial({ 
             color: color,
             roughness: 0.7,
@@ -63,22 +135,42 @@ export class SceneManager {
     }
 
     // Method to create a random colored ball
-    createRandomBall(position = { x: 0, y: 1, z: 0 }) {
-        // Generate a random color
+    createRandomBall(position = { x: 0, y: 1, z: 0 }, radius = this.BALL_RADIUS) {
+        return this.createBall(position, this.randomBallColor(), radius);
+    }
+
+    // A bright random colour, as createRandomBall uses
+    randomBallColor(out = new THREE.Color()) {
         const hue = Math.random();
         const saturation = 0.7 + Math.random() * 0.3; // 0.7-1.0
         const lightness = 0.4 + Math.random() * 0.3;  // 0.4-0.7
-        const color = new THREE.Color().setHSL(hue, saturation, lightness);
-        
-        return this.createBall(position, color);
+        return out.setHSL(hue, saturation, lightness);
+    }
+
+    // Take an object out of the scene and free its GPU resources: geometries,
+    // materials and their textures, and light shadow maps. Rendering it again
+    // later still works; Three.js uploads it afresh.
+    disposeObject(object) {
+        object.removeFromParent();
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.isLight && child.dispose) child.dispose();
+            if (!child.material) return;
+            for (const material of Array.isArray(child.material) ? child.material : [child.material]) {
+                for (const value of Object.values(material)) {
+                    if (value && value.isTexture) value.dispose();
+                }
+                material.dispose();
+            }
+        });
     }
 
     // Method to create a textured ball
-    createTexturedBall(position = { x: 0, y: 1, z: 0 }, texturePath) {
+    createTexturedBall(position = { x: 0, y: 1, z: 0 }, texturePath, radius = this.BALL_RADIUS) {
         const textureLoader = new THREE.TextureLoader();
         const texture = textureLoader.load(texturePath);
         
-        const ballGeometry = new THREE.SphereGeometry(this.BALL_RADIUS, 32, 32);
+        const ballGeometry = new THREE.SphereGeometry(radius, 32, 32);
         const ballMaterial = new THREE.MeshStandardMaterial({ 
             map: texture,
             roughness: 0.7,
@@ -88,10 +180,207 @@ export class SceneManager {
         const ballMesh = new THREE.Mesh(ballGeometry, ballMaterial);
         ballMesh.position.set(position.x, position.y, position.z);
         this.scene.add(ballMesh);
-        
+
         return ballMesh;
     }
 
+    // Method to create a box (a block for stacking); size is { x, y, z } in metres
+    createBox(position = { x: 0, y: 1, z: 0 }, size = { x: 0.3, y: 0.3, z: 0.3 }, color = 0xc8874a) {
+        const boxMesh = new THREE.Mesh(
+            new THREE.BoxGeometry(size.x, size.y, size.z),
+            this._createShapeMaterial(color)
+        );
+        boxMesh.position.set(position.x, position.y, position.z);
+        this.scene.add(boxMesh);
+
+        return boxMesh;
+    }
+
+    // Method to create an upright cylinder
+    createCylinder(position = { x: 0, y: 1, z: 0 }, radius = 0.1, height = 0.3, color = 0xcc2222) {
+        const cylinderMesh = new THREE.Mesh(
+            new THREE.CylinderGeometry(radius, radius, height, 24),
+            this._createShapeMaterial(color)
+        );
+        cylinderMesh.position.set(position.x, position.y, position.z);
+        this.scene.add(cylinderMesh);
+
+        return cylinderMesh;
+    }
+
+    // Method to create a drink can: a shiny cylinder sized for knocking over
+    createCan(position = { x: 0, y: 1, z: 0 }, color = 0xcc2222) {
+        const canMesh = this.createCylinder(position, 0.1, 0.3, color);
+        canMesh.material.metalness = 0.8;
+        canMesh.material.roughness = 0.3;
+
+        return canMesh;
+    }
+
+    // Method to create an upright capsule; length excludes the rounded ends
+    createCapsule(position = { x: 0, y: 1, z: 0 }, radius = 0.1, length = 0.3, color = 0x2a9d8f) {
+        const capsuleMesh = new THREE.Mesh(
+            new THREE.CapsuleGeometry(radius, length, 8, 16),
+            this._createShapeMaterial(color)
+        );
+        capsuleMesh.position.set(position.x, position.y, position.z);
+        this.scene.add(capsuleMesh);
+
+        return capsuleMesh;
+    }
+
+    // Method to create an object rigidly built from several primitives, e.g.
+    // a dumbbell. Each part is { type: 'sphere' | 'box' | 'cylinder' | 'capsule',
+    // position, rotation (Euler angles), color } plus radius / size / height / length.
+    createCompound(position = { x: 0, y: 1, z: 0 }, parts = []) {
+        const group = new THREE.Group();
+
+        for (const part of parts) {
+            let geometry;
+            switch (part.type) {
+                case 'sphere':
+                    geometry = new THREE.SphereGeometry(part.radius, 24, 24);
+                    break;
+                case 'box':
+                    geometry = new THREE.BoxGeometry(part.size.x, part.size.y, part.size.z);
+                    break;
+                case 'cylinder':
+                    geometry = new THREE.CylinderGeometry(part.radius, part.radius, part.height, 24);
+                    break;
+                case 'capsule':
+                    geometry = new THREE.CapsuleGeometry(part.radius, part.length, 8, 16);
+                    break;
+                default:
+                    console.warn(`Unknown compound part type "${part.type}"`);
+                    continue;
+            }
+
+            const mesh = new THREE.Mesh(geometry, this._createShapeMaterial(part.color ?? 0x888888));
+            if (part.position) mesh.position.set(part.position.x, part.position.y, part.position.z);
+            if (part.rotation) mesh.rotation.set(part.rotation.x || 0, part.rotation.y || 0, part.rotation.z || 0);
+            mesh.castShadow = true;
+            group.add(mesh);
+        }
+
+        group.position.set(position.x, position.y, position.z);
+        this.scene.add(group);
+
+        return group;
+    }
+
+    // Static level pieces. These get a collider from Game.addLevelGeometry
+    // rather than a PhysicsObject, so they never move.
+
+    // Method to create a raised platform; size is { x, y, z } in metres
+    createPlatform(position = { x: 0, y: 0.25, z: 0 }, size = { x: 1, y: 0.5, z: 1 }, color = 0x9e9e9e) {
+        return this._createLevelBox(position, size, color);
+    }
+
+    // Method to create a wall; size is { x, y, z } in metres
+    createWall(position = { x: 0, y: 0.75, z: 0 }, size = { x: 4, y: 1.5, z: 0.2 }, color = 0xb0a89a) {
+        return this._createLevelBox(position, size, color);
+    }
+
+    // Method to create a ramp: a slab tilted by angle (radians) about the z
+    // axis, so a positive angle rises towards +x
+    createRamp(position = { x: 0, y: 0.3, z: 0 }, length = 2, width = 1, angle = 0.3, color = 0x8d6e63) {
+        const rampMesh = this._createLevelBox(position, { x: length, y: 0.1, z: width }, color);
+        rampMesh.rotation.z = angle;
+
+        return rampMesh;
+    }
+
+    // Target-practice pieces, all static like the level
+
+    // Method to create a bullseye board facing +z: a disc with coloured
+    // rings, outermost colour first
+    createBullseye(position = { x: 0, y: 1, z: 0 }, radius = 0.45, ringColors = [0xffffff, 0x222222, 0x1e88e5, 0xe53935]) {
+        const thickness = 0.05;
+        const boardMesh = new THREE.Mesh(
+            new THREE.CylinderGeometry(radius, radius, thickness, 32),
+            new THREE.MeshStandardMaterial({ color: 0xd7c4a3, roughness: 0.9, metalness: 0.0 })
+        );
+        boardMesh.rotation.x = Math.PI / 2; // Disc axis along z, so the face points at the camera
+
+        // Rings sit just in front of the face (the board's local +y is world +z)
+        const ringWidth = radius / ringColors.length;
+        ringColors.forEach((color, i) => {
+            const outer = radius - i * ringWidth;
+            const ring = new THREE.Mesh(
+                new THREE.RingGeometry(outer - ringWidth, outer, 32),
+                new THREE.MeshStandardMaterial({ color: color, roughness: 0.8, metalness: 0.0 })
+            );
+            ring.rotation.x = -Math.PI / 2;
+            ring.position.y = thickness / 2 + 0.001;
+            boardMesh.add(ring);
+        });
+
+        boardMesh.position.set(position.x, position.y, position.z);
+        boardMesh.castShadow = true;
+        this.scene.add(boardMesh);
+
+        return boardMesh;
+    }
+
+    // Method to create a horizontal basketball-style hoop; radius is to the centre of the rim
+    createHoop(position = { x: 0, y: 2, z: 0 }, radius = 0.4, color = 0xff6f00) {
+        const hoopMesh = new THREE.Mesh(
+            new THREE.TorusGeometry(radius, 0.03, 8, 24),
+            new THREE.MeshStandardMaterial({ color: color, roughness: 0.5, metalness: 0.5 })
+        );
+        hoopMesh.rotation.x = Math.PI / 2;
+        hoopMesh.position.set(position.x, position.y, position.z);
+        hoopMesh.castShadow = true;
+        this.scene.add(hoopMesh);
+
+        return hoopMesh;
+    }
+
+    // Method to create an open-topped bucket standing on position (the base centre)
+    createBucket(position = { x: 0, y: 0, z: 0 }, radius = 0.4, height = 0.4, color = 0x43a047) {
+        const material = new THREE.MeshStandardMaterial({ color: color, roughness: 0.6, metalness: 0.3, side: THREE.DoubleSide });
+        const bucket = new THREE.Group();
+
+        const wall = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius * 0.85, height, 24, 1, true), material);
+        wall.position.y = height / 2;
+        bucket.add(wall);
+
+        const base = new THREE.Mesh(new THREE.CircleGeometry(radius * 0.85, 24), material);
+        base.rotation.x = -Math.PI / 2;
+        base.position.y = 0.002;
+        bucket.add(base);
+
+        bucket.traverse(object => {
+            object.castShadow = true;
+            object.receiveShadow = true;
+        });
+        bucket.position.set(position.x, position.y, position.z);
+        this.scene.add(bucket);
+
+        return bucket;
+    }
+
+    _createLevelBox(position, size, color) {
+        const boxMesh = new THREE.Mesh(
+            new THREE.BoxGeometry(size.x, size.y, size.z),
+            new THREE.MeshStandardMaterial({ color: color, roughness: 0.9, metalness: 0.0 })
+        );
+        boxMesh.position.set(position.x, position.y, position.z);
+        boxMesh.castShadow = true;
+        boxMesh.receiveShadow = true;
+        this.scene.add(boxMesh);
+
+        return boxMesh;
+    }
+
+    _createShapeMaterial(color) {
+        return new THREE.MeshStandardMaterial({
+            color: color,
+            roughness: 0.7,
+            metalness: 0.2
+        });
+    }
+
     render() {
         this.renderer.render(this.scene, this.camera);
     }
@@ -114,18 +403,18 @@ export class SceneManager {
         vec.unproject(this.camera);
         vec.sub(this.camera.position).normalize();
         
-        // Adjust distance based on depth factor (0-1)
-        // With inverted depth, 0 = near, 1 = far
-        const nearDistance = 2;
-        const farDistance = 7;
-        
-        // INVERTED: Use depthFactor directly (0=near, 1=far)
-        const adjustedDistance = nearDistance + (depthFactor * (farDistance - nearDistance));
-        
+        const adjustedDistance = this.handDistance(depthFactor);
         const worldPos = this.camera.position.clone().add(vec.multiplyScalar(adjustedDistance));
         object.position.copy(worldPos);
     }
 
+    // How far from the camera a hand at this depth factor is placed
+    handDistance(depthFactor) {
+        // With inverted depth, 0 = near, 1 = far
+        const { nearDistance, farDistance } = config.values;
+        return this.handReachOffset + nearDistance + (depthFactor * (farDistance - nearDistance));
+    }
+
     // Method to check if a point (like from a hand) hits a ball
     checkBallHit(point, balls) {
         this.raycaster.set(this.camera.position, 
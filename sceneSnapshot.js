@@ -0,0 +1,60 @@
+// The state of every object in the scene at one moment, which can be put back
+// later: positions, orientations, velocities, spin and which hand held what.
+// It keeps the PhysicsObjects themselves, so restoring also brings back
+// objects removed since and removes ones added since. Held objects come back
+// let go of, where the hand had them, and every hand has to open before it
+// grabs again, so restoring never counts as a throw or a catch. Bodies
+// belonging to the game mode (targets) are left alone; the mode keeps its
+// own state.
+export class SceneSnapshot {
+    constructor(entries, time) {
+        this.entries = entries; // { object, position, quaternion, velocity, angularVelocity, heldBy }
+        this.time = time; // The physics world's time when it was taken
+    }
+
+    static capture(game) {
+        const entries = [];
+        for (const object of game.physicsObjects) {
+            if (game.mode && game.mode.ownsBody(object)) continue;
+            const holder = game.hands.find(hand => hand.heldObject === object);
+            entries.push({
+                object,
+                position: object.position.clone(),
+                quaternion: object.quaternion.clone(),
+                velocity: object.velocity.clone(),
+                angularVelocity: object.angularVelocity.clone(),
+                heldBy: holder ? holder.label : null,
+            });
+        }
+        return new SceneSnapshot(entries, game.physicsWorld.time);
+    }
+
+    restore(game) {
+        const objects = new Set(this.entries.map(entry => entry.object));
+        for (const object of [...game.physicsObjects]) {
+            if (!objects.has(object) && !(game.mode && game.mode.ownsBody(object))) {
+                game.removeObject(object);
+            }
+        }
+
+        // Nothing carries over from what the hands were doing. A hand still
+        // pinching (or in the fist that undoes) would grab the object right
+        // back, so it has to let go first, as after a hand-to-hand pass.
+        for (const hand of game.hands) {
+            hand.heldObject = null;
+            hand.grabLocked = true;
+            hand.throwEstimator.reset();
+            hand.lastGrabPosition = null;
+        }
+
+        for (const entry of this.entries) {
+            const object = entry.object;
+            if (!game.physicsObjects.includes(object)) {
+                game.addObject(object);
+            }
+            object.resetTo(entry.position, entry.quaternion);
+            object.velocity.copy(entry.velocity);
+            object.angularVelocity.copy(entry.angularVelocity);
+        }
+    }
+}
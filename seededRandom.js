@@ -0,0 +1,25 @@
+// Small deterministic PRNG (mulberry32). The same seed always yields the same
+// sequence, which keeps layouts reproducible for recordings and replays.
+export class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), drop-in for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    reset() {
+        this.state = this.seed;
+    }
+}
@@ -0,0 +1,385 @@
+import * as THREE from 'three';
+import { PhysicsWorld } from 'physicsWorld';
+import { PhysicsObject } from 'physicsObject';
+import { StaticCollider, TriangleMeshCollider } from 'staticColliders';
+import { DEFAULT_LEVEL, parseLevel, createLevelMesh, levelObjectPositions } from 'levelFormat';
+import { SceneManager } from 'sceneManager';
+import { SeededRandom } from 'seededRandom';
+import { PROTOCOL_VERSION, SNAPSHOT_RATE, encodeBody } from 'networkProtocol';
+
+// The shared scene for multiplayer. It runs the one true copy of the physics,
+// with the game's own PhysicsWorld, and decides who holds what: a body can
+// have one owner, and only the owner moves and releases it. Clients draw
+// interpolated snapshots of its state (see MultiplayerSession). Messages are
+// described in networkProtocol.js.
+
+const TICK_RATE = 60; // Physics updates per second; PhysicsWorld still steps at its own fixed rate
+const SPAWN_RADIUS = 0.25;
+const SPAWN_POSITION = [0, 2, -1]; // For spawn requests without a position
+const MAX_SPAWNED = 30; // Oldest spawned balls go first beyond this
+const PLAYER_COLORS = ['#ff7043', '#42a5f5', '#66bb6a', '#ab47bc', '#ffca28', '#26c6da'];
+const MAX_HANDS = 2; // Per hands message
+const LANDMARK_VALUES = 63; // 21 landmarks, x, y and z each
+const MAX_HEIGHT = 20; // Metres; positions sent from higher up are brought down to it
+const UNBOUNDED_HALF_SIZE = 50; // Play area half-width for levels without bounds
+
+// What each message from a client must look like before any of it gets near
+// the shared world; anything else is answered with an error
+const MESSAGE_CHECKS = {
+    hands: message => Array.isArray(message.hands) && message.hands.length <= MAX_HANDS && message.hands.every(isHand),
+    grab: message => isId(message.id) && isVector(message.position),
+    release: message => isId(message.id) && isVector(message.direction) && Number.isFinite(message.speed),
+    push: message => isVector(message.position) && isVector(message.direction),
+    spawn: message => message.position == null || isVector(message.position),
+    reset: () => true,
+};
+
+export class AuthorityServer {
+    // options.level: level object to play (defaults to the sandbox)
+    // options.seed: seed for its layout
+    constructor(options = {}) {
+        this.levelSource = options.level || DEFAULT_LEVEL;
+        this.seed = options.seed ?? Math.floor(Math.random() * 4294967296);
+        this.random = new SeededRandom(this.seed + 1); // Spawned ball colours
+        this.players = new Map(); // Player id -> { id, name, color, socket, hands }
+        this.owners = new Map(); // Body id -> player id holding it
+        this.nextPlayerId = 1;
+        this._timer = null;
+        this._loadLevel();
+    }
+
+    start() {
+        let last = performance.now();
+        let sinceSnapshot = 0;
+        this._timer = setInterval(() => {
+            const now = performance.now();
+            const deltaTime = (now - last) / 1000;
+            last = now;
+
+            this.world.step(deltaTime);
+            sinceSnapshot += deltaTime;
+            if (sinceSnapshot >= 1 / SNAPSHOT_RATE) {
+                sinceSnapshot = 0;
+                this._broadcast(this._snapshot());
+            }
+        }, 1000 / TICK_RATE);
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    // socket: a connected ws WebSocket
+    connect(socket) {
+        let player = null;
+        socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                this._send(socket, { type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+            if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+                this._send(socket, { type: 'error', message: 'Messages must be objects with a type' });
+                return;
+            }
+
+            if (!player) {
+                if (message.type !== 'hello' || message.version !== PROTOCOL_VERSION) {
+                    this._send(socket, { type: 'error', message: `Expected hello with version ${PROTOCOL_VERSION}` });
+                    socket.close();
+                    return;
+                }
+                player = this._join(socket, message);
+                return;
+            }
+            // One bad packet must not take the scene down for everyone
+            try {
+                this._handle(player, message);
+            } catch (error) {
+                console.warn(`Could not handle "${message.type}" from ${player.name}:`, error);
+                this._send(socket, { type: 'error', message: `Could not handle "${message.type}"` });
+            }
+        });
+        socket.on('close', () => {
+            if (player) this._leave(player);
+        });
+    }
+
+    _loadLevel() {
+        this.level = parseLevel(this.levelSource);
+        this.world = new PhysicsWorld({ seed: this.seed, bounds: this.level.bounds });
+        this.world.gravity.fromArray(this.level.gravity);
+        this.sceneManager = new SceneManager(); // Just the mesh factories, no renderer
+        this.bodies = new Map(); // Body id -> PhysicsObject
+        this.initialTransforms = new Map();
+        this.spawned = []; // Ids of spawned balls, oldest first
+
+        // Textures are only looks, and loading them needs a browser
+        for (const piece of this.level.static) {
+            const mesh = createLevelMesh(this.sceneManager, { ...piece, texture: undefined }, null, true);
+            const options = { material: piece.material };
+            this.world.addStaticCollider(piece.triangles
+                ? new TriangleMeshCollider(mesh, options)
+                : StaticCollider.fromMesh(mesh, options));
+        }
+
+        // The same layout as Game.loadLevel with the same seed, in the same
+        // order, so ids line up with the clients' bodies
+        const positions = levelObjectPositions(this.level, new SeededRandom(this.seed));
+        this.level.objects.forEach((object, i) => {
+            const mesh = createLevelMesh(this.sceneManager, { ...object, texture: undefined }, positions[i]);
+            const body = this._addBody(i, new PhysicsObject(mesh, mesh.position.clone(), { material: object.material }));
+            this.initialTransforms.set(body, {
+                position: body.position.clone(),
+                quaternion: body.quaternion.clone(),
+            });
+        });
+        this.nextBodyId = this.level.objects.length;
+    }
+
+    _addBody(id, body) {
+        body.netId = id;
+        this.bodies.set(id, body);
+        this.world.addBody(body);
+        return body;
+    }
+
+    _removeBody(id) {
+        const body = this.bodies.get(id);
+        if (!body) return;
+        this.bodies.delete(id);
+        this.owners.delete(id);
+        this.world.removeBody(body);
+        this.sceneManager.scene.remove(body.mesh);
+    }
+
+    _join(socket, message) {
+        const id = this.nextPlayerId++;
+        const player = {
+            id,
+            name: String(message.name || `Player ${id}`).slice(0, 32),
+            color: PLAYER_COLORS[(id - 1) % PLAYER_COLORS.length],
+            socket,
+            hands: [],
+        };
+
+        this._send(socket, {
+            type: 'welcome',
+            version: PROTOCOL_VERSION,
+            playerId: id,
+            color: player.color,
+            seed: this.seed,
+            level: this.levelSource,
+            spawned: this.spawned.map(bodyId => this._describeSpawned(bodyId)),
+            players: [...this.players.values()].map(describePlayer),
+            owners: Object.fromEntries(this.owners),
+            state: this._snapshot(),
+        });
+        this.players.set(id, player);
+        this._broadcast({ type: 'joined', player: describePlayer(player) }, player);
+        console.log(`${player.name} joined (${this.players.size} playing)`);
+        return player;
+    }
+
+    _leave(player) {
+        this.players.delete(player.id);
+
+        // Whatever they were holding drops where it is
+        for (const [bodyId, owner] of this.owners) {
+            if (owner !== player.id) continue;
+            this.bodies.get(bodyId).release(new THREE.Vector3(), 0, this.world.random);
+            this.owners.delete(bodyId);
+            this._broadcast({ type: 'grabbed', id: bodyId, owner: null });
+        }
+        this._broadcast({ type: 'left', id: player.id });
+        console.log(`${player.name} left (${this.players.size} playing)`);
+    }
+
+    _handle(player, message) {
+        const check = MESSAGE_CHECKS[message.type];
+        if (!check) {
+            this._send(player.socket, { type: 'error', message: `Unknown message type "${message.type}"` });
+            return;
+        }
+        if (!check(message)) {
+            this._send(player.socket, { type: 'error', message: `Invalid "${message.type}" message` });
+            return;
+        }
+
+        switch (message.type) {
+            case 'hands':
+                for (const hand of message.hands) {
+                    this._clampToPlayArea(hand.position);
+                }
+                this._updateHands(player, message.hands);
+                break;
+            case 'grab':
+                this._clampToPlayArea(message.position);
+                this._grab(player, message.id, message.position);
+                break;
+            case 'release':
+                this._release(player, message.id, message.direction, message.speed);
+                break;
+            case 'push':
+                this._clampToPlayArea(message.position);
+                this.world.applyPush(vector(message.position), vector(message.direction).normalize());
+                break;
+            case 'spawn':
+                if (message.position) this._clampToPlayArea(message.position);
+                this._spawn(message.position);
+                break;
+            case 'reset':
+                this._reset();
+                break;
+        }
+    }
+
+    // Held bodies follow their hand; the hands go to everyone else for the avatars
+    _updateHands(player, hands) {
+        player.hands = hands;
+        for (const hand of hands) {
+            const body = this.bodies.get(hand.holding);
+            if (body && this.owners.get(hand.holding) === player.id && body.holdTarget) {
+                body.holdTarget.fromArray(hand.position);
+            }
+        }
+        this._broadcast({ type: 'hands', id: player.id, hands }, player);
+    }
+
+    _grab(player, id, position) {
+        const body = this.bodies.get(id);
+        if (!body) return;
+        const owner = this.owners.get(id);
+        if (owner !== undefined && owner !== player.id) {
+            this._send(player.socket, { type: 'denied', id });
+            return;
+        }
+
+        this.owners.set(id, player.id);
+        body.grab(vector(position));
+        this._broadcast({ type: 'grabbed', id, owner: player.id });
+    }
+
+    _release(player, id, direction, speed) {
+        const body = this.bodies.get(id);
+        if (!body || this.owners.get(id) !== player.id) return;
+
+        this.owners.delete(id);
+        body.release(vector(direction), Math.max(0, speed), this.world.random);
+        this._broadcast({ type: 'grabbed', id, owner: null });
+    }
+
+    _spawn(position) {
+        const id = this.nextBodyId++;
+        const color = new THREE.Color().setHSL(this.random.next(), 0.7 + this.random.next() * 0.3, 0.4 + this.random.next() * 0.3);
+        const object = {
+            shape: 'sphere',
+            radius: SPAWN_RADIUS,
+            color: `#${color.getHexString()}`,
+            position: position ?? SPAWN_POSITION,
+        };
+        const mesh = createLevelMesh(this.sceneManager, object);
+        const body = this._addBody(id, new PhysicsObject(mesh, mesh.position.clone()));
+        body.spawnObject = object;
+        this.spawned.push(id);
+        this._broadcast({ type: 'spawned', ...this._describeSpawned(id) });
+
+        if (this.spawned.length > MAX_SPAWNED) {
+            const oldest = this.spawned.shift();
+            this._removeBody(oldest);
+            this._broadcast({ type: 'removed', ids: [oldest] });
+        }
+    }
+
+    // Bring a position from a client ([x, y, z], changed in place) inside the
+    // level's bounds and below MAX_HEIGHT, so nothing can be put or dragged
+    // where the walls never bring it back from
+    _clampToPlayArea(position) {
+        const bounds = this.level.bounds ?? UNBOUNDED_HALF_SIZE;
+        position[0] = THREE.MathUtils.clamp(position[0], -bounds, bounds);
+        position[1] = THREE.MathUtils.clamp(position[1], 0, MAX_HEIGHT);
+        position[2] = THREE.MathUtils.clamp(position[2], -bounds, bounds);
+        return position;
+    }
+
+    _describeSpawned(id) {
+        const body = this.bodies.get(id);
+        return { id, object: body.spawnObject, body: encodeBody(body) };
+    }
+
+    // Like Game.resetScene: spawned balls go, everything else goes back to its start
+    _reset() {
+        const removed = this.spawned;
+        for (const id of removed) {
+            this._removeBody(id);
+        }
+        this.spawned = [];
+
+        for (const [id, body] of this.bodies) {
+            const initial = this.initialTransforms.get(body);
+            if (this.owners.has(id)) {
+                body.release(new THREE.Vector3(), 0, this.world.random);
+                this.owners.delete(id);
+                this._broadcast({ type: 'grabbed', id, owner: null });
+            }
+            body.resetTo(initial.position, initial.quaternion);
+        }
+        if (removed.length > 0) {
+            this._broadcast({ type: 'removed', ids: removed });
+        }
+    }
+
+    _snapshot() {
+        return {
+            type: 'state',
+            time: this.world.time,
+            bodies: [...this.bodies.values()].map(encodeBody),
+        };
+    }
+
+    _send(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    // To every player except `except`
+    _broadcast(message, except = null) {
+        const data = JSON.stringify(message);
+        for (const player of this.players.values()) {
+            if (player !== except && player.socket.readyState === player.socket.OPEN) {
+                player.socket.send(data);
+            }
+        }
+    }
+}
+
+function describePlayer(player) {
+    return { id: player.id, name: player.name, color: player.color, hands: player.hands };
+}
+
+function vector(array) {
+    return new THREE.Vector3().fromArray(array);
+}
+
+// [x, y, z], all finite
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function isId(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// As in a hands message: { label, position, holding, landmarks }
+function isHand(hand) {
+    return hand !== null && typeof hand === 'object' &&
+        (hand.label === undefined || typeof hand.label === 'string') &&
+        isVector(hand.position) &&
+        (hand.holding == null || isId(hand.holding)) &&
+        (hand.landmarks === null || (Array.isArray(hand.landmarks) && hand.landmarks.length === LANDMARK_VALUES &&
+            hand.landmarks.every(Number.isFinite)));
+}
@@ -0,0 +1,72 @@
+import { register } from 'node:module';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+// Multiplayer server: runs the shared scene and also serves the game, so one
+// machine is enough to try it. Start it with `npm start` (after `npm install`)
+// and open http://localhost:8080/?server in two browser windows.
+//
+//   node index.js [--port 8080] [--level path/to/level.json] [--seed 1234]
+
+register('./moduleHooks.js', import.meta.url);
+const { AuthorityServer } = await import('./authorityServer.js');
+const { DEFAULT_PORT } = await import('networkProtocol');
+
+const GAME_ROOT = fileURLToPath(new URL('../', import.meta.url));
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+};
+
+const options = parseArguments(process.argv.slice(2));
+const authority = new AuthorityServer({
+    level: options.level && JSON.parse(fs.readFileSync(options.level, 'utf8')),
+    seed: options.seed,
+});
+
+const server = http.createServer(serveGameFile);
+const webSockets = new WebSocketServer({ server });
+webSockets.on('connection', socket => authority.connect(socket));
+
+authority.start();
+server.listen(options.port, () => {
+    console.log(`Serving the game on http://localhost:${options.port}/?server`);
+});
+
+// The game's own files; nothing under server/
+function serveGameFile(request, response) {
+    const urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const filePath = path.join(GAME_ROOT, urlPath === '/' ? 'index.html' : urlPath);
+    const relative = path.relative(GAME_ROOT, filePath);
+    if (relative.startsWith('..') || relative.split(path.sep)[0] === 'server' || !fs.existsSync(filePath) ||
+        !fs.statSync(filePath).isFile()) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(response);
+}
+
+function parseArguments(args) {
+    const options = { port: Number(process.env.PORT) || DEFAULT_PORT, level: null, seed: undefined };
+    for (let i = 0; i < args.length; i++) {
+        const value = args[i + 1];
+        switch (args[i]) {
+            case '--port': options.port = Number(value); i++; break;
+            case '--level': options.level = value; i++; break;
+            case '--seed': options.seed = Number(value); i++; break;
+            default:
+                console.error(`Unknown argument ${args[i]}`);
+                process.exit(1);
+        }
+    }
+    return options;
+}
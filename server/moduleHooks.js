@@ -0,0 +1,36 @@
+import fs from 'node:fs';
+
+// Module hooks that let Node load the game's browser modules unchanged. They
+// import each other by the bare names in index.html's import map; those are
+// resolved to the files next to it, and 'three' to this package's copy
+// instead of the CDN. The game's files have no package.json saying they are
+// ES modules, so that is filled in too.
+
+const GAME_ROOT = new URL('../', import.meta.url);
+const importMap = JSON.parse(
+    fs.readFileSync(new URL('index.html', GAME_ROOT), 'utf8')
+        .match(/<script type="importmap">([\s\S]*?)<\/script>/)[1]
+).imports;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === 'three') {
+        return nextResolve(specifier, { ...context, parentURL: import.meta.url });
+    }
+    const target = importMap[specifier];
+    if (target && target.startsWith('./')) {
+        return { url: new URL(target, GAME_ROOT).href, format: 'module', shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (isGameModule(url)) {
+        return { format: 'module', source: fs.readFileSync(new URL(url), 'utf8'), shortCircuit: true };
+    }
+    return nextLoad(url, context);
+}
+
+// The game's modules sit at the top level; server/ has its own package.json
+function isGameModule(url) {
+    return url.startsWith(GAME_ROOT.href) && url.endsWith('.js') && !url.slice(GAME_ROOT.href.length).includes('/');
+}
@@ -0,0 +1,70 @@
+// Uniform grid broadphase. Each body is bucketed by its centre; with a cell
+// size of at least the largest body's diameter, any two overlapping bodies
+// are guaranteed to sit in the same or neighbouring cells, so only those
+// 27 cells need checking instead of every other body.
+export class SpatialHash {
+    constructor(cellSize = 1) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Packed cell key -> array of bodies
+        this.bodyCells = []; // Flat [ix, iy, iz, ...] cell coordinates, parallel to this.bodies
+        this.bodies = [];
+    }
+
+    // Cell coordinates are packed into 10 bits each. Distant cells may share a
+    // key; that only costs a few extra narrowphase checks, never a missed pair.
+    _key(ix, iy, iz) {
+        return ((ix & 1023) << 20) | ((iy & 1023) << 10) | (iz & 1023);
+    }
+
+    build(bodies, cellSize = this.cellSize) {
+        this.cellSize = cellSize;
+        this.cells.clear();
+        this.bodies = bodies;
+        this.bodyCells.length = bodies.length * 3;
+
+        const inverseCell = 1 / cellSize;
+        for (let i = 0; i < bodies.length; i++) {
+            const position = bodies[i].mesh.position;
+            const ix = Math.floor(position.x * inverseCell);
+            const iy = Math.floor(position.y * inverseCell);
+            const iz = Math.floor(position.z * inverseCell);
+            this.bodyCells[i * 3] = ix;
+            this.bodyCells[i * 3 + 1] = iy;
+            this.bodyCells[i * 3 + 2] = iz;
+
+            const key = this._key(ix, iy, iz);
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = [];
+                this.cells.set(key, cell);
+            }
+            cell.push(bodies[i]);
+        }
+    }
+
+    // Calls callback(a, b) once for every pair of bodies in neighbouring cells
+    forEachPair(callback) {
+        for (let i = 0; i < this.bodies.length; i++) {
+            const body = this.bodies[i];
+            const ix = this.bodyCells[i * 3];
+            const iy = this.bodyCells[i * 3 + 1];
+            const iz = this.bodyCells[i * 3 + 2];
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        // Neighbouring cells always differ in their low bits, so their keys never clash
+                        const cell = this.cells.get(this._key(ix + dx, iy + dy, iz + dz));
+                        if (!cell) continue;
+                        for (const other of cell) {
+                            // Each pair is seen from both sides; keep one
+                            if (other.id > body.id) {
+                                callback(body, other);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+import { shapeFromMesh, TriangleShape } from 'collisionShapes';
+import { collideShapes, collidePlane } from 'narrowphase';
+import { getPhysicsMaterial } from 'physicsMaterials';
+
+// Immovable level geometry for PhysicsWorld: the ground, walls, ramps,
+// tables and platforms. Each collider gets an id (for contact keys), a
+// material, and collide(body, contacts, margin), which appends contacts with
+// normals pointing from the collider towards the body. Colliders built from a
+// mesh keep it in `mesh`, so the game can raycast against level geometry.
+
+// Level surfaces unless told otherwise: smooth enough that balls keep
+// rolling down ramps (compare GROUND_MATERIAL, which is grass)
+export const LEVEL_MATERIAL = { restitution: 0.5, friction: 0.5, rollingResistance: 0.1 };
+
+const TRIANGLE_CELL_SIZE = 1; // Metres per grid cell when bucketing mesh triangles
+
+let nextColliderId = 1;
+
+const _worldPosition = new THREE.Vector3();
+const _worldQuaternion = new THREE.Quaternion();
+
+// An infinite plane { x : normal . x = offset }, solid on the side opposite the normal
+export class PlaneCollider {
+    constructor(normal, offset, options = {}) {
+        this.id = nextColliderId++;
+        this.normal = normal.clone().normalize();
+        this.offset = offset;
+        this.material = getPhysicsMaterial(options.material || LEVEL_MATERIAL);
+        this.mesh = options.mesh || null;
+    }
+
+    collide(body, contacts, margin) {
+        return collidePlane(body.shape, body.position, body.quaternion, this.normal, this.offset, contacts, margin);
+    }
+}
+
+// A collisionShapes shape fixed in place: boxes for walls, platforms and
+// (rotated) ramps, compounds for furniture such as tables
+export class StaticCollider {
+    constructor(shape, position, quaternion = new THREE.Quaternion(), options = {}) {
+        this.id = nextColliderId++;
+        this.shape = shape;
+        this.position = position.clone();
+        this.quaternion = quaternion.clone();
+        this.material = getPhysicsMaterial(options.material || LEVEL_MATERIAL);
+        this.mesh = options.mesh || null;
+    }
+
+    // Collider matching a mesh made by SceneManager's factories, at its current world transform
+    static fromMesh(mesh, options = {}) {
+        const shape = shapeFromMesh(mesh);
+        if (!shape) {
+            throw new Error('StaticCollider.fromMesh: unsupported geometry; use TriangleMeshCollider instead');
+        }
+
+        mesh.updateWorldMatrix(true, false);
+        mesh.matrixWorld.decompose(_worldPosition, _worldQuaternion, new THREE.Vector3());
+        // Compound shapes are centred on their centre of mass rather than the group's origin
+        if (shape.centerOffset) {
+            _worldPosition.add(shape.centerOffset.clone().applyQuaternion(_worldQuaternion));
+        }
+        return new StaticCollider(shape, _worldPosition, _worldQuaternion, { ...options, mesh });
+    }
+
+    collide(body, contacts, margin) {
+        return collideShapes(
+            body.shape, body.position, body.quaternion,
+            this.shape, this.position, this.quaternion,
+            contacts, margin
+        );
+    }
+}
+
+// Any Three.js mesh (or group of meshes) as static collision, triangle by
+// triangle. Triangles are bucketed in a grid so a body only tests the few near it.
+export class TriangleMeshCollider {
+    constructor(mesh, options = {}) {
+        this.id = nextColliderId++;
+        this.material = getPhysicsMaterial(options.material || LEVEL_MATERIAL);
+        this.mesh = mesh;
+        this.cellSize = options.cellSize || TRIANGLE_CELL_SIZE;
+        this.triangles = []; // { shape, position }
+        this.cells = new Map(); // "ix,iy,iz" -> triangle indices
+        this._queryStamp = 0;
+        this._seen = [];
+
+        mesh.updateWorldMatrix(true, true);
+        mesh.traverse(object => {
+            if (object.isMesh) this._addTriangles(object);
+        });
+    }
+
+    _addTriangles(mesh) {
+        const geometry = mesh.geometry;
+        const positions = geometry.attributes.position;
+        const index = geometry.index;
+        const count = index ? index.count : positions.count;
+
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        const center = new THREE.Vector3();
+        const vertex = (i, out) => out.fromBufferAttribute(positions, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+
+        for (let i = 0; i + 2 < count; i += 3) {
+            vertex(i, a);
+            vertex(i + 1, b);
+            vertex(i + 2, c);
+            // Skip degenerate triangles; they have no normal
+            if (new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).lengthSq() < 1e-12) continue;
+
+            center.copy(a).add(b).add(c).divideScalar(3);
+            const shape = new TriangleShape(a.clone().sub(center), b.clone().sub(center), c.clone().sub(center));
+            const triangleIndex = this.triangles.push({ shape, position: center.clone() }) - 1;
+            this._seen.push(0);
+
+            // Add to every cell its bounding box touches
+            const min = a.clone().min(b).min(c);
+            const max = a.clone().max(b).max(c);
+            this._forEachCell(min, max, key => {
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(triangleIndex);
+            });
+        }
+    }
+
+    _forEachCell(min, max, callback) {
+        const inverseCell = 1 / this.cellSize;
+        const x0 = Math.floor(min.x * inverseCell);
+        const y0 = Math.floor(min.y * inverseCell);
+        const z0 = Math.floor(min.z * inverseCell);
+        const x1 = Math.floor(max.x * inverseCell);
+        const y1 = Math.floor(max.y * inverseCell);
+        const z1 = Math.floor(max.z * inverseCell);
+        for (let ix = x0; ix <= x1; ix++) {
+            for (let iy = y0; iy <= y1; iy++) {
+                for (let iz = z0; iz <= z1; iz++) {
+                    callback(`${ix},${iy},${iz}`);
+                }
+            }
+        }
+    }
+
+    collide(body, contacts, margin) {
+        const reach = body.radius + margin;
+        const min = body.position.clone().subScalar(reach);
+        const max = body.position.clone().addScalar(reach);
+        const start = contacts.length;
+
+        // Stamp triangles as they're tested so ones spanning several cells run once
+        const stamp = ++this._queryStamp;
+        const identity = _worldQuaternion.identity();
+        this._forEachCell(min, max, key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            for (const triangleIndex of cell) {
+                if (this._seen[triangleIndex] === stamp) continue;
+                this._seen[triangleIndex] = stamp;
+
+                const triangle = this.triangles[triangleIndex];
+                collideShapes(
+                    body.shape, body.position, body.quaternion,
+                    triangle.shape, triangle.position, identity,
+                    contacts, margin
+                );
+            }
+        });
+
+        // A ball resting on a face ignores the seams next to it
+        let onFace = false;
+        for (let i = start; i < contacts.length; i++) {
+            if (!contacts[i].onEdge) onFace = true;
+        }
+        if (onFace) {
+            for (let i = contacts.length - 1; i >= start; i--) {
+                if (contacts[i].onEdge) contacts.splice(i, 1);
+            }
+        }
+        return contacts;
+    }
+}
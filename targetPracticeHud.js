@@ -0,0 +1,112 @@
+// On-screen panel for TargetPracticeMode: round, time, score and combo while
+// playing, a popup per hit, and the results screen between rounds. It
+// refreshes itself every animation frame and removes itself when the mode stops.
+
+const HIT_POPUP_DURATION = 1200; // ms
+
+export class TargetPracticeHud {
+    constructor(container, mode) {
+        this.mode = mode;
+
+        this.element = document.createElement('div');
+        this.element.className = 'practice-hud';
+        this.element.innerHTML = `
+            <div class="practice-status">
+                <div>Round <span data-field="round"></span></div>
+                <div>Time <span data-field="time"></span></div>
+                <div>Score <span data-field="score"></span> / <span data-field="target"></span></div>
+                <div>Combo <span data-field="multiplier"></span></div>
+                <div>Accuracy <span data-field="accuracy"></span></div>
+            </div>
+            <div class="practice-hit"></div>
+            <div class="practice-results" hidden>
+                <h2 data-field="title"></h2>
+                <p>Score: <span data-field="score"></span></p>
+                <p>Hits: <span data-field="hits"></span> from <span data-field="throws"></span> throws
+                    (<span data-field="accuracy"></span> accuracy, x<span data-field="accuracyMultiplier"></span>)</p>
+                <p>Best combo: <span data-field="bestCombo"></span></p>
+                <p class="practice-total">Total: <span data-field="total"></span> / <span data-field="targetScore"></span></p>
+                <p><button data-action="continue"></button> <button data-action="quit">Quit</button></p>
+                <p class="practice-countdown">Continuing in <span data-field="countdown"></span>s</p>
+            </div>
+        `;
+        container.appendChild(this.element);
+
+        this.statusPanel = this.element.querySelector('.practice-status');
+        this.hitPopup = this.element.querySelector('.practice-hit');
+        this.resultsPanel = this.element.querySelector('.practice-results');
+        this._hitTimer = null;
+        this.onQuit = () => { }; // Quit button on the results screen
+
+        this.resultsPanel.querySelector('[data-action="continue"]').addEventListener('click', () => mode.nextRound());
+        this.resultsPanel.querySelector('[data-action="quit"]').addEventListener('click', () => this.onQuit());
+
+        mode.onRoundStart = () => { this.resultsPanel.hidden = true; };
+        mode.onHit = (hit) => this._showHit(hit);
+        mode.onRoundEnd = (results) => this._showResults(results);
+        mode.onStop = () => this.dispose();
+
+        const tick = () => {
+            this.update();
+            this._frame = requestAnimationFrame(tick);
+        };
+        this._frame = requestAnimationFrame(tick);
+    }
+
+    update() {
+        if (this.mode.state === 'stopped') return;
+
+        const status = this.mode.getStatus();
+        this._setFields(this.statusPanel, {
+            round: status.round,
+            time: Math.ceil(status.timeLeft),
+            score: status.score,
+            target: status.targetScore,
+            multiplier: `x${status.multiplier.toFixed(2)}`,
+            accuracy: `${Math.round(status.accuracy * 100)}%`,
+        });
+        if (status.state === 'results') {
+            this._setFields(this.resultsPanel, { countdown: Math.ceil(status.resultsTimeLeft) });
+        }
+    }
+
+    dispose() {
+        cancelAnimationFrame(this._frame);
+        clearTimeout(this._hitTimer);
+        this.element.remove();
+    }
+
+    _showHit(hit) {
+        this.hitPopup.textContent = hit.multiplier > 1
+            ? `${hit.target.type} +${hit.points} (x${hit.multiplier.toFixed(2)})`
+            : `${hit.target.type} +${hit.points}`;
+        this.hitPopup.classList.add('visible');
+
+        clearTimeout(this._hitTimer);
+        this._hitTimer = setTimeout(() => this.hitPopup.classList.remove('visible'), HIT_POPUP_DURATION);
+    }
+
+    _showResults(results) {
+        this._setFields(this.resultsPanel, {
+            title: results.passed ? `Round ${results.round} cleared!` : `Round ${results.round} failed`,
+            score: results.score,
+            hits: results.hits,
+            throws: results.throws,
+            accuracy: `${Math.round(results.accuracy * 100)}%`,
+            accuracyMultiplier: results.accuracyMultiplier.toFixed(2),
+            bestCombo: results.bestCombo,
+            total: results.total,
+            targetScore: results.targetScore,
+        });
+        this.resultsPanel.querySelector('[data-action="continue"]').textContent = results.passed ? 'Next round' : 'Retry';
+        this.resultsPanel.hidden = false;
+    }
+
+    _setFields(root, values) {
+        for (const [name, value] of Object.entries(values)) {
+            for (const element of root.querySelectorAll(`[data-field="${name}"]`)) {
+                element.textContent = value;
+            }
+        }
+    }
+}
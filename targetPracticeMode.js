@@ -0,0 +1,317 @@
+import * as THREE from 'three';
+import { SeededRandom } from 'seededRandom';
+import { createTarget } from 'practiceTargets';
+
+// Target practice on top of the sandbox: timed rounds of targets to hit,
+// scored with a combo multiplier (consecutive throws that hit something) and
+// an accuracy multiplier applied when the round ends. Reaching a round's
+// target score moves on to the next, harder round; otherwise it is replayed.
+// Game drives the mode through setMode(); the mode only sees throws and the
+// contacts the physics world reports, so it never touches the core loop.
+
+const SHOT_TIMEOUT = 5; // Seconds before an unresolved throw counts as finished
+const SHOT_MIN_TIME = 0.5; // A throw can't be over before this, even if it starts slow
+const SHOT_SETTLED_SPEED = 0.1; // m/s; a thrown object this slow has stopped
+const SHOT_HIT_GRACE = 1.5; // Seconds after a hit that a throw can still score on other targets
+const BALL_RETURN_DELAY = 1; // Seconds before a finished throw's ball goes back to its starting spot
+const COMBO_STEP = 0.25; // Multiplier added per consecutive hitting throw
+const MAX_COMBO_MULTIPLIER = 3;
+const ACCURACY_BONUS = 0.5; // A perfect round multiplies the score by 1 + this
+const RESULTS_DURATION = 10; // Seconds the results stay up before the next round starts by itself
+const TARGET_SPACING = 1.1; // Minimum distance between targets when laying out a round
+const MAX_DIFFICULTY = 6; // Rounds after this repeat the hardest settings
+
+// Target types per round; later rounds reuse the last line
+const ROUND_TARGETS = [
+    ['bullseye', 'bullseye', 'bucket'],
+    ['bullseye', 'bucket', 'hoop'],
+    ['bullseye', 'hoop', 'pins'],
+    ['bullseye', 'bucket', 'hoop', 'pins'],
+    ['bullseye', 'bullseye', 'hoop', 'hoop', 'pins'],
+];
+
+// Where each type may go: x, y and z ranges (z from nearest to furthest).
+// Everything stays in front of the back wall and behind the starting stacks.
+const TARGET_PLACEMENT = {
+    bullseye: { x: [-3, 3], y: [0.8, 1.6], z: [-4.6, -5] },
+    hoop: { x: [-2.5, 2.5], y: [1.4, 2.2], z: [-3.6, -4.8] },
+    bucket: { x: [-2.5, 2.5], y: [0, 0], z: [-3.6, -4.8] },
+    pins: { x: [-2.5, 2.5], y: [0, 0], z: [-3.8, -4.6] },
+};
+
+// Settings for a round: harder rounds are shorter, ask for more points and
+// use smaller targets placed further back
+export function createRoundConfig(round, random) {
+    const difficulty = Math.min(round - 1, MAX_DIFFICULTY);
+    const scale = 1 - difficulty * 0.06;
+    const depth = difficulty / MAX_DIFFICULTY; // 0..1: how far back in each placement range
+    const types = ROUND_TARGETS[Math.min(round, ROUND_TARGETS.length) - 1];
+
+    const targets = [];
+    for (const type of types) {
+        const range = TARGET_PLACEMENT[type];
+        let position;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const zNear = range.z[0] + (range.z[1] - range.z[0]) * depth * 0.5;
+            position = new THREE.Vector3(
+                random.range(range.x[0], range.x[1]),
+                random.range(range.y[0], range.y[1]),
+                random.range(zNear, range.z[1])
+            );
+            if (targets.every(target => target.position.distanceTo(position) >= TARGET_SPACING)) break;
+        }
+        targets.push({ type, position, scale });
+    }
+
+    return {
+        round,
+        duration: Math.max(30, 60 - difficulty * 5),
+        targetScore: 250 + difficulty * 150,
+        targets,
+    };
+}
+
+export class TargetPracticeMode {
+    // options.round: round to start at (1-based)
+    // options.trajectoryPreview: { enabled, bounce } for this mode, instead of the game's setting
+    constructor(options = {}) {
+        this.firstRound = options.round || 1;
+        this.trajectoryPreview = options.trajectoryPreview || null;
+        this.game = null;
+        this.state = 'stopped'; // 'playing' | 'results' | 'stopped'
+        this.targets = [];
+        this.shots = []; // { body, age, hits, sinceHit, previousPosition, targets }
+        this._returns = []; // { body, delay }: finished throws waiting to go back
+
+        // UI hooks
+        this.onRoundStart = () => { }; // (config)
+        this.onHit = () => { }; // ({ target, points, multiplier, position })
+        this.onRoundEnd = () => { }; // (results)
+        this.onStop = () => { };
+    }
+
+    // Called by Game.setMode
+    start(game) {
+        this.game = game;
+        this.round = this.firstRound;
+        this._startRound();
+    }
+
+    stop() {
+        this._clearTargets();
+        this.shots = [];
+        this._returns = [];
+        this.state = 'stopped';
+        this.onStop();
+    }
+
+    get comboMultiplier() {
+        return Math.min(MAX_COMBO_MULTIPLIER, 1 + Math.max(0, this.combo - 1) * COMBO_STEP);
+    }
+
+    get accuracy() {
+        return this.throws > 0 ? this.hitThrows / this.throws : 0;
+    }
+
+    // Everything a HUD needs to show
+    getStatus() {
+        return {
+            state: this.state,
+            round: this.round,
+            timeLeft: Math.max(0, this.timeLeft),
+            score: this.score,
+            targetScore: this.config.targetScore,
+            combo: this.combo,
+            multiplier: this.comboMultiplier,
+            accuracy: this.accuracy,
+            resultsTimeLeft: this.state === 'results' ? Math.max(0, this.resultsTimeLeft) : 0,
+        };
+    }
+
+    // Game hook: an object just left a hand
+    onThrow(body) {
+        if (this.state !== 'playing') return;
+
+        // Throwing the same ball again before the last throw finished starts a new throw
+        this.shots = this.shots.filter(shot => shot.body !== body);
+        this._returns = this._returns.filter(pending => pending.body !== body);
+
+        this.shots.push({
+            body,
+            age: 0,
+            hits: 0,
+            sinceHit: 0,
+            previousPosition: body.position.clone(),
+            targets: new Set(),
+        });
+        this.throws++;
+    }
+
+    getShot(body) {
+        return this.shots.find(shot => shot.body === body) || null;
+    }
+
+    // Most recent throw still in play; knocked pins are credited to it
+    latestShot() {
+        return this.shots.length > 0 ? this.shots[this.shots.length - 1] : null;
+    }
+
+    // Targets report hits here. shot may be null for hits no throw caused directly.
+    scoreHit(target, basePoints, shot, position) {
+        if (this.state !== 'playing') return 0;
+
+        if (shot) {
+            if (shot.hits === 0) {
+                // First hit of this throw extends the combo
+                this.combo++;
+                this.bestCombo = Math.max(this.bestCombo, this.combo);
+                this.hitThrows++;
+            }
+            shot.hits++;
+            shot.sinceHit = 0;
+        }
+
+        const multiplier = this.comboMultiplier;
+        const points = Math.round(basePoints * multiplier);
+        this.score += points;
+        this.hits++;
+        this.onHit({ target, points, multiplier, position: position.clone() });
+        return points;
+    }
+
+    // Game hook: objects that aren't regular sandbox objects and must survive a scene reset
+    ownsBody(body) {
+        return this.targets.some(target => target.bodies.includes(body));
+    }
+
+    // Game hook: the sandbox was reset; stand the targets back up
+    onSceneReset() {
+        for (const target of this.targets) {
+            target.reset();
+        }
+        this.shots = [];
+        this._returns = [];
+    }
+
+    // Game hook: once per frame after the physics step
+    update(deltaTime, startedContacts) {
+        if (this.state === 'results') {
+            this.resultsTimeLeft -= deltaTime;
+            if (this.resultsTimeLeft <= 0) {
+                this.nextRound();
+            }
+            return;
+        }
+        if (this.state !== 'playing') return;
+
+        for (const contact of startedContacts) {
+            for (const target of this.targets) {
+                target.onContact(contact, this);
+            }
+        }
+        for (const target of this.targets) {
+            target.update(this);
+        }
+
+        this._updateShots(deltaTime);
+        this._updateReturns(deltaTime);
+
+        this.timeLeft -= deltaTime;
+        if (this.timeLeft <= 0) {
+            this._endRound();
+        }
+    }
+
+    // Continue after the results: the next round if this one was passed, otherwise a retry
+    nextRound() {
+        if (this.results && this.results.passed) {
+            this.round++;
+        }
+        this._startRound();
+    }
+
+    _startRound() {
+        this._clearTargets();
+        this.config = createRoundConfig(this.round, new SeededRandom(this.game.seed + this.round));
+        this.targets = this.config.targets.map(spec => createTarget(this.game, spec));
+
+        this.state = 'playing';
+        this.timeLeft = this.config.duration;
+        this.score = 0;
+        this.hits = 0;
+        this.throws = 0;
+        this.hitThrows = 0;
+        this.combo = 0;
+        this.bestCombo = 0;
+        this.results = null;
+        this.shots = [];
+        this._returns = [];
+
+        this.onRoundStart(this.config);
+    }
+
+    _endRound() {
+        const accuracyMultiplier = 1 + this.accuracy * ACCURACY_BONUS;
+        const total = Math.round(this.score * accuracyMultiplier);
+        this.results = {
+            round: this.round,
+            score: this.score,
+            hits: this.hits,
+            throws: this.throws,
+            accuracy: this.accuracy,
+            accuracyMultiplier,
+            bestCombo: this.bestCombo,
+            total,
+            targetScore: this.config.targetScore,
+            passed: total >= this.config.targetScore,
+        };
+
+        this.state = 'results';
+        this.resultsTimeLeft = RESULTS_DURATION;
+        this.onRoundEnd(this.results);
+    }
+
+    _updateShots(deltaTime) {
+        const bodies = this.game.physicsWorld.bodies;
+        this.shots = this.shots.filter(shot => {
+            shot.age += deltaTime;
+            if (shot.hits > 0) shot.sinceHit += deltaTime;
+            shot.previousPosition.copy(shot.body.position);
+
+            const settled = shot.age > SHOT_MIN_TIME &&
+                shot.body.velocity.lengthSq() < SHOT_SETTLED_SPEED * SHOT_SETTLED_SPEED;
+            const finished = shot.body.isHeld || !bodies.includes(shot.body) || settled ||
+                shot.age > SHOT_TIMEOUT || (shot.hits > 0 && shot.sinceHit > SHOT_HIT_GRACE);
+            if (!finished) return true;
+
+            if (shot.hits === 0) {
+                this.combo = 0; // A miss breaks the combo
+            }
+            if (!shot.body.isHeld && this.game.initialTransforms.has(shot.body)) {
+                this._returns.push({ body: shot.body, delay: BALL_RETURN_DELAY });
+            }
+            return false;
+        });
+    }
+
+    // Thrown starting objects come back to where they began, so there's always something to throw
+    _updateReturns(deltaTime) {
+        this._returns = this._returns.filter(pending => {
+            pending.delay -= deltaTime;
+            if (pending.delay > 0) return true;
+
+            const initial = this.game.initialTransforms.get(pending.body);
+            if (initial && !pending.body.isHeld) {
+                pending.body.resetTo(initial.position, initial.quaternion);
+            }
+            return false;
+        });
+    }
+
+    _clearTargets() {
+        for (const target of this.targets) {
+            target.dispose();
+        }
+        this.targets = [];
+    }
+}
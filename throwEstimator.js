@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+import { config } from 'config';
+
+// Release velocity from the hand's recent trajectory. Game feeds one sample
+// per new tracking frame, stamped with the frame's own time, and on release
+// the velocity is the slope of a least-squares line through the samples of
+// the last throwWindow seconds (see config). That averages out tracking
+// jitter without depending on the render frame rate or on how many frames
+// the tracker happened to deliver.
+//
+// Samples carry up to two positions. `position` is the hand indicator in the
+// scene, available for every input source. `realPosition` is the hand's
+// actual position in metres (see handPositionFromLandmarks), available when
+// MediaPipe world landmarks are; when every sample in the window has one the
+// fit uses those, so the object leaves at the speed the hand really moved.
+
+const MIN_FIT_SAMPLES = 3; // Use at least this many samples, even if some are older than the window
+const MAX_SAMPLE_AGE = 0.3; // ...but never ones older than this (the hand was still or lost)
+const MAX_SAMPLES = 32;
+
+// Webcam model for turning landmarks into metres. Most laptop and USB webcams
+// are close to this; calibration can override it.
+const WEBCAM_HORIZONTAL_FOV = 60; // Degrees
+const DEFAULT_IMAGE_ASPECT = 4 / 3; // Width / height, when the video size is unknown
+const PALM_POINTS = [0, 5, 9, 13, 17]; // Wrist and finger bases: rigid, so good for scale
+
+const _mean = new THREE.Vector3();
+const _slope = new THREE.Vector3();
+
+export class ThrowEstimator {
+    constructor(options = {}) {
+        this.window = options.window ?? null; // Seconds of motion the fit looks back over; null follows config.values.throwWindow
+        this.samples = []; // { time (s), position, realPosition }
+    }
+
+    // time in seconds; samples with a time not after the last one are ignored,
+    // so calling this every render frame with the tracker's timestamp is fine
+    addSample(time, position, realPosition = null) {
+        const last = this.samples[this.samples.length - 1];
+        if (last && time <= last.time) return;
+
+        this.samples.push({
+            time,
+            position: position.clone(),
+            realPosition: realPosition ? realPosition.clone() : null,
+        });
+        if (this.samples.length > MAX_SAMPLES) {
+            this.samples.shift();
+        }
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    // Velocity in scene units per second at the latest sample, written to out.
+    // Returns null when there isn't enough recent motion to fit.
+    estimateVelocity(out = new THREE.Vector3()) {
+        const samples = this._recentSamples();
+        if (samples.length < 2) return null;
+
+        const useReal = samples.every(sample => sample.realPosition);
+        const key = useReal ? 'realPosition' : 'position';
+
+        // Least squares: slope = sum((t - tMean)(p - pMean)) / sum((t - tMean)^2)
+        let timeMean = 0;
+        _mean.set(0, 0, 0);
+        for (const sample of samples) {
+            timeMean += sample.time;
+            _mean.add(sample[key]);
+        }
+        timeMean /= samples.length;
+        _mean.divideScalar(samples.length);
+
+        let timeVariance = 0;
+        _slope.set(0, 0, 0);
+        for (const sample of samples) {
+            const dt = sample.time - timeMean;
+            timeVariance += dt * dt;
+            _slope.x += dt * (sample[key].x - _mean.x);
+            _slope.y += dt * (sample[key].y - _mean.y);
+            _slope.z += dt * (sample[key].z - _mean.z);
+        }
+        if (timeVariance <= 0) return null;
+
+        return out.copy(_slope).divideScalar(timeVariance);
+    }
+
+    _recentSamples() {
+        const count = this.samples.length;
+        if (count === 0) return [];
+
+        const latest = this.samples[count - 1].time;
+        const window = this.window ?? config.values.throwWindow;
+        let first = count - 1;
+        while (first > 0) {
+            const age = latest - this.samples[first - 1].time;
+            const needed = count - first < MIN_FIT_SAMPLES;
+            if (age > MAX_SAMPLE_AGE || (age > window && !needed)) break;
+            first--;
+        }
+        return this.samples.slice(first);
+    }
+}
+
+// The palm centre in metres, in camera view space (x right, y up, -z away
+// from the player towards the screen, like a Three.js camera), from one
+// hand's normalised image landmarks and metric world landmarks. World
+// landmarks give the palm's true size; comparing it with its size in the
+// image gives the distance from the webcam (pinhole model). Only the
+// in-image components of the world bones are used, so turning the hand
+// doesn't read as moving it. Returns null if the hand is degenerate.
+export function handPositionFromLandmarks(landmarks, worldLandmarks, out = new THREE.Vector3(), options = {}) {
+    const aspect = options.aspect || DEFAULT_IMAGE_ASPECT;
+    const fov = options.horizontalFov || WEBCAM_HORIZONTAL_FOV;
+    // Focal length in units of image height
+    const focal = (aspect / 2) / Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+
+    let imageSize = 0;
+    let worldSize = 0;
+    for (let i = 0; i < PALM_POINTS.length; i++) {
+        for (let j = i + 1; j < PALM_POINTS.length; j++) {
+            const a = PALM_POINTS[i];
+            const b = PALM_POINTS[j];
+            imageSize += Math.hypot((landmarks[a].x - landmarks[b].x) * aspect, landmarks[a].y - landmarks[b].y);
+            worldSize += Math.hypot(worldLandmarks[a].x - worldLandmarks[b].x, worldLandmarks[a].y - worldLandmarks[b].y);
+        }
+    }
+    if (imageSize <= 0 || worldSize <= 0) return null;
+
+    let u = 0;
+    let v = 0;
+    for (const index of PALM_POINTS) {
+        u += landmarks[index].x;
+        v += landmarks[index].y;
+    }
+    u /= PALM_POINTS.length;
+    v /= PALM_POINTS.length;
+
+    // Webcam frame (x right in the image, y down, z away from the webcam),
+    // then mirrored into the player's view like the on-screen hand is
+    const depth = focal * worldSize / imageSize;
+    const x = (u - 0.5) * aspect * depth / focal;
+    const y = (v - 0.5) * depth / focal;
+    return out.set(-x, -y, depth);
+}
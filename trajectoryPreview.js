@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+
+// Aim preview for a held object: a dotted arc along the path
+// PhysicsWorld.predictTrajectory worked out, a marker where it lands and,
+// when the prediction includes the bounce, a smaller one where it lands next.
+
+const MAX_POINTS = 128; // More than a PREDICTION_TIME path sampled at 30 per second
+const DOT_SIZE = 0.06;
+const MARKER_RADIUS = 0.25;
+const BOUNCE_MARKER_SCALE = 0.6;
+const MARKER_OFFSET = 0.01; // Lift off the surface to avoid z-fighting
+const PREVIEW_COLOR = 0xffffff;
+const BOUNCE_COLOR = 0x88ccff;
+
+const _normal = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 0, 1); // RingGeometry faces +z
+
+export class TrajectoryPreview {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_POINTS * 3), 3));
+        this.dots = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: PREVIEW_COLOR,
+            size: DOT_SIZE,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false,
+        }));
+        this.dots.frustumCulled = false; // Bounds change every frame
+        this.group.add(this.dots);
+
+        this.landingMarker = this._createMarker(PREVIEW_COLOR);
+        this.bounceMarker = this._createMarker(BOUNCE_COLOR);
+        this.bounceMarker.scale.setScalar(BOUNCE_MARKER_SCALE);
+    }
+
+    // prediction: the result of PhysicsWorld.predictTrajectory
+    update(prediction) {
+        this.group.visible = true;
+
+        const positions = this.dots.geometry.attributes.position;
+        const count = Math.min(prediction.points.length, MAX_POINTS);
+        for (let i = 0; i < count; i++) {
+            const point = prediction.points[i];
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+        positions.needsUpdate = true;
+        this.dots.geometry.setDrawRange(0, count);
+
+        this._placeMarker(this.landingMarker, prediction.landing);
+        this._placeMarker(this.bounceMarker, prediction.bounce);
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+
+    dispose() {
+        this.dots.geometry.dispose();
+        this.dots.material.dispose();
+        for (const marker of [this.landingMarker, this.bounceMarker]) {
+            marker.geometry.dispose();
+            marker.material.dispose();
+        }
+        this.group.removeFromParent();
+    }
+
+    _createMarker(color) {
+        const marker = new THREE.Mesh(
+            new THREE.RingGeometry(MARKER_RADIUS * 0.7, MARKER_RADIUS, 32),
+            new THREE.MeshBasicMaterial({
+                color,
+                side: THREE.DoubleSide,
+                transparent: true,
+                opacity: 0.7,
+                depthWrite: false,
+            })
+        );
+        marker.visible = false;
+        this.group.add(marker);
+        return marker;
+    }
+
+    // Flat on the surface that was hit
+    _placeMarker(marker, landing) {
+        marker.visible = !!landing;
+        if (!landing) return;
+
+        _normal.copy(landing.normal).normalize();
+        marker.quaternion.setFromUnitVectors(_up, _normal);
+        marker.position.copy(landing.position).addScaledVector(_normal, MARKER_OFFSET);
+    }
+}
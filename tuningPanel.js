@@ -0,0 +1,162 @@
+import { config as defaultConfig } from 'config';
+
+// Dialog for changing the runtime config while playing: a slider or checkbox
+// per setting, grouped as in the schema, applied as soon as it moves. Presets
+// can be saved in this browser, or exported to a JSON file that ?preset= (or
+// the import button) loads again.
+
+export class TuningPanel {
+    constructor(container, config = defaultConfig) {
+        this.config = config;
+        this.inputs = new Map(); // Config key -> { input, output }
+
+        this.element = document.createElement('div');
+        this.element.className = 'tuning-panel';
+        this.element.innerHTML = `
+            <h2>Tuning</h2>
+            <div class="tuning-settings"></div>
+            <div class="tuning-presets">
+                <p>Preset: <select data-field="preset"></select>
+                    <button data-action="load">Load</button>
+                    <button data-action="delete">Delete</button></p>
+                <p><input data-field="name" placeholder="Preset name" maxlength="32">
+                    <button data-action="save">Save</button></p>
+                <p><button data-action="export">Export</button>
+                    <button data-action="import">Import</button>
+                    <button data-action="reset">Defaults</button>
+                    <button data-action="close">Close</button></p>
+                <input type="file" accept=".json,application/json" data-field="file" hidden>
+            </div>
+        `;
+        container.appendChild(this.element);
+
+        this.presetSelect = this.element.querySelector('[data-field="preset"]');
+        this.nameInput = this.element.querySelector('[data-field="name"]');
+        this.fileInput = this.element.querySelector('[data-field="file"]');
+        this.onClose = () => { };
+
+        this._buildSettings(this.element.querySelector('.tuning-settings'));
+        this._onClick('load', () => this._loadPreset());
+        this._onClick('delete', () => this._deletePreset());
+        this._onClick('save', () => this._savePreset());
+        this._onClick('export', () => this._exportPreset());
+        this._onClick('import', () => this.fileInput.click());
+        this._onClick('reset', () => this.config.reset());
+        this._onClick('close', () => this.dispose());
+        this.fileInput.addEventListener('change', () => this._importPreset());
+
+        // Changes from anywhere else (keys, presets) show up here too
+        this._unsubscribe = this.config.onChange((value, key) => this._showValue(key));
+        this._refreshPresets();
+    }
+
+    dispose() {
+        this._unsubscribe();
+        this.element.remove();
+        this.onClose();
+    }
+
+    _buildSettings(container) {
+        const groups = new Map(); // Group name -> fieldset
+        for (const [key, entry] of Object.entries(this.config.schema)) {
+            let group = groups.get(entry.group);
+            if (!group) {
+                group = document.createElement('fieldset');
+                group.innerHTML = `<legend>${entry.group || 'Other'}</legend>`;
+                container.appendChild(group);
+                groups.set(entry.group, group);
+            }
+
+            const row = document.createElement('label');
+            row.className = 'tuning-row';
+            const name = document.createElement('span');
+            name.textContent = entry.label || key;
+            const input = document.createElement('input');
+            const output = document.createElement('output');
+            if (entry.type === 'boolean') {
+                input.type = 'checkbox';
+                input.addEventListener('change', () => this.config.set(key, input.checked));
+            } else {
+                input.type = 'range';
+                input.min = entry.min;
+                input.max = entry.max;
+                input.step = entry.step ?? 'any';
+                input.addEventListener('input', () => this.config.set(key, input.value));
+            }
+            row.append(name, input, output);
+            group.appendChild(row);
+
+            this.inputs.set(key, { input, output });
+            this._showValue(key);
+        }
+    }
+
+    _showValue(key) {
+        const { input, output } = this.inputs.get(key);
+        const value = this.config.get(key);
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+            output.textContent = value;
+        }
+    }
+
+    _loadPreset() {
+        const name = this.presetSelect.value;
+        if (name) this.config.loadPreset(name);
+    }
+
+    _savePreset() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            this.nameInput.focus();
+            return;
+        }
+        this.config.savePreset(name);
+        this.nameInput.value = '';
+        this._refreshPresets(name);
+    }
+
+    _deletePreset() {
+        const name = this.presetSelect.value;
+        if (!name) return;
+        this.config.removePreset(name);
+        this._refreshPresets();
+    }
+
+    _exportPreset() {
+        const json = JSON.stringify(this.config.toPreset(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.presetSelect.value || 'tuning'}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // A file from the export above: defaults plus what it sets
+    async _importPreset() {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = '';
+        if (!file) return;
+        try {
+            const preset = JSON.parse(await file.text());
+            this.config.reset();
+            this.config.applyPreset(preset);
+        } catch (error) {
+            console.warn(`Could not import tuning preset ${file.name}:`, error);
+        }
+    }
+
+    _refreshPresets(selected = this.presetSelect.value) {
+        this.presetSelect.innerHTML = '';
+        for (const name of this.config.listPresets()) {
+            this.presetSelect.add(new Option(name, name, false, name === selected));
+        }
+    }
+
+    _onClick(action, handler) {
+        this.element.querySelector(`[data-action="${action}"]`).addEventListener('click', handler);
+    }
+}